@@ -1,15 +1,35 @@
+const crypto = require('crypto');
+const auth = require('./services/auth');
+
 let pool;
 let tableReadyPromise;
 let playerStatsReadyPromise;
+let seasonsReadyPromise;
+let seriesReadyPromise;
+let snapshotsReadyPromise;
+let newsReadyPromise;
+let auditReadyPromise;
+let accountsReadyPromise;
+let claimsReadyPromise;
+let syncRunsReadyPromise;
+let eaCacheReadyPromise;
+let memberSnapshotsReadyPromise;
 
-const LEAGUE_CLUBS = [
-  { id: '57985', name: 'Bota FC', aliases: ['Bota FC', 'Bota'] },
-  { id: '6297844', name: 'Inferign United', aliases: ['Inferign United', 'Inferign Utd'] },
-  { id: '1171188', name: 'True Egoistas', aliases: ['True Egoistas', 'Egoistas'] },
-  { id: '4671025', name: 'Versus One', aliases: ['Versus One'] },
-  { id: '654142', name: 'FC Wisconsin', aliases: ['FC Wisconsin', 'FC Wisconson'] },
-  { id: '129307', name: 'FC Sutton St', aliases: ['FC Sutton St', 'FC Sutton'] },
-];
+let clubsReadyPromise;
+
+// Seed data for the clubs table. Once the table exists the database is the
+// only source of truth; this list is used to populate an empty table and as a
+// fallback when Postgres is unavailable.
+const DEFAULT_LEAGUE_CLUBS = require('./data/leagueClubs.json');
+// Preseason stories seeded into an empty news table.
+const DEFAULT_NEWS_ITEMS = require('./data/preseasonNews.json');
+const NEWS_PAGE_SIZE = 10;
+const MAX_NEWS_PAGE_SIZE = 50;
+const AUDIT_PAGE_SIZE = 50;
+const MAX_AUDIT_PAGE_SIZE = 200;
+const SYNC_RUNS_LIMIT = 20;
+const MAX_SYNC_RUNS_LIMIT = 100;
+const CONFERENCES = ['east', 'west'];
 
 function normalizeLeagueClubName(name) {
   return String(name || '')
@@ -20,22 +40,22 @@ function normalizeLeagueClubName(name) {
     .replace(/\s+/g, ' ');
 }
 
-function getLeagueClubAliasRows() {
-  return LEAGUE_CLUBS.flatMap(club => club.aliases.map(alias => ({
+function getLeagueClubAliasRows(clubs = DEFAULT_LEAGUE_CLUBS) {
+  return clubs.flatMap(club => [club.name, ...(club.aliases || [])].map(alias => ({
     club_id: club.id,
     club_name: club.name,
     alias: normalizeLeagueClubName(alias),
   })));
 }
 
-function getLeagueClubAliasSql() {
-  return getLeagueClubAliasRows()
+function getLeagueClubAliasSql(clubs = DEFAULT_LEAGUE_CLUBS) {
+  return getLeagueClubAliasRows(clubs)
     .map((_, index) => `($${index * 3 + 1}, $${index * 3 + 2}, $${index * 3 + 3})`)
     .join(', ');
 }
 
-function getLeagueClubAliasParams() {
-  return getLeagueClubAliasRows().flatMap(row => [row.club_id, row.club_name, row.alias]);
+function getLeagueClubAliasParams(clubs = DEFAULT_LEAGUE_CLUBS) {
+  return getLeagueClubAliasRows(clubs).flatMap(row => [row.club_id, row.club_name, row.alias]);
 }
 
 function getSqlNormalizedName(column) {
@@ -73,6 +93,32 @@ async function query(sql, params) {
   return getPool().query(sql, params);
 }
 
+// Runs `fn` inside one transaction. `fn` gets a query function bound to the
+// transaction's client; anything it throws rolls the whole thing back.
+async function withTransaction(fn) {
+  const client = await getPool().connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn((sql, params) => client.query(sql, params));
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(rollbackError => {
+      console.error({ err: rollbackError }, 'Failed to roll back transaction');
+    });
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// A trivial round trip for the health check.
+async function checkConnection() {
+  const startedAt = Date.now();
+  await query('SELECT 1');
+  return { latencyMs: Date.now() - startedAt };
+}
+
 async function ensureMatchesTable() {
   if (!tableReadyPromise) {
     tableReadyPromise = (async () => {
@@ -98,7 +144,12 @@ async function ensureMatchesTable() {
           ADD COLUMN IF NOT EXISTS competition text DEFAULT 'friendly',
           ADD COLUMN IF NOT EXISTS matchday integer,
           ADD COLUMN IF NOT EXISTS series_id text,
-          ADD COLUMN IF NOT EXISTS notes text
+          ADD COLUMN IF NOT EXISTS notes text,
+          ADD COLUMN IF NOT EXISTS season_id integer,
+          ADD COLUMN IF NOT EXISTS forfeit text,
+          ADD COLUMN IF NOT EXISTS original_json jsonb,
+          ADD COLUMN IF NOT EXISTS corrected_at timestamp,
+          ADD COLUMN IF NOT EXISTS match_type text DEFAULT 'friendlyMatch'
       `);
 
       await query(`
@@ -117,474 +168,2871 @@ async function ensureMatchesTable() {
   return tableReadyPromise;
 }
 
-async function ensurePlayerStatsTables() {
-  if (!playerStatsReadyPromise) {
-    playerStatsReadyPromise = (async () => {
-      await ensureMatchesTable();
-
+async function ensureClubsTable() {
+  if (!clubsReadyPromise) {
+    clubsReadyPromise = (async () => {
       await query(`
-        CREATE TABLE IF NOT EXISTS players (
-          id serial PRIMARY KEY,
-          ea_player_id text UNIQUE,
-          player_name text NOT NULL,
-          club_id text,
-          club_name text,
-          position text,
-          avatar_url text,
+        CREATE TABLE IF NOT EXISTS clubs (
+          id text PRIMARY KEY,
+          name text NOT NULL,
+          conference text NOT NULL,
+          ea_club_id text UNIQUE,
+          logo_url text,
+          aliases text[] NOT NULL DEFAULT '{}',
           active boolean DEFAULT true,
-          created_at timestamp DEFAULT now()
-        )
-      `);
-
-      await query(`
-        CREATE TABLE IF NOT EXISTS player_match_stats (
-          id serial PRIMARY KEY,
-          match_id text NOT NULL,
-          ea_player_id text,
-          player_name text NOT NULL,
-          club_id text,
-          club_name text,
-          goals integer DEFAULT 0,
-          assists integer DEFAULT 0,
-          passes_attempted integer DEFAULT 0,
-          passes_made integer DEFAULT 0,
-          tackles_attempted integer DEFAULT 0,
-          tackles_made integer DEFAULT 0,
-          man_of_the_match boolean DEFAULT false,
-          raw_json jsonb,
           created_at timestamp DEFAULT now(),
-          UNIQUE(match_id, ea_player_id)
+          updated_at timestamp DEFAULT now()
         )
       `);
+
+      // Only seed an empty table so clubs edited by an admin stay as they are.
+      const countResponse = await query('SELECT COUNT(*)::integer AS count FROM clubs');
+      if (countResponse.rows[0]?.count > 0) return;
+
+      for (const club of DEFAULT_LEAGUE_CLUBS) {
+        await query(
+          `INSERT INTO clubs (id, name, conference, ea_club_id, logo_url, aliases)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           ON CONFLICT (id) DO NOTHING`,
+          [club.id, club.name, club.conference, club.eaClubId, club.logo, club.aliases]
+        );
+      }
     })().catch(error => {
-      playerStatsReadyPromise = null;
+      clubsReadyPromise = null;
       throw error;
     });
   }
 
-  return playerStatsReadyPromise;
+  return clubsReadyPromise;
 }
 
-async function getPlayerStats() {
-  await ensurePlayerStatsTables();
-  const aliasParams = getLeagueClubAliasParams();
-  const response = await query(`
-    WITH league_club_aliases(club_id, club_name, normalized_alias) AS (
-      VALUES ${getLeagueClubAliasSql()}
-    ), official_league_matches AS (
-      SELECT m.match_id
-      FROM matches m
-      INNER JOIN league_club_aliases home_club
-        ON ${getSqlNormalizedName('m.club_name')} = home_club.normalized_alias
-      INNER JOIN league_club_aliases away_club
-        ON ${getSqlNormalizedName('m.opponent_name')} = away_club.normalized_alias
-      WHERE m.status = 'approved'
-        AND m.competition = 'league'
-        AND home_club.club_id <> away_club.club_id
-    )
-    SELECT
-      pms.player_name,
-      COALESCE(MAX(NULLIF(pms.club_name, '')), '') AS club_name,
-      COUNT(DISTINCT pms.match_id)::integer AS league_matches,
-      COUNT(DISTINCT pms.match_id)::integer AS matches_played,
-      COALESCE(SUM(pms.goals), 0)::integer AS goals,
-      COALESCE(SUM(pms.assists), 0)::integer AS assists,
-      COALESCE(SUM(pms.passes_attempted), 0)::integer AS passes_attempted,
-      COALESCE(SUM(pms.passes_made), 0)::integer AS passes_made,
-      CASE
-        WHEN COALESCE(SUM(pms.passes_attempted), 0) = 0 THEN 0
-        ELSE ROUND((SUM(pms.passes_made)::numeric / NULLIF(SUM(pms.passes_attempted), 0)) * 100, 1)
-      END::float AS pass_percentage,
-      COALESCE(SUM(pms.tackles_attempted), 0)::integer AS tackles_attempted,
-      COALESCE(SUM(pms.tackles_made), 0)::integer AS tackles_made,
-      CASE
-        WHEN COALESCE(SUM(pms.tackles_attempted), 0) = 0 THEN 0
-        ELSE ROUND((SUM(pms.tackles_made)::numeric / NULLIF(SUM(pms.tackles_attempted), 0)) * 100, 1)
-      END::float AS tackle_percentage,
-      COALESCE(SUM(CASE WHEN pms.man_of_the_match THEN 1 ELSE 0 END), 0)::integer AS motm_count
-    FROM player_match_stats pms
-    INNER JOIN official_league_matches olm ON olm.match_id = pms.match_id
-    GROUP BY COALESCE(pms.ea_player_id, pms.player_name), pms.player_name
-    ORDER BY goals DESC, assists DESC, motm_count DESC, pms.player_name ASC
-  `, aliasParams);
-  return response.rows;
+function mapClubRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    conference: row.conference,
+    eaClubId: row.ea_club_id || row.id,
+    logo: row.logo_url || null,
+    aliases: Array.isArray(row.aliases) ? row.aliases : [],
+    active: row.active !== false,
+  };
 }
 
+function normalizeClubAliases(name, aliases) {
+  if (aliases !== undefined && !Array.isArray(aliases)) {
+    throw new Error('aliases must be an array of club names');
+  }
 
-function firstDefined(...values) {
-  return values.find(value => value !== undefined && value !== null && value !== '');
-}
-
-function toInteger(value, fallback = 0) {
-  const number = Number(value);
-  return Number.isFinite(number) ? Math.trunc(number) : fallback;
+  const seen = new Set();
+  return [name, ...(aliases || [])]
+    .map(alias => String(alias ?? '').trim())
+    .filter(alias => {
+      const key = normalizeLeagueClubName(alias);
+      if (!key || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
 }
 
-function toBoolean(value) {
-  if (typeof value === 'boolean') return value;
-  if (typeof value === 'number') return value === 1;
-  const normalized = String(value ?? '').trim().toLowerCase();
-  return ['1', 'true', 'yes', 'y'].includes(normalized);
-}
+function normalizeClubInput(input = {}, existing = null) {
+  const name = String(input.name ?? existing?.name ?? '').trim();
+  if (!name) throw new Error('club name is required');
 
-function getPlayerName(player) {
-  return firstDefined(player.playername);
-}
+  const conference = String(input.conference ?? existing?.conference ?? '').trim().toLowerCase();
+  if (!CONFERENCES.includes(conference)) {
+    throw new Error(`conference must be ${CONFERENCES.join(' or ')}`);
+  }
 
-function normalizePlayerMatchStats(match) {
-  const rawMatch = match?.raw || match?.raw_json || match || {};
-  const rawPlayers = rawMatch.players;
-  if (!rawPlayers || typeof rawPlayers !== 'object' || Array.isArray(rawPlayers)) return [];
+  const eaClubId = String(input.eaClubId ?? existing?.eaClubId ?? input.id ?? '').trim();
+  if (!/^\d+$/.test(eaClubId)) throw new Error('eaClubId must be numeric');
 
-  const rows = [];
-  for (const [clubId, playersForClub] of Object.entries(rawPlayers)) {
-    if (!playersForClub || typeof playersForClub !== 'object') continue;
-    const clubName = rawMatch.clubs?.[clubId]?.details?.name;
+  const logo = firstDefined(input.logo, existing?.logo) ?? null;
+  const aliases = input.aliases === undefined && existing
+    ? normalizeClubAliases(name, existing.aliases)
+    : normalizeClubAliases(name, input.aliases);
 
-    for (const [playerId, player] of Object.entries(playersForClub)) {
-      if (!player || typeof player !== 'object') continue;
-      const playerName = getPlayerName(player);
-      if (!playerName) continue;
+  return {
+    id: existing?.id || String(input.id ?? eaClubId).trim(),
+    name,
+    conference,
+    eaClubId,
+    logo: logo === null ? null : String(logo),
+    aliases,
+    active: input.active === undefined ? existing?.active !== false : toBoolean(input.active),
+  };
+}
 
-      rows.push({
-        match_id: match.match_id || match.id || rawMatch.matchId || rawMatch.matchid || rawMatch.id,
-        ea_player_id: String(playerId),
-        player_name: String(playerName),
-        club_id: String(clubId),
-        club_name: clubName ? String(clubName) : null,
-        position: firstDefined(player.pos, null),
-        goals: toInteger(player.goals || 0),
-        assists: toInteger(player.assists || 0),
-        passes_attempted: toInteger(player.passattempts || 0),
-        passes_made: toInteger(player.passesmade || 0),
-        tackles_attempted: toInteger(player.tackleattempts || 0),
-        tackles_made: toInteger(player.tacklesmade || 0),
-        man_of_the_match: player.mom === '1',
-        raw_json: player,
-      });
-    }
-  }
+async function getLeagueClubs(options = {}) {
+  await ensureClubsTable();
+  const response = await query(`
+    SELECT id, name, conference, ea_club_id, logo_url, aliases, active
+    FROM clubs
+    ${options.includeInactive ? '' : 'WHERE active = true'}
+    ORDER BY conference ASC, created_at ASC, name ASC
+  `);
+  return response.rows.map(mapClubRow);
+}
 
-  return rows.filter(row => row.match_id && row.ea_player_id && row.player_name);
+async function getLeagueClub(clubId) {
+  await ensureClubsTable();
+  const response = await query(
+    `SELECT id, name, conference, ea_club_id, logo_url, aliases, active
+     FROM clubs
+     WHERE id = $1`,
+    [String(clubId)]
+  );
+  return response.rows[0] ? mapClubRow(response.rows[0]) : null;
 }
 
-async function upsertPlayerStat(stat) {
-  const playerResponse = await query(
-    `INSERT INTO players (
-      ea_player_id,
-      player_name,
-      club_id,
-      club_name,
-      position
-    ) VALUES ($1, $2, $3, $4, $5)
-    ON CONFLICT (ea_player_id) DO UPDATE
-    SET player_name = EXCLUDED.player_name,
-        club_id = EXCLUDED.club_id,
-        club_name = EXCLUDED.club_name,
-        position = COALESCE(EXCLUDED.position, players.position),
-        active = true
-    RETURNING (xmax = 0) AS inserted`,
-    [stat.ea_player_id, stat.player_name, stat.club_id, stat.club_name, stat.position]
+async function createClub(input) {
+  await ensureClubsTable();
+  const club = normalizeClubInput(input);
+  const response = await query(
+    `INSERT INTO clubs (id, name, conference, ea_club_id, logo_url, aliases, active)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     ON CONFLICT DO NOTHING
+     RETURNING id, name, conference, ea_club_id, logo_url, aliases, active`,
+    [club.id, club.name, club.conference, club.eaClubId, club.logo, club.aliases, club.active]
   );
+  return response.rows[0] ? mapClubRow(response.rows[0]) : null;
+}
 
-  const playerMatchResponse = await query(
-    `INSERT INTO player_match_stats (
-      match_id,
-      ea_player_id,
-      player_name,
-      club_id,
-      club_name,
-      goals,
-      assists,
-      passes_attempted,
-      passes_made,
-      tackles_attempted,
-      tackles_made,
-      man_of_the_match,
-      raw_json
-    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
-    ON CONFLICT (match_id, ea_player_id) DO UPDATE
-    SET player_name = EXCLUDED.player_name,
-        club_id = EXCLUDED.club_id,
-        club_name = EXCLUDED.club_name,
-        goals = EXCLUDED.goals,
-        assists = EXCLUDED.assists,
-        passes_attempted = EXCLUDED.passes_attempted,
-        passes_made = EXCLUDED.passes_made,
-        tackles_attempted = EXCLUDED.tackles_attempted,
-        tackles_made = EXCLUDED.tackles_made,
-        man_of_the_match = EXCLUDED.man_of_the_match,
-        raw_json = EXCLUDED.raw_json
-    RETURNING (xmax = 0) AS inserted`,
-    [
-      stat.match_id,
-      stat.ea_player_id,
-      stat.player_name,
-      stat.club_id,
-      stat.club_name,
-      stat.goals,
-      stat.assists,
-      stat.passes_attempted,
-      stat.passes_made,
-      stat.tackles_attempted,
-      stat.tackles_made,
-      stat.man_of_the_match,
-      JSON.stringify(stat.raw_json),
-    ]
+async function updateClub(clubId, input) {
+  const existing = await getLeagueClub(clubId);
+  if (!existing) return null;
+
+  const club = normalizeClubInput(input, existing);
+  const response = await query(
+    `UPDATE clubs
+     SET name = $2,
+         conference = $3,
+         ea_club_id = $4,
+         logo_url = $5,
+         aliases = $6,
+         active = $7,
+         updated_at = now()
+     WHERE id = $1
+     RETURNING id, name, conference, ea_club_id, logo_url, aliases, active`,
+    [existing.id, club.name, club.conference, club.eaClubId, club.logo, club.aliases, club.active]
   );
+  return response.rows[0] ? mapClubRow(response.rows[0]) : null;
+}
 
-  return {
-    playerInserted: Boolean(playerResponse.rows[0]?.inserted),
-    playerMatchInserted: Boolean(playerMatchResponse.rows[0]?.inserted),
-    playerMatchSaved: playerMatchResponse.rowCount || 0,
-  };
+// Clubs are never deleted, since their games are still part of past standings
+// and archives; a club that leaves is marked inactive instead.
+async function deactivateClub(clubId) {
+  await ensureClubsTable();
+  const response = await query(
+    `UPDATE clubs
+     SET active = false,
+         updated_at = now()
+     WHERE id = $1
+     RETURNING id, name, conference, ea_club_id, logo_url, aliases, active`,
+    [String(clubId)]
+  );
+  return response.rows[0] ? mapClubRow(response.rows[0]) : null;
 }
 
-async function insertPlayerMatchStats(match, sourceClub) {
-  const stats = normalizePlayerMatchStats(match, sourceClub);
-  if (!stats.length) return 0;
+const NO_ACTIVE_SEASON_ERROR = 'no active season to record the match in; start a season first';
 
-  await ensurePlayerStatsTables();
-  let saved = 0;
-  for (const stat of stats) {
-    const logContext = {
-      matchId: stat.match_id,
-      clubId: stat.club_id,
-      clubName: stat.club_name,
-      playerId: stat.ea_player_id,
-      playername: stat.player_name,
-    };
-    console.log({ ...logContext }, 'Saving player match stats');
+// The "current" season is the open season, or the most recently created one
+// between closing a season and starting the next.
+const CURRENT_SEASON_SQL = `(
+  SELECT id
+  FROM seasons
+  ORDER BY (status = 'active') DESC, id DESC
+  LIMIT 1
+)`;
 
-    try {
-      const result = await upsertPlayerStat(stat);
-      saved += result.playerMatchSaved;
-      console.log({ ...logContext, result }, 'Player match stats upsert success');
-    } catch (error) {
-      console.error({ ...logContext, err: error }, 'Player match stats upsert failure');
+async function ensureSeasonsTable() {
+  if (!seasonsReadyPromise) {
+    seasonsReadyPromise = (async () => {
+      await ensureMatchesTable();
+
+      await query(`
+        CREATE TABLE IF NOT EXISTS seasons (
+          id serial PRIMARY KEY,
+          name text NOT NULL,
+          status text NOT NULL DEFAULT 'active',
+          started_at timestamp DEFAULT now(),
+          closed_at timestamp,
+          final_standings jsonb,
+          final_player_stats jsonb,
+          created_at timestamp DEFAULT now()
+        )
+      `);
+
+      await query(`
+        CREATE UNIQUE INDEX IF NOT EXISTS seasons_single_active_idx
+        ON seasons (status)
+        WHERE status = 'active'
+      `);
+
+      // Matches approved before seasons existed belong to the first season.
+      const countResponse = await query('SELECT COUNT(*)::integer AS count FROM seasons');
+      if (countResponse.rows[0]?.count > 0) return;
+
+      const seasonResponse = await query(`
+        INSERT INTO seasons (name, status)
+        VALUES ('Season 1', 'active')
+        RETURNING id
+      `);
+      await query(
+        `UPDATE matches
+         SET season_id = $1
+         WHERE status = 'approved'
+           AND season_id IS NULL`,
+        [seasonResponse.rows[0].id]
+      );
+    })().catch(error => {
+      seasonsReadyPromise = null;
       throw error;
-    }
+    });
   }
 
-  return saved;
+  return seasonsReadyPromise;
 }
 
-function normalizeMatchDate(timestamp) {
-  if (!timestamp) return null;
-  const date = new Date(timestamp);
-  return Number.isNaN(date.getTime()) ? null : date;
+function normalizeSeasonId(season) {
+  if (season === null || season === undefined || season === '' || season === 'current') return null;
+  const number = Number(season);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error('season must be a season id or current');
+  }
+  return number;
 }
 
-function mapMatchRowColumns() {
+function mapSeasonRowColumns() {
   return `
     id,
-    match_id,
-    source_club_id,
-    club_name,
-    opponent_name,
-    club_score,
-    opponent_score,
-    result,
-    match_date,
-    raw_json,
-    created_at,
+    name,
     status,
-    competition,
-    matchday,
-    series_id,
-    notes
+    started_at,
+    closed_at,
+    final_standings,
+    final_player_stats,
+    created_at
   `;
 }
 
-async function insertMatch(match, sourceClub) {
-  await ensurePlayerStatsTables();
-  const response = await query(
-    `INSERT INTO matches (
+async function getSeasons() {
+  await ensureSeasonsTable();
+  const response = await query(`
+    SELECT id, name, status, started_at, closed_at, created_at
+    FROM seasons
+    ORDER BY id DESC
+  `);
+  return response.rows;
+}
+
+async function getSeason(season = 'current') {
+  const seasonId = normalizeSeasonId(season);
+  await ensureSeasonsTable();
+  const response = await query(
+    `SELECT ${mapSeasonRowColumns()}
+     FROM seasons
+     WHERE id = COALESCE($1::integer, ${CURRENT_SEASON_SQL})`,
+    [seasonId]
+  );
+  return response.rows[0] || null;
+}
+
+async function createSeason(options = {}) {
+  await ensureSeasonsTable();
+  const name = String(options.name || '').trim();
+  if (!name) throw new Error('season name is required');
+
+  const activeResponse = await query(`SELECT id FROM seasons WHERE status = 'active'`);
+  if (activeResponse.rowCount > 0) {
+    throw new Error('close the active season before starting a new season');
+  }
+
+  const response = await query(
+    `INSERT INTO seasons (name, status)
+     VALUES ($1, 'active')
+     RETURNING ${mapSeasonRowColumns()}`,
+    [name]
+  );
+  return response.rows[0];
+}
+
+async function closeSeason(seasonId, archive = {}) {
+  await ensureSeasonsTable();
+  const response = await query(
+    `UPDATE seasons
+     SET status = 'closed',
+         closed_at = now(),
+         final_standings = $2,
+         final_player_stats = $3
+     WHERE id = $1
+       AND status = 'active'
+     RETURNING ${mapSeasonRowColumns()}`,
+    [normalizeSeasonId(seasonId), JSON.stringify(archive.standings || {}), JSON.stringify(archive.playerStats || [])]
+  );
+  return response.rows[0] || null;
+}
+
+async function ensureSeriesTable() {
+  if (!seriesReadyPromise) {
+    seriesReadyPromise = (async () => {
+      await ensureSeasonsTable();
+
+      await query(`
+        CREATE TABLE IF NOT EXISTS series (
+          id serial PRIMARY KEY,
+          season_id integer NOT NULL,
+          series_number integer NOT NULL,
+          week integer NOT NULL,
+          conference text NOT NULL,
+          home_club_id text NOT NULL,
+          away_club_id text NOT NULL,
+          best_of integer NOT NULL DEFAULT 3,
+          scheduled_date date,
+          created_at timestamp DEFAULT now(),
+          UNIQUE(season_id, series_number)
+        )
+      `);
+    })().catch(error => {
+      seriesReadyPromise = null;
+      throw error;
+    });
+  }
+
+  return seriesReadyPromise;
+}
+
+function mapSeriesRowColumns() {
+  return `
+    id,
+    season_id,
+    series_number,
+    week,
+    conference,
+    home_club_id,
+    away_club_id,
+    best_of,
+    to_char(scheduled_date, 'YYYY-MM-DD') AS scheduled_date,
+    created_at
+  `;
+}
+
+function normalizeWeek(week) {
+  if (week === null || week === undefined || week === '') return null;
+  const number = Number(week);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error('week must be a positive integer when provided');
+  }
+  return number;
+}
+
+function normalizeConferenceFilter(conference) {
+  if (conference === null || conference === undefined || conference === '') return null;
+  const value = String(conference).trim().toLowerCase();
+  if (!CONFERENCES.includes(value)) {
+    throw new Error(`conference must be ${CONFERENCES.join(' or ')}`);
+  }
+  return value;
+}
+
+async function getSeries(options = {}) {
+  const week = normalizeWeek(options.week);
+  const conference = normalizeConferenceFilter(options.conference);
+  const seasonId = normalizeSeasonId(options.seasonId);
+  const clubIds = Array.isArray(options.clubIds) ? options.clubIds.map(String) : null;
+  await ensureSeriesTable();
+  const response = await query(
+    `SELECT ${mapSeriesRowColumns()}
+     FROM series
+     WHERE season_id = COALESCE($1::integer, ${CURRENT_SEASON_SQL})
+       AND ($2::integer IS NULL OR week = $2)
+       AND ($3::text IS NULL OR conference = $3)
+       AND ($4::text[] IS NULL OR (home_club_id = ANY($4) AND away_club_id = ANY($4)))
+     ORDER BY week ASC, scheduled_date ASC NULLS LAST, series_number ASC`,
+    [seasonId, week, conference, clubIds]
+  );
+  return response.rows;
+}
+
+function normalizeSeriesId(seriesId) {
+  const id = Number(seriesId);
+  if (!Number.isInteger(id) || id < 1) throw new Error('seriesId must be a positive integer');
+  return id;
+}
+
+async function getSeriesById(seriesId) {
+  await ensureSeriesTable();
+  const id = normalizeSeriesId(seriesId);
+  const response = await query(
+    `SELECT ${mapSeriesRowColumns()}
+     FROM series
+     WHERE id = $1`,
+    [id]
+  );
+  return response.rows[0] || null;
+}
+
+// Approved league games linked to series, either for the given series ids or
+// for every series in a season.
+async function getSeriesGames(options = {}) {
+  await ensureSeriesTable();
+  const seriesIds = Array.isArray(options.seriesIds) ? options.seriesIds.map(String) : null;
+  const filter = seriesIds
+    ? 'series_id = ANY($1::text[])'
+    : `season_id = COALESCE($1::integer, ${CURRENT_SEASON_SQL})`;
+  const response = await query(
+    `SELECT ${mapMatchRowColumns()}
+     FROM matches
+     WHERE status = 'approved'
+       AND competition = 'league'
+       AND series_id IS NOT NULL
+       AND ${filter}
+     ORDER BY match_date ASC NULLS LAST, id ASC`,
+    [seriesIds || normalizeSeasonId(options.seasonId)]
+  );
+  return response.rows;
+}
+
+// The old schedule is only dropped once the whole new one is saved.
+async function replaceSeasonSeries(seasonId, schedule) {
+  await ensureSeriesTable();
+  const id = normalizeSeasonId(seasonId);
+  return withTransaction(async run => {
+    await run(
+      `UPDATE matches
+       SET series_id = NULL
+       WHERE series_id IN (SELECT id::text FROM series WHERE season_id = $1)`,
+      [id]
+    );
+    await run('DELETE FROM series WHERE season_id = $1', [id]);
+
+    const created = [];
+    for (const series of schedule) {
+      const response = await run(
+        `INSERT INTO series (
+          season_id,
+          series_number,
+          week,
+          conference,
+          home_club_id,
+          away_club_id,
+          best_of,
+          scheduled_date
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING ${mapSeriesRowColumns()}`,
+        [
+          id,
+          series.series_number,
+          series.week,
+          series.conference,
+          series.home_club_id,
+          series.away_club_id,
+          series.best_of,
+          series.scheduled_date,
+        ]
+      );
+      created.push(response.rows[0]);
+    }
+
+    return created;
+  });
+}
+
+async function assignMatchSeries(matchId, seriesId) {
+  await ensureSeriesTable();
+  const response = await query(
+    `UPDATE matches
+     SET series_id = $2
+     WHERE match_id = $1
+     RETURNING ${mapMatchRowColumns()}`,
+    [matchId, seriesId === null || seriesId === undefined ? null : String(seriesId)]
+  );
+  return response.rows[0] || null;
+}
+
+async function ensureStandingsSnapshotsTable() {
+  if (!snapshotsReadyPromise) {
+    snapshotsReadyPromise = (async () => {
+      await ensureSeasonsTable();
+
+      await query(`
+        CREATE TABLE IF NOT EXISTS standings_snapshots (
+          id serial PRIMARY KEY,
+          season_id integer NOT NULL,
+          match_id text,
+          matchday integer,
+          standings jsonb NOT NULL,
+          created_at timestamp DEFAULT now()
+        )
+      `);
+      await query(`
+        CREATE INDEX IF NOT EXISTS standings_snapshots_season_idx
+        ON standings_snapshots (season_id, id)
+      `);
+    })().catch(error => {
+      snapshotsReadyPromise = null;
+      throw error;
+    });
+  }
+
+  return snapshotsReadyPromise;
+}
+
+// In matchday mode there is one snapshot per matchday, replaced each time a
+// game from that matchday is approved.
+async function recordStandingsSnapshot({ seasonId, matchId = null, matchday = null, standings, perMatchday = false }) {
+  await ensureStandingsSnapshotsTable();
+  if (perMatchday) {
+    await query(
+      `DELETE FROM standings_snapshots
+       WHERE season_id = $1 AND matchday = $2`,
+      [seasonId, matchday]
+    );
+  }
+
+  const response = await query(
+    `INSERT INTO standings_snapshots (season_id, match_id, matchday, standings)
+     VALUES ($1, $2, $3, $4)
+     RETURNING id, season_id, match_id, matchday, standings, created_at`,
+    [seasonId, matchId, matchday, JSON.stringify(standings)]
+  );
+  return response.rows[0];
+}
+
+async function getStandingsSnapshots(options = {}) {
+  await ensureStandingsSnapshotsTable();
+  const order = options.perMatchday ? 'matchday ASC NULLS FIRST, id ASC' : 'id ASC';
+  const response = await query(
+    `SELECT id, season_id, match_id, matchday, standings, created_at
+     FROM standings_snapshots
+     WHERE season_id = COALESCE($1::integer, ${CURRENT_SEASON_SQL})
+     ORDER BY ${order}`,
+    [normalizeSeasonId(options.seasonId)]
+  );
+  return response.rows;
+}
+
+async function ensureNewsTable() {
+  if (!newsReadyPromise) {
+    newsReadyPromise = (async () => {
+      await query(`
+        CREATE TABLE IF NOT EXISTS news (
+          id serial PRIMARY KEY,
+          category text NOT NULL,
+          headline text NOT NULL,
+          body text,
+          graphic jsonb,
+          season_id integer,
+          match_id text,
+          dedupe_key text UNIQUE,
+          created_at timestamp DEFAULT now()
+        )
+      `);
+
+      await query(`
+        ALTER TABLE news
+          ADD COLUMN IF NOT EXISTS pinned boolean NOT NULL DEFAULT false,
+          ADD COLUMN IF NOT EXISTS published boolean NOT NULL DEFAULT true,
+          ADD COLUMN IF NOT EXISTS publish_at timestamp DEFAULT now(),
+          ADD COLUMN IF NOT EXISTS updated_at timestamp DEFAULT now()
+      `);
+      await query('UPDATE news SET publish_at = created_at WHERE publish_at IS NULL');
+
+      const countResponse = await query('SELECT COUNT(*)::integer AS count FROM news');
+      if (countResponse.rows[0]?.count > 0) return;
+
+      for (const [index, item] of DEFAULT_NEWS_ITEMS.entries()) {
+        await query(
+          `INSERT INTO news (category, headline, dedupe_key)
+           VALUES ($1, $2, $3)
+           ON CONFLICT (dedupe_key) DO NOTHING`,
+          [item.category, item.headline, `preseason:${index + 1}`]
+        );
+      }
+    })().catch(error => {
+      newsReadyPromise = null;
+      throw error;
+    });
+  }
+
+  return newsReadyPromise;
+}
+
+function mapNewsRowColumns() {
+  return `
+    id,
+    category,
+    headline,
+    body,
+    graphic,
+    season_id,
+    match_id,
+    pinned,
+    published,
+    publish_at,
+    CASE
+      WHEN NOT published THEN 'unpublished'
+      WHEN publish_at > now() THEN 'scheduled'
+      ELSE 'published'
+    END AS status,
+    created_at,
+    updated_at
+  `;
+}
+
+const NEWS_GRAPHIC_TYPES = ['standingsMovement'];
+
+function normalizeNewsGraphic(graphic) {
+  if (graphic === undefined || graphic === null || graphic === '') return null;
+  if (typeof graphic !== 'object' || Array.isArray(graphic)) {
+    throw new Error('graphic must be an object');
+  }
+  if (!NEWS_GRAPHIC_TYPES.includes(graphic.type)) {
+    throw new Error(`graphic type must be one of ${NEWS_GRAPHIC_TYPES.join(', ')}`);
+  }
+  if (!Array.isArray(graphic.rows) || graphic.rows.some(row => !row || typeof row !== 'object' || !String(row.team || '').trim())) {
+    throw new Error('graphic rows must be a list of rows with a team');
+  }
+  const cutoff = graphic.playoffCutoffRank;
+  if (cutoff !== undefined && cutoff !== null && (!Number.isInteger(Number(cutoff)) || Number(cutoff) < 1)) {
+    throw new Error('graphic playoffCutoffRank must be a positive integer');
+  }
+  return graphic;
+}
+
+function normalizeNewsDate(value, fallback) {
+  if (value === undefined) return fallback;
+  if (value === null || value === '') return new Date();
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new Error('publishAt must be a valid date');
+  return date;
+}
+
+// Validates an admin post, filling unspecified fields from `existing` when
+// editing. A missing publishAt publishes immediately.
+function normalizeNewsInput(input = {}, existing = null) {
+  const category = String(firstDefined(input.category, existing?.category) ?? '').trim();
+  const headline = String(firstDefined(input.headline, existing?.headline) ?? '').trim();
+  if (!category) throw new Error('category is required');
+  if (!headline) throw new Error('headline is required');
+
+  const body = input.body === undefined ? existing?.body ?? null : String(input.body ?? '').trim() || null;
+  return {
+    category,
+    headline,
+    body,
+    graphic: input.graphic === undefined ? existing?.graphic ?? null : normalizeNewsGraphic(input.graphic),
+    pinned: normalizeBooleanInput(input.pinned, existing?.pinned ?? false, 'pinned'),
+    published: normalizeBooleanInput(input.published, existing?.published ?? true, 'published'),
+    publishAt: normalizeNewsDate(input.publishAt, existing?.publish_at ?? new Date()),
+  };
+}
+
+function normalizePageNumber(value, fallback, name) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`${name} must be a positive integer`);
+  }
+  return number;
+}
+
+// Generated stories carry a dedupe key so re-approving a match or recomputing
+// a milestone never publishes the same story twice.
+async function createNewsItems(items = []) {
+  await ensureNewsTable();
+  const created = [];
+  for (const item of items) {
+    const response = await query(
+      `INSERT INTO news (category, headline, body, graphic, season_id, match_id, dedupe_key)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT (dedupe_key) DO NOTHING
+       RETURNING ${mapNewsRowColumns()}`,
+      [
+        item.category,
+        item.headline,
+        item.body ?? null,
+        item.graphic ? JSON.stringify(item.graphic) : null,
+        item.seasonId ?? null,
+        item.matchId ?? null,
+        item.dedupeKey ?? null,
+      ]
+    );
+    if (response.rows[0]) created.push(response.rows[0]);
+  }
+  return created;
+}
+
+// Rewrites generated stories that were already published, matched on their
+// dedupe key, after the result they describe was corrected. Stories that were
+// never published are not created.
+async function updateGeneratedNewsItems(items = []) {
+  await ensureNewsTable();
+  const updated = [];
+  for (const item of items) {
+    if (!item.dedupeKey) continue;
+    const response = await query(
+      `UPDATE news
+       SET category = $2,
+           headline = $3,
+           updated_at = now()
+       WHERE dedupe_key = $1
+       RETURNING ${mapNewsRowColumns()}`,
+      [item.dedupeKey, item.category, item.headline]
+    );
+    if (response.rows[0]) updated.push(response.rows[0]);
+  }
+  return updated;
+}
+
+// The public feed only shows published posts whose publish time has passed,
+// pinned posts first; admins see every post.
+async function getNews(options = {}) {
+  const page = normalizePageNumber(options.page, 1, 'page');
+  const pageSize = Math.min(normalizePageNumber(options.pageSize, NEWS_PAGE_SIZE, 'pageSize'), MAX_NEWS_PAGE_SIZE);
+  await ensureNewsTable();
+
+  const where = options.includeUnpublished ? '' : 'WHERE published AND publish_at <= now()';
+  const [itemsResponse, countResponse] = await Promise.all([
+    query(
+      `SELECT ${mapNewsRowColumns()}
+       FROM news
+       ${where}
+       ORDER BY pinned DESC, publish_at DESC, id DESC
+       LIMIT $1 OFFSET $2`,
+      [pageSize, (page - 1) * pageSize]
+    ),
+    query(`SELECT COUNT(*)::integer AS count FROM news ${where}`),
+  ]);
+
+  return {
+    items: itemsResponse.rows,
+    page,
+    pageSize,
+    total: countResponse.rows[0]?.count || 0,
+  };
+}
+
+async function getNewsItem(newsId) {
+  const id = Number(newsId);
+  if (!Number.isInteger(id) || id < 1) return null;
+  await ensureNewsTable();
+  const response = await query(`SELECT ${mapNewsRowColumns()} FROM news WHERE id = $1`, [id]);
+  return response.rows[0] || null;
+}
+
+async function createNewsPost(input) {
+  const post = normalizeNewsInput(input);
+  await ensureNewsTable();
+  const response = await query(
+    `INSERT INTO news (category, headline, body, graphic, pinned, published, publish_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING ${mapNewsRowColumns()}`,
+    [post.category, post.headline, post.body, post.graphic ? JSON.stringify(post.graphic) : null, post.pinned, post.published, post.publishAt]
+  );
+  return response.rows[0];
+}
+
+async function updateNewsPost(newsId, input) {
+  const existing = await getNewsItem(newsId);
+  if (!existing) return null;
+
+  const post = normalizeNewsInput(input, existing);
+  const response = await query(
+    `UPDATE news
+     SET category = $2,
+         headline = $3,
+         body = $4,
+         graphic = $5,
+         pinned = $6,
+         published = $7,
+         publish_at = $8,
+         updated_at = now()
+     WHERE id = $1
+     RETURNING ${mapNewsRowColumns()}`,
+    [existing.id, post.category, post.headline, post.body, post.graphic ? JSON.stringify(post.graphic) : null, post.pinned, post.published, post.publishAt]
+  );
+  return response.rows[0] || null;
+}
+
+async function deleteNewsPost(newsId) {
+  const id = Number(newsId);
+  if (!Number.isInteger(id) || id < 1) return false;
+  await ensureNewsTable();
+  const response = await query('DELETE FROM news WHERE id = $1', [id]);
+  return response.rowCount > 0;
+}
+
+async function getMatchPlayerStats(matchId, run = query) {
+  await ensurePlayerStatsTables();
+  const response = await run(
+    `SELECT match_id, ea_player_id, player_name, club_id, club_name, goals, assists,
+            passes_attempted, passes_made, tackles_attempted, tackles_made, man_of_the_match, original_json
+     FROM player_match_stats
+     WHERE match_id = $1
+     ORDER BY goals DESC, player_name ASC`,
+    [matchId]
+  );
+  return response.rows;
+}
+
+async function ensurePlayerStatsTables() {
+  if (!playerStatsReadyPromise) {
+    playerStatsReadyPromise = (async () => {
+      await ensureMatchesTable();
+
+      await query(`
+        CREATE TABLE IF NOT EXISTS players (
+          id serial PRIMARY KEY,
+          ea_player_id text UNIQUE,
+          player_name text NOT NULL,
+          club_id text,
+          club_name text,
+          position text,
+          avatar_url text,
+          active boolean DEFAULT true,
+          created_at timestamp DEFAULT now()
+        )
+      `);
+
+      await query(`
+        CREATE TABLE IF NOT EXISTS player_match_stats (
+          id serial PRIMARY KEY,
+          match_id text NOT NULL,
+          ea_player_id text,
+          player_name text NOT NULL,
+          club_id text,
+          club_name text,
+          goals integer DEFAULT 0,
+          assists integer DEFAULT 0,
+          passes_attempted integer DEFAULT 0,
+          passes_made integer DEFAULT 0,
+          tackles_attempted integer DEFAULT 0,
+          tackles_made integer DEFAULT 0,
+          man_of_the_match boolean DEFAULT false,
+          raw_json jsonb,
+          created_at timestamp DEFAULT now(),
+          UNIQUE(match_id, ea_player_id)
+        )
+      `);
+
+      await query(`
+        ALTER TABLE player_match_stats
+          ADD COLUMN IF NOT EXISTS original_json jsonb
+      `);
+      await query('CREATE INDEX IF NOT EXISTS player_match_stats_player_idx ON player_match_stats (ea_player_id)');
+
+      // One identity per person. Each `players` row is one EA account (or a
+      // manual entry) and belongs to exactly one identity.
+      await query(`
+        CREATE TABLE IF NOT EXISTS player_identities (
+          id serial PRIMARY KEY,
+          display_name text,
+          created_at timestamptz NOT NULL DEFAULT now()
+        )
+      `);
+      await query(`
+        ALTER TABLE players
+          ADD COLUMN IF NOT EXISTS identity_id integer REFERENCES player_identities(id)
+      `);
+      await query(`
+        CREATE TABLE IF NOT EXISTS player_aliases (
+          ea_player_id text NOT NULL,
+          alias text NOT NULL,
+          first_seen_at timestamptz NOT NULL DEFAULT now(),
+          last_seen_at timestamptz NOT NULL DEFAULT now(),
+          PRIMARY KEY (ea_player_id, alias)
+        )
+      `);
+      await query(`
+        CREATE TABLE IF NOT EXISTS player_club_stints (
+          id serial PRIMARY KEY,
+          identity_id integer NOT NULL REFERENCES player_identities(id) ON DELETE CASCADE,
+          club_id text NOT NULL,
+          club_name text,
+          started_at timestamptz,
+          ended_at timestamptz,
+          matches integer NOT NULL DEFAULT 0
+        )
+      `);
+      await query('CREATE INDEX IF NOT EXISTS player_club_stints_identity_idx ON player_club_stints (identity_id, started_at)');
+      await backfillPlayerIdentities();
+    })().catch(error => {
+      playerStatsReadyPromise = null;
+      throw error;
+    });
+  }
+
+  return playerStatsReadyPromise;
+}
+
+// Gives every player account an identity and, on first run, fills aliases
+// and club stints from the match stats already saved.
+async function backfillPlayerIdentities() {
+  await query(`
+    WITH missing AS (
+      SELECT id, ROW_NUMBER() OVER (ORDER BY id) AS position
+      FROM players
+      WHERE identity_id IS NULL
+    ), created AS (
+      INSERT INTO player_identities (display_name)
+      SELECT NULL FROM missing
+      RETURNING id
+    ), numbered AS (
+      SELECT id, ROW_NUMBER() OVER (ORDER BY id) AS position FROM created
+    )
+    UPDATE players p
+    SET identity_id = numbered.id
+    FROM missing
+    INNER JOIN numbered USING (position)
+    WHERE p.id = missing.id
+  `);
+  await query(`
+    INSERT INTO player_aliases (ea_player_id, alias, first_seen_at, last_seen_at)
+    SELECT pms.ea_player_id, pms.player_name,
+      MIN(COALESCE(m.match_date, pms.created_at)),
+      MAX(COALESCE(m.match_date, pms.created_at))
+    FROM player_match_stats pms
+    LEFT JOIN matches m ON m.match_id = pms.match_id
+    WHERE pms.ea_player_id IS NOT NULL
+      AND NOT EXISTS (SELECT 1 FROM player_aliases)
+    GROUP BY pms.ea_player_id, pms.player_name
+  `);
+  const stints = await query('SELECT EXISTS (SELECT 1 FROM player_club_stints) AS present');
+  if (!stints.rows[0]?.present) await rebuildPlayerClubStints();
+}
+
+// Stints are rebuilt from saved appearances: consecutive games for the same
+// club form one stint, so games synced out of order still land in the right
+// place. Rejected games are left out. Pass null to rebuild every identity.
+async function rebuildPlayerClubStints(identityIds = null, run = query) {
+  const ids = identityIds ? identityIds.map(Number) : null;
+  await run('DELETE FROM player_club_stints WHERE $1::integer[] IS NULL OR identity_id = ANY($1::integer[])', [ids]);
+  await run(`
+    WITH appearances AS (
+      SELECT p.identity_id, pms.club_id, pms.club_name, pms.match_id,
+        COALESCE(m.match_date, pms.created_at) AS played_at
+      FROM player_match_stats pms
+      INNER JOIN players p ON p.ea_player_id = pms.ea_player_id
+      LEFT JOIN matches m ON m.match_id = pms.match_id
+      WHERE pms.club_id IS NOT NULL
+        AND p.identity_id IS NOT NULL
+        AND m.status IS DISTINCT FROM 'rejected'
+        AND ($1::integer[] IS NULL OR p.identity_id = ANY($1::integer[]))
+    ), runs AS (
+      SELECT *,
+        ROW_NUMBER() OVER (PARTITION BY identity_id ORDER BY played_at, match_id)
+          - ROW_NUMBER() OVER (PARTITION BY identity_id, club_id ORDER BY played_at, match_id) AS stint_group
+      FROM appearances
+    )
+    INSERT INTO player_club_stints (identity_id, club_id, club_name, started_at, ended_at, matches)
+    SELECT identity_id, club_id,
+      (ARRAY_AGG(club_name ORDER BY played_at DESC) FILTER (WHERE club_name IS NOT NULL))[1],
+      MIN(played_at), MAX(played_at), COUNT(DISTINCT match_id)
+    FROM runs
+    GROUP BY identity_id, club_id, stint_group
+  `, [ids]);
+  // An account's current club is the club of its identity's latest stint.
+  await run(`
+    UPDATE players p
+    SET club_id = latest.club_id,
+        club_name = latest.club_name
+    FROM (
+      SELECT DISTINCT ON (identity_id) identity_id, club_id, club_name
+      FROM player_club_stints
+      WHERE $1::integer[] IS NULL OR identity_id = ANY($1::integer[])
+      ORDER BY identity_id, ended_at DESC NULLS LAST, id DESC
+    ) latest
+    WHERE p.identity_id = latest.identity_id
+  `, [ids]);
+}
+
+function normalizePlayerIdentityId(value, label = 'player id') {
+  const id = Number(value);
+  if (!Number.isInteger(id) || id < 1) throw new Error(`${label} must be a positive integer`);
+  return id;
+}
+
+function normalizeIdentityDisplayName(value) {
+  if (value === undefined) return undefined;
+  if (value === null) return null;
+  const name = String(value).trim();
+  if (name.length > 60) throw new Error('displayName must be 60 characters or fewer');
+  return name || null;
+}
+
+// Validates `{ targetId, sourceIds, displayName }` for a merge.
+function normalizePlayerMergeInput(input = {}) {
+  const targetId = normalizePlayerIdentityId(input.targetId, 'targetId');
+  if (!Array.isArray(input.sourceIds) || !input.sourceIds.length) {
+    throw new Error('sourceIds must list at least one player id');
+  }
+  const sourceIds = [...new Set(input.sourceIds.map(id => normalizePlayerIdentityId(id, 'sourceIds')))];
+  if (sourceIds.includes(targetId)) throw new Error('sourceIds must not include targetId');
+  return { targetId, sourceIds, displayName: normalizeIdentityDisplayName(input.displayName) };
+}
+
+// Validates `{ eaPlayerIds, displayName }` for a split.
+function normalizePlayerSplitInput(input = {}) {
+  if (!Array.isArray(input.eaPlayerIds) || !input.eaPlayerIds.length) {
+    throw new Error('eaPlayerIds must list at least one account');
+  }
+  const eaPlayerIds = [...new Set(input.eaPlayerIds.map(id => String(id ?? '').trim()))];
+  if (eaPlayerIds.some(id => !id)) throw new Error('eaPlayerIds must not be empty');
+  return { eaPlayerIds, displayName: normalizeIdentityDisplayName(input.displayName) };
+}
+
+async function getPlayerIdentity(identityId, run = query) {
+  const id = normalizePlayerIdentityId(identityId);
+  await ensurePlayerStatsTables();
+  const identity = await run('SELECT id, display_name, created_at FROM player_identities WHERE id = $1', [id]);
+  if (!identity.rows[0]) return null;
+
+  const [accounts, aliases, stints] = await Promise.all([
+    run(
+      `SELECT ea_player_id, player_name, club_id, club_name, position, avatar_url, active
+       FROM players
+       WHERE identity_id = $1
+       ORDER BY id ASC`,
+      [id]
+    ),
+    run(
+      `SELECT pa.ea_player_id, pa.alias, pa.first_seen_at, pa.last_seen_at
+       FROM player_aliases pa
+       INNER JOIN players p ON p.ea_player_id = pa.ea_player_id
+       WHERE p.identity_id = $1
+       ORDER BY pa.last_seen_at DESC, pa.alias ASC`,
+      [id]
+    ),
+    run(
+      `SELECT club_id, club_name, started_at, ended_at, matches
+       FROM player_club_stints
+       WHERE identity_id = $1
+       ORDER BY started_at ASC NULLS FIRST, id ASC`,
+      [id]
+    ),
+  ]);
+  const row = identity.rows[0];
+  return {
+    ...row,
+    // The admin-set name wins; otherwise the most recently seen gamertag.
+    player_name: row.display_name || aliases.rows[0]?.alias || accounts.rows[0]?.player_name || null,
+    accounts: accounts.rows,
+    aliases: aliases.rows,
+    stints: stints.rows,
+  };
+}
+
+// Identities matching a gamertag, current or past.
+async function searchPlayerIdentities(options = {}) {
+  await ensurePlayerStatsTables();
+  const search = String(options.search || '').trim();
+  const limit = Math.min(normalizePageNumber(options.limit, 20, 'limit'), 100);
+  const response = await query(
+    `SELECT i.id,
+       COALESCE(i.display_name, (ARRAY_AGG(pa.alias ORDER BY pa.last_seen_at DESC))[1], MIN(p.player_name)) AS player_name,
+       ARRAY_REMOVE(ARRAY_AGG(DISTINCT pa.alias), NULL) AS aliases,
+       ARRAY_AGG(DISTINCT p.ea_player_id) AS ea_player_ids
+     FROM player_identities i
+     INNER JOIN players p ON p.identity_id = i.id
+     LEFT JOIN player_aliases pa ON pa.ea_player_id = p.ea_player_id
+     GROUP BY i.id
+     HAVING $1 = ''
+       OR BOOL_OR(pa.alias ILIKE '%' || $1 || '%')
+       OR BOOL_OR(p.player_name ILIKE '%' || $1 || '%')
+       OR BOOL_OR(i.display_name ILIKE '%' || $1 || '%')
+     ORDER BY player_name ASC, i.id ASC
+     LIMIT $2`,
+    [search.replace(/[\\%_]/g, match => `\\${match}`), limit]
+  );
+  return response.rows;
+}
+
+// Moves every account of the source identities onto the target and deletes
+// the sources. Resolves to the merged identity, or null when one is missing.
+async function mergePlayerIdentities(input) {
+  const { targetId, sourceIds, displayName } = normalizePlayerMergeInput(input);
+  await ensurePlayerStatsTables();
+
+  return withTransaction(async run => {
+    const ids = [targetId, ...sourceIds];
+    const found = await run('SELECT id FROM player_identities WHERE id = ANY($1::integer[]) FOR UPDATE', [ids]);
+    if (found.rows.length !== ids.length) return null;
+
+    await run('UPDATE players SET identity_id = $1 WHERE identity_id = ANY($2::integer[])', [targetId, sourceIds]);
+    await run('DELETE FROM player_identities WHERE id = ANY($1::integer[])', [sourceIds]);
+    if (displayName !== undefined) {
+      await run('UPDATE player_identities SET display_name = $2 WHERE id = $1', [targetId, displayName]);
+    }
+    await rebuildPlayerClubStints([targetId], run);
+    return getPlayerIdentity(targetId, run);
+  });
+}
+
+// Moves the given accounts off an identity into a new one. Resolves to
+// `{ source, split }`, or null when the identity does not exist.
+async function splitPlayerIdentity(identityId, input) {
+  const id = normalizePlayerIdentityId(identityId);
+  const { eaPlayerIds, displayName } = normalizePlayerSplitInput(input);
+  await ensurePlayerStatsTables();
+
+  return withTransaction(async run => {
+    const identity = await run('SELECT id FROM player_identities WHERE id = $1 FOR UPDATE', [id]);
+    if (!identity.rows[0]) return null;
+
+    const accounts = await run('SELECT ea_player_id FROM players WHERE identity_id = $1', [id]);
+    const owned = new Set(accounts.rows.map(row => row.ea_player_id));
+    const missing = eaPlayerIds.filter(eaPlayerId => !owned.has(eaPlayerId));
+    if (missing.length) throw new Error(`eaPlayerIds ${missing.join(', ')} do not belong to player ${id}`);
+    if (eaPlayerIds.length === owned.size) throw new Error('eaPlayerIds must leave at least one account on the player');
+
+    const created = await run('INSERT INTO player_identities (display_name) VALUES ($1) RETURNING id', [displayName ?? null]);
+    const splitId = created.rows[0].id;
+    await run('UPDATE players SET identity_id = $1 WHERE ea_player_id = ANY($2::text[])', [splitId, eaPlayerIds]);
+    await rebuildPlayerClubStints([id, splitId], run);
+    return {
+      source: await getPlayerIdentity(id, run),
+      split: await getPlayerIdentity(splitId, run),
+    };
+  });
+}
+
+// Every approved game an identity played, newest first, across all of its
+// accounts, with the match's current (corrected) home and away clubs. Pass
+// `seasonId` to keep to one season.
+async function getPlayerMatchLog(identityId, options = {}) {
+  const id = normalizePlayerIdentityId(identityId);
+  await ensureMatchesTable();
+  await ensurePlayerStatsTables();
+  const response = await query(
+    `SELECT
+       pms.match_id,
+       pms.ea_player_id,
+       pms.player_name,
+       pms.club_id,
+       pms.club_name,
+       pms.goals,
+       pms.assists,
+       pms.passes_attempted,
+       pms.passes_made,
+       pms.tackles_attempted,
+       pms.tackles_made,
+       pms.man_of_the_match,
+       pms.raw_json->>'rating' AS rating,
+       pms.raw_json->>'pos' AS position,
+       m.club_name AS home_club_name,
+       m.opponent_name AS away_club_name,
+       m.club_score AS home_score,
+       m.opponent_score AS away_score,
+       m.competition,
+       m.matchday,
+       m.season_id,
+       m.forfeit,
+       COALESCE(m.match_date, m.created_at) AS played_at
+     FROM player_match_stats pms
+     INNER JOIN players p ON p.ea_player_id = pms.ea_player_id
+     INNER JOIN matches m ON m.match_id = pms.match_id
+     WHERE p.identity_id = $1
+       AND m.status = 'approved'
+       AND ($2::integer IS NULL OR m.season_id = $2::integer)
+     ORDER BY COALESCE(m.match_date, m.created_at) DESC, m.match_id DESC`,
+    [id, normalizeSeasonId(options.seasonId)]
+  );
+  return response.rows;
+}
+
+// One row per player identity, so renamed gamertags and merged accounts are
+// counted once. `clubs` splits the totals by the league club each game was
+// played for, in the order the player joined them; `club_name` is the latest.
+async function getPlayerStats(options = {}) {
+  await ensurePlayerStatsTables();
+  await ensureSeasonsTable();
+  const clubs = await getLeagueClubs();
+  if (!clubs.length) return [];
+  const aliasParams = getLeagueClubAliasParams(clubs);
+  const seasonParam = `$${aliasParams.length + 1}`;
+  const response = await query(`
+    WITH league_club_aliases(club_id, club_name, normalized_alias) AS (
+      VALUES ${getLeagueClubAliasSql(clubs)}
+    ), official_league_matches AS (
+      SELECT m.match_id, COALESCE(m.match_date, m.created_at) AS played_at
+      FROM matches m
+      INNER JOIN league_club_aliases home_club
+        ON ${getSqlNormalizedName('m.club_name')} = home_club.normalized_alias
+      INNER JOIN league_club_aliases away_club
+        ON ${getSqlNormalizedName('m.opponent_name')} = away_club.normalized_alias
+      WHERE m.status = 'approved'
+        AND m.competition = 'league'
+        AND m.season_id = COALESCE(${seasonParam}::integer, ${CURRENT_SEASON_SQL})
+        AND home_club.club_id <> away_club.club_id
+    ), appearances AS (
+      SELECT
+        COALESCE('identity:' || p.identity_id, 'player:' || COALESCE(pms.ea_player_id, pms.player_name)) AS player_key,
+        p.identity_id,
+        pms.ea_player_id,
+        pms.player_name,
+        COALESCE(player_club.club_id, pms.club_id) AS club_id,
+        COALESCE(player_club.club_name, NULLIF(pms.club_name, ''), '') AS club_name,
+        pms.match_id,
+        pms.goals,
+        pms.assists,
+        pms.passes_attempted,
+        pms.passes_made,
+        pms.tackles_attempted,
+        pms.tackles_made,
+        pms.man_of_the_match,
+        olm.played_at
+      FROM player_match_stats pms
+      INNER JOIN official_league_matches olm ON olm.match_id = pms.match_id
+      LEFT JOIN players p ON p.ea_player_id = pms.ea_player_id
+      LEFT JOIN league_club_aliases player_club
+        ON ${getSqlNormalizedName('pms.club_name')} = player_club.normalized_alias
+    ), club_splits AS (
+      SELECT
+        player_key,
+        club_id,
+        MAX(club_name) AS club_name,
+        COUNT(DISTINCT match_id)::integer AS matches_played,
+        COALESCE(SUM(goals), 0)::integer AS goals,
+        COALESCE(SUM(assists), 0)::integer AS assists,
+        COALESCE(SUM(passes_attempted), 0)::integer AS passes_attempted,
+        COALESCE(SUM(passes_made), 0)::integer AS passes_made,
+        COALESCE(SUM(tackles_attempted), 0)::integer AS tackles_attempted,
+        COALESCE(SUM(tackles_made), 0)::integer AS tackles_made,
+        COALESCE(SUM(CASE WHEN man_of_the_match THEN 1 ELSE 0 END), 0)::integer AS motm_count,
+        MIN(played_at) AS first_played_at,
+        MAX(played_at) AS last_played_at
+      FROM appearances
+      GROUP BY player_key, club_id
+    ), latest_names AS (
+      SELECT DISTINCT ON (player_key) player_key, identity_id, player_name
+      FROM appearances
+      ORDER BY player_key, played_at DESC NULLS LAST
+    ), totals AS (
+      SELECT
+        player_key,
+        (ARRAY_AGG(club_name ORDER BY last_played_at DESC NULLS LAST))[1] AS club_name,
+        SUM(matches_played)::integer AS matches_played,
+        SUM(goals)::integer AS goals,
+        SUM(assists)::integer AS assists,
+        SUM(passes_attempted)::integer AS passes_attempted,
+        SUM(passes_made)::integer AS passes_made,
+        SUM(tackles_attempted)::integer AS tackles_attempted,
+        SUM(tackles_made)::integer AS tackles_made,
+        SUM(motm_count)::integer AS motm_count,
+        JSONB_AGG(JSONB_BUILD_OBJECT(
+          'club_id', club_id,
+          'club_name', club_name,
+          'matches_played', matches_played,
+          'goals', goals,
+          'assists', assists,
+          'passes_attempted', passes_attempted,
+          'passes_made', passes_made,
+          'tackles_attempted', tackles_attempted,
+          'tackles_made', tackles_made,
+          'motm_count', motm_count
+        ) ORDER BY first_played_at ASC NULLS FIRST) AS clubs
+      FROM club_splits
+      GROUP BY player_key
+    )
+    SELECT
+      n.identity_id AS player_id,
+      COALESCE(i.display_name, n.player_name) AS player_name,
+      COALESCE(t.club_name, '') AS club_name,
+      t.matches_played AS league_matches,
+      t.matches_played,
+      t.goals,
+      t.assists,
+      t.passes_attempted,
+      t.passes_made,
+      CASE
+        WHEN t.passes_attempted = 0 THEN 0
+        ELSE ROUND((t.passes_made::numeric / t.passes_attempted) * 100, 1)
+      END::float AS pass_percentage,
+      t.tackles_attempted,
+      t.tackles_made,
+      CASE
+        WHEN t.tackles_attempted = 0 THEN 0
+        ELSE ROUND((t.tackles_made::numeric / t.tackles_attempted) * 100, 1)
+      END::float AS tackle_percentage,
+      t.motm_count,
+      COALESCE((
+        SELECT ARRAY_AGG(DISTINCT a.ea_player_id)
+        FROM appearances a
+        WHERE a.player_key = t.player_key AND a.ea_player_id IS NOT NULL
+      ), ARRAY[]::text[]) AS ea_player_ids,
+      COALESCE((
+        SELECT ARRAY_AGG(DISTINCT pa.alias)
+        FROM players ap
+        INNER JOIN player_aliases pa ON pa.ea_player_id = ap.ea_player_id
+        WHERE ap.identity_id = n.identity_id
+      ), ARRAY[n.player_name]) AS aliases,
+      t.clubs
+    FROM totals t
+    INNER JOIN latest_names n ON n.player_key = t.player_key
+    LEFT JOIN player_identities i ON i.id = n.identity_id
+    ORDER BY t.goals DESC, t.assists DESC, t.motm_count DESC, player_name ASC
+  `, [...aliasParams, normalizeSeasonId(options.seasonId)]);
+  return response.rows;
+}
+
+
+function firstDefined(...values) {
+  return values.find(value => value !== undefined && value !== null && value !== '');
+}
+
+function toInteger(value, fallback = 0) {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.trunc(number) : fallback;
+}
+
+function toBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'number') return value === 1;
+  const normalized = String(value ?? '').trim().toLowerCase();
+  return ['1', 'true', 'yes', 'y'].includes(normalized);
+}
+
+// Strict counterpart to toBoolean for admin input: only real booleans are
+// accepted, and an omitted field keeps `fallback`.
+function normalizeBooleanInput(value, fallback, name) {
+  if (value === undefined) return fallback;
+  if (typeof value !== 'boolean') throw new Error(`${name} must be true or false`);
+  return value;
+}
+
+function getPlayerName(player) {
+  return firstDefined(player.playername);
+}
+
+function normalizePlayerMatchStats(match) {
+  const rawMatch = match?.raw || match?.raw_json || match || {};
+  const rawPlayers = rawMatch.players;
+  if (!rawPlayers || typeof rawPlayers !== 'object' || Array.isArray(rawPlayers)) return [];
+
+  const rows = [];
+  for (const [clubId, playersForClub] of Object.entries(rawPlayers)) {
+    if (!playersForClub || typeof playersForClub !== 'object') continue;
+    const clubName = rawMatch.clubs?.[clubId]?.details?.name;
+
+    for (const [playerId, player] of Object.entries(playersForClub)) {
+      if (!player || typeof player !== 'object') continue;
+      const playerName = getPlayerName(player);
+      if (!playerName) continue;
+
+      rows.push({
+        match_id: match.match_id || match.id || rawMatch.matchId || rawMatch.matchid || rawMatch.id,
+        ea_player_id: String(playerId),
+        player_name: String(playerName),
+        club_id: String(clubId),
+        club_name: clubName ? String(clubName) : null,
+        position: firstDefined(player.pos, null),
+        goals: toInteger(player.goals || 0),
+        assists: toInteger(player.assists || 0),
+        passes_attempted: toInteger(player.passattempts || 0),
+        passes_made: toInteger(player.passesmade || 0),
+        tackles_attempted: toInteger(player.tackleattempts || 0),
+        tackles_made: toInteger(player.tacklesmade || 0),
+        man_of_the_match: player.mom === '1',
+        raw_json: player,
+      });
+    }
+  }
+
+  return rows.filter(row => row.match_id && row.ea_player_id && row.player_name);
+}
+
+async function upsertPlayerStat(stat, run = query) {
+  const playerResponse = await run(
+    `INSERT INTO players (
+      ea_player_id,
+      player_name,
+      club_id,
+      club_name,
+      position
+    ) VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (ea_player_id) DO UPDATE
+    SET player_name = EXCLUDED.player_name,
+        position = COALESCE(EXCLUDED.position, players.position),
+        active = true
+    RETURNING id, identity_id, (xmax = 0) AS inserted`,
+    [stat.ea_player_id, stat.player_name, stat.club_id, stat.club_name, stat.position]
+  );
+  const player = playerResponse.rows[0];
+  let identityId = player?.identity_id || null;
+  if (player && !identityId) {
+    const identity = await run('INSERT INTO player_identities DEFAULT VALUES RETURNING id');
+    identityId = identity.rows[0].id;
+    await run('UPDATE players SET identity_id = $2 WHERE id = $1', [player.id, identityId]);
+  }
+
+  // A gamertag is seen when the game was played, not when it was synced.
+  await run(
+    `INSERT INTO player_aliases (ea_player_id, alias, first_seen_at, last_seen_at)
+     SELECT $1, $2, seen.seen_at, seen.seen_at
+     FROM (SELECT COALESCE((SELECT match_date FROM matches WHERE match_id = $3), now()) AS seen_at) seen
+     ON CONFLICT (ea_player_id, alias) DO UPDATE
+     SET first_seen_at = LEAST(player_aliases.first_seen_at, EXCLUDED.first_seen_at),
+         last_seen_at = GREATEST(player_aliases.last_seen_at, EXCLUDED.last_seen_at)`,
+    [stat.ea_player_id, stat.player_name, stat.match_id]
+  );
+
+  const playerMatchResponse = await run(
+    `INSERT INTO player_match_stats (
       match_id,
-      source_club_id,
+      ea_player_id,
+      player_name,
+      club_id,
       club_name,
-      opponent_name,
-      club_score,
-      opponent_score,
-      result,
-      match_date,
-      raw_json,
-      status,
-      competition
-    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'pending', 'friendly')
-    ON CONFLICT (match_id) DO NOTHING
-    RETURNING id`,
+      goals,
+      assists,
+      passes_attempted,
+      passes_made,
+      tackles_attempted,
+      tackles_made,
+      man_of_the_match,
+      raw_json
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+    ON CONFLICT (match_id, ea_player_id) DO UPDATE
+    SET player_name = EXCLUDED.player_name,
+        club_id = EXCLUDED.club_id,
+        club_name = EXCLUDED.club_name,
+        goals = EXCLUDED.goals,
+        assists = EXCLUDED.assists,
+        passes_attempted = EXCLUDED.passes_attempted,
+        passes_made = EXCLUDED.passes_made,
+        tackles_attempted = EXCLUDED.tackles_attempted,
+        tackles_made = EXCLUDED.tackles_made,
+        man_of_the_match = EXCLUDED.man_of_the_match,
+        raw_json = EXCLUDED.raw_json
+    WHERE player_match_stats.original_json IS NULL
+    RETURNING (xmax = 0) AS inserted`,
+    [
+      stat.match_id,
+      stat.ea_player_id,
+      stat.player_name,
+      stat.club_id,
+      stat.club_name,
+      stat.goals,
+      stat.assists,
+      stat.passes_attempted,
+      stat.passes_made,
+      stat.tackles_attempted,
+      stat.tackles_made,
+      stat.man_of_the_match,
+      JSON.stringify(stat.raw_json),
+    ]
+  );
+
+  return {
+    identityId,
+    playerInserted: Boolean(player?.inserted),
+    playerMatchInserted: Boolean(playerMatchResponse.rows[0]?.inserted),
+    playerMatchSaved: playerMatchResponse.rowCount || 0,
+  };
+}
+
+async function insertPlayerMatchStats(match, sourceClub, run = query) {
+  const stats = normalizePlayerMatchStats(match, sourceClub);
+  if (!stats.length) return 0;
+
+  await ensurePlayerStatsTables();
+  let saved = 0;
+  const identityIds = new Set();
+  for (const stat of stats) {
+    const logContext = {
+      matchId: stat.match_id,
+      clubId: stat.club_id,
+      clubName: stat.club_name,
+      playerId: stat.ea_player_id,
+      playername: stat.player_name,
+    };
+    console.log({ ...logContext }, 'Saving player match stats');
+
+    try {
+      const result = await upsertPlayerStat(stat, run);
+      saved += result.playerMatchSaved;
+      if (result.identityId) identityIds.add(result.identityId);
+      console.log({ ...logContext, result }, 'Player match stats upsert success');
+    } catch (error) {
+      console.error({ ...logContext, err: error }, 'Player match stats upsert failure');
+      throw error;
+    }
+  }
+
+  // One stint rebuild per match, for every identity that played in it.
+  if (identityIds.size) await rebuildPlayerClubStints([...identityIds], run);
+  return saved;
+}
+
+function normalizeMatchDate(timestamp) {
+  if (!timestamp) return null;
+  const date = new Date(timestamp);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function mapMatchRowColumns() {
+  return `
+    id,
+    match_id,
+    source_club_id,
+    club_name,
+    opponent_name,
+    club_score,
+    opponent_score,
+    result,
+    match_date,
+    raw_json,
+    created_at,
+    status,
+    competition,
+    matchday,
+    series_id,
+    notes,
+    season_id,
+    forfeit,
+    original_json,
+    corrected_at,
+    match_type
+  `;
+}
+
+// The match row and its player rows are written in one transaction.
+async function insertMatch(match, sourceClub) {
+  await ensurePlayerStatsTables();
+  return withTransaction(async run => {
+    const response = await run(
+      `INSERT INTO matches (
+        match_id,
+        source_club_id,
+        club_name,
+        opponent_name,
+        club_score,
+        opponent_score,
+        result,
+        match_date,
+        raw_json,
+        status,
+        competition,
+        match_type
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'pending', 'friendly', $10)
+      ON CONFLICT (match_id) DO NOTHING
+      RETURNING id`,
+      [
+        match.id,
+        sourceClub.id,
+        match.team?.name || sourceClub.name || null,
+        match.opponent?.name || null,
+        match.score?.for ?? null,
+        match.score?.against ?? null,
+        match.result || null,
+        normalizeMatchDate(match.timestamp),
+        JSON.stringify(match.raw || match),
+        match.matchType || 'friendlyMatch',
+      ]
+    );
+
+    await insertPlayerMatchStats(match, sourceClub, run);
+
+    return response.rowCount === 1;
+  });
+}
+
+
+// Player stat lines on a manual match use the EA stat names, keyed by the
+// side they played for.
+const MANUAL_PLAYER_STATS = {
+  goals: 'goals',
+  assists: 'assists',
+  passesAttempted: 'passattempts',
+  passesMade: 'passesmade',
+  tacklesAttempted: 'tackleattempts',
+  tacklesMade: 'tacklesmade',
+  redCards: 'redcards',
+};
+
+function normalizeManualScore(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) throw new Error(`${name} must be a non-negative integer`);
+  return number;
+}
+
+function normalizeManualPlayers(players = [], sides) {
+  if (!Array.isArray(players)) throw new Error('players must be an array');
+
+  const rawPlayers = Object.fromEntries(Object.values(sides).map(club => [club.key, {}]));
+  players.forEach((player, index) => {
+    const side = String(player?.side || '').trim().toLowerCase();
+    if (!sides[side]) throw new Error(`players[${index}].side must be home or away`);
+    const name = String(player.name || player.playerName || '').trim();
+    if (!name) throw new Error(`players[${index}].name is required`);
+
+    const playerId = String(player.eaPlayerId || `manual-${name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`);
+    const stats = { playername: name, pos: player.position || null, mom: player.manOfTheMatch ? '1' : '0' };
+    for (const [field, eaField] of Object.entries(MANUAL_PLAYER_STATS)) {
+      stats[eaField] = normalizeManualScore(player[field], `players[${index}].${field}`) ?? 0;
+    }
+    rawPlayers[sides[side].key][playerId] = stats;
+  });
+  return rawPlayers;
+}
+
+// Validates an admin-entered result against the club registry. `forfeit`
+// names the side that forfeited; the entered score is kept as recorded and the
+// standings apply the configured walkover rule.
+function normalizeManualMatchInput(input = {}, clubs = DEFAULT_LEAGUE_CLUBS) {
+  const findClub = (value, name) => {
+    const needle = String(value ?? '').trim();
+    if (!needle) throw new Error(`${name} is required`);
+    const club = clubs.find(item => item.id === needle || item.eaClubId === needle)
+      || clubs.find(item => [item.name, ...(item.aliases || [])]
+        .some(alias => normalizeLeagueClubName(alias) === normalizeLeagueClubName(needle)));
+    if (!club) throw new Error(`${name} ${needle} is not a league club`);
+    return club;
+  };
+
+  const home = findClub(input.homeClub, 'homeClub');
+  const away = findClub(input.awayClub, 'awayClub');
+  if (home.id === away.id) throw new Error('homeClub and awayClub must be different clubs');
+
+  const forfeit = input.forfeit ? String(input.forfeit).trim().toLowerCase() : null;
+  if (forfeit && !['home', 'away'].includes(forfeit)) throw new Error('forfeit must be home or away');
+
+  const homeScore = normalizeManualScore(input.homeScore, 'homeScore');
+  const awayScore = normalizeManualScore(input.awayScore, 'awayScore');
+  if (!forfeit && (homeScore === null || awayScore === null)) {
+    throw new Error('homeScore and awayScore are required unless the match is a forfeit');
+  }
+
+  let matchDate = new Date();
+  if (input.matchDate) {
+    matchDate = new Date(input.matchDate);
+    if (Number.isNaN(matchDate.getTime())) throw new Error('matchDate must be a valid date');
+  }
+
+  const sides = {
+    home: { club: home, key: String(home.eaClubId || home.id), goals: homeScore ?? 0 },
+    away: { club: away, key: String(away.eaClubId || away.id), goals: awayScore ?? 0 },
+  };
+  const clubGoals = sides.home.goals;
+  const opponentGoals = sides.away.goals;
+  let result = clubGoals > opponentGoals ? 'W' : clubGoals < opponentGoals ? 'L' : 'D';
+  if (forfeit) result = forfeit === 'home' ? 'L' : 'W';
+
+  return {
+    match_id: `manual-${crypto.randomUUID()}`,
+    source_club_id: sides.home.key,
+    club_name: home.name,
+    opponent_name: away.name,
+    club_score: clubGoals,
+    opponent_score: opponentGoals,
+    result,
+    match_date: matchDate,
+    competition: normalizeCompetition(input.competition),
+    matchday: normalizeMatchday(input.matchday),
+    notes: input.notes ? String(input.notes).trim() : null,
+    forfeit,
+    raw_json: {
+      manual: true,
+      clubs: Object.fromEntries(Object.values(sides).map(side => [side.key, {
+        goals: side.goals,
+        details: { name: side.club.name, isHome: side === sides.home },
+      }])),
+      players: normalizeManualPlayers(input.players, sides),
+    },
+  };
+}
+
+// Manual results skip the pending queue and are approved into the open season.
+async function createManualMatch(match) {
+  await ensureSeasonsTable();
+  await ensurePlayerStatsTables();
+  return withTransaction(async run => {
+    const season = await run(`SELECT id FROM seasons WHERE status = 'active'`);
+    if (!season.rows[0]) throw new Error(NO_ACTIVE_SEASON_ERROR);
+
+    const response = await run(
+      `INSERT INTO matches (
+        match_id,
+        source_club_id,
+        club_name,
+        opponent_name,
+        club_score,
+        opponent_score,
+        result,
+        match_date,
+        raw_json,
+        status,
+        competition,
+        matchday,
+        notes,
+        forfeit,
+        season_id,
+        match_type
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'approved', $10, $11, $12, $13, $14, NULL)
+      RETURNING ${mapMatchRowColumns()}`,
+      [
+        match.match_id,
+        match.source_club_id,
+        match.club_name,
+        match.opponent_name,
+        match.club_score,
+        match.opponent_score,
+        match.result,
+        match.match_date,
+        JSON.stringify(match.raw_json),
+        match.competition,
+        match.matchday,
+        match.notes,
+        match.forfeit,
+        season.rows[0].id,
+      ]
+    );
+
+    await insertPlayerMatchStats(match, null, run);
+    return response.rows[0] || null;
+  });
+}
+
+async function backfillPlayerStats() {
+  await ensurePlayerStatsTables();
+  const response = await query(`
+    SELECT id, match_id, source_club_id, club_name, raw_json
+    FROM matches
+    ORDER BY match_date ASC NULLS LAST, id ASC
+  `);
+
+  const result = {
+    matchesChecked: 0,
+    playersFound: 0,
+    playerRowsInserted: 0,
+    playerMatchRowsInserted: 0,
+    errors: [],
+  };
+  const identityIds = new Set();
+
+  for (const row of response.rows) {
+    result.matchesChecked += 1;
+    let rawMatch;
+    try {
+      rawMatch = typeof row.raw_json === 'string' ? JSON.parse(row.raw_json) : row.raw_json;
+    } catch (error) {
+      const message = error.message || 'raw_json could not be parsed';
+      result.errors.push({ matchId: row.match_id, error: message });
+      console.error({ matchId: row.match_id, err: error }, 'Backfill player stats: raw_json parse failure');
+      continue;
+    }
+    const hasPlayers = Boolean(rawMatch?.players && typeof rawMatch.players === 'object' && !Array.isArray(rawMatch.players));
+    const clubIds = hasPlayers ? Object.keys(rawMatch.players) : [];
+    console.log({
+      matchId: row.match_id,
+      hasRawJson: Boolean(rawMatch),
+      hasPlayers,
+      clubIds,
+    }, 'Backfill player stats: checked raw_json.players');
+
+    if (!hasPlayers) continue;
+
+    const stats = normalizePlayerMatchStats({
+      match_id: row.match_id,
+      raw_json: rawMatch,
+    });
+    result.playersFound += stats.length;
+
+    for (const stat of stats) {
+      const logContext = {
+        matchId: stat.match_id,
+        clubId: stat.club_id,
+        clubName: stat.club_name,
+        playerId: stat.ea_player_id,
+        playername: stat.player_name,
+      };
+      try {
+        const upsertResult = await upsertPlayerStat(stat);
+        if (upsertResult.playerInserted) result.playerRowsInserted += 1;
+        if (upsertResult.playerMatchInserted) result.playerMatchRowsInserted += 1;
+        if (upsertResult.identityId) identityIds.add(upsertResult.identityId);
+        console.log({ ...logContext, upsertResult }, 'Backfill player stats: upsert success');
+      } catch (error) {
+        const message = error.message || 'Player stat upsert failed';
+        result.errors.push({ ...logContext, error: message });
+        console.error({ ...logContext, err: error }, 'Backfill player stats: upsert failure');
+      }
+    }
+  }
+
+  // Stints are rebuilt once at the end for every identity the backfill touched.
+  if (identityIds.size) {
+    try {
+      await rebuildPlayerClubStints([...identityIds]);
+    } catch (error) {
+      result.errors.push({ error: error.message || 'Player club stint rebuild failed' });
+      console.error({ err: error }, 'Backfill player stats: stint rebuild failure');
+    }
+  }
+
+  return result;
+}
+
+// Defaults to the current season. That view also lists matches not yet in any
+// season, such as pending ones, since approval is what assigns the season.
+async function getSavedMatches(options = {}) {
+  await ensureSeasonsTable();
+  const seasonId = normalizeSeasonId(options.seasonId);
+  const response = await query(
+    `SELECT ${mapMatchRowColumns()}
+     FROM matches
+     WHERE season_id = COALESCE($1::integer, ${CURRENT_SEASON_SQL})
+        OR ($1::integer IS NULL AND season_id IS NULL)
+     ORDER BY match_date DESC NULLS LAST, id DESC`,
+    [seasonId]
+  );
+  return response.rows;
+}
+
+async function getMatch(matchId, run = query) {
+  await ensureMatchesTable();
+  const response = await run(
+    `SELECT ${mapMatchRowColumns()}
+     FROM matches
+     WHERE match_id = $1`,
+    [matchId]
+  );
+  return response.rows[0] || null;
+}
+
+async function getApprovedCompetitionMatches(competition, options = {}) {
+  await ensureSeasonsTable();
+  const response = await query(
+    `SELECT ${mapMatchRowColumns()}
+     FROM matches
+     WHERE status = 'approved'
+       AND competition = $2
+       AND season_id = COALESCE($1::integer, ${CURRENT_SEASON_SQL})
+     ORDER BY match_date DESC NULLS LAST, id DESC`,
+    [normalizeSeasonId(options.seasonId), competition]
+  );
+  return response.rows;
+}
+
+async function getApprovedLeagueMatches(options = {}) {
+  return getApprovedCompetitionMatches('league', options);
+}
+
+async function getApprovedPlayoffMatches(options = {}) {
+  return getApprovedCompetitionMatches('playoff', options);
+}
+
+async function getPendingMatches(options = {}) {
+  await ensureMatchesTable();
+  const response = await query(
+    `SELECT ${mapMatchRowColumns()}
+     FROM matches
+     WHERE status = 'pending'
+       AND ($1::text IS NULL OR match_type = $1)
+     ORDER BY match_date DESC NULLS LAST, id DESC`,
+    [options.matchType || null]
+  );
+  return response.rows;
+}
+
+function normalizeMatchday(matchday) {
+  if (matchday === null || matchday === undefined || matchday === '') return null;
+  const number = Number(matchday);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error('matchday must be a positive integer when provided');
+  }
+  return number;
+}
+
+function normalizeCompetition(competition = 'league') {
+  const value = String(competition || 'league').trim().toLowerCase();
+  if (!['league', 'playoff', 'friendly'].includes(value)) {
+    throw new Error('competition must be league, playoff or friendly');
+  }
+  return value;
+}
+
+// With `pendingOnly` a match that was already approved or rejected is left
+// alone and null is returned.
+// A match without a season would drop out of every season view, so approving
+// one is refused while no season is active.
+async function approveMatch(matchId, options = {}, run = query) {
+  await ensureSeasonsTable();
+  const competition = normalizeCompetition(options.competition);
+  const matchday = normalizeMatchday(options.matchday);
+  const pendingOnly = Boolean(options.pendingOnly);
+  const response = await run(
+    `UPDATE matches
+     SET status = 'approved',
+         competition = $2,
+         matchday = $3,
+         notes = COALESCE($4, notes),
+         season_id = COALESCE(season_id, (SELECT id FROM seasons WHERE status = 'active'))
+     WHERE match_id = $1
+       AND ($5::boolean IS NOT TRUE OR status = 'pending')
+       AND COALESCE(season_id, (SELECT id FROM seasons WHERE status = 'active')) IS NOT NULL
+     RETURNING ${mapMatchRowColumns()}`,
+    [matchId, competition, matchday, options.notes ?? null, pendingOnly]
+  );
+  if (response.rows[0]) return response.rows[0];
+
+  const existing = await getMatch(matchId, run);
+  if (existing && !existing.season_id && (!pendingOnly || existing.status === 'pending')) {
+    throw new Error(NO_ACTIVE_SEASON_ERROR);
+  }
+  return null;
+}
+
+
+const CORRECTABLE_PLAYER_STATS = {
+  goals: 'goals',
+  assists: 'assists',
+  passesAttempted: 'passes_attempted',
+  passesMade: 'passes_made',
+  tacklesAttempted: 'tackles_attempted',
+  tacklesMade: 'tackles_made',
+  manOfTheMatch: 'man_of_the_match',
+};
+
+function normalizeMatchCorrection(input = {}) {
+  const correction = {
+    swapSides: normalizeBooleanInput(input.swapSides, false, 'swapSides'),
+    clubScore: normalizeManualScore(input.clubScore, 'clubScore'),
+    opponentScore: normalizeManualScore(input.opponentScore, 'opponentScore'),
+    notes: input.notes === undefined ? null : String(input.notes).trim(),
+    players: [],
+  };
+
+  if (input.players !== undefined && !Array.isArray(input.players)) throw new Error('players must be an array');
+  (input.players || []).forEach((player, index) => {
+    const eaPlayerId = String(player?.eaPlayerId ?? '').trim();
+    if (!eaPlayerId) throw new Error(`players[${index}].eaPlayerId is required`);
+
+    // Omitted and null fields keep their current value.
+    const stats = {};
+    for (const [field, column] of Object.entries(CORRECTABLE_PLAYER_STATS)) {
+      if (player[field] === undefined || player[field] === null) continue;
+      stats[column] = field === 'manOfTheMatch'
+        ? normalizeBooleanInput(player[field], false, `players[${index}].${field}`)
+        : normalizeManualScore(player[field], `players[${index}].${field}`);
+    }
+    if (!Object.keys(stats).length) throw new Error(`players[${index}] has no stat corrections`);
+    correction.players.push({ eaPlayerId, stats });
+  });
+
+  if (!correction.swapSides && correction.clubScore === null && correction.opponentScore === null
+    && !correction.players.length) {
+    throw new Error('correction must change the score, orientation or player stats');
+  }
+  return correction;
+}
+
+function getMatchResult(clubScore, opponentScore) {
+  if (clubScore === null || opponentScore === null) return null;
+  return clubScore > opponentScore ? 'W' : clubScore < opponentScore ? 'L' : 'D';
+}
+
+// Overrides are written over the live columns so every reader sees them; the
+// first correction copies the EA values into original_json for revertMatchCorrection.
+async function correctMatch(matchId, input) {
+  const correction = normalizeMatchCorrection(input);
+  await ensureMatchesTable();
+  await ensurePlayerStatsTables();
+
+  return withTransaction(run => applyMatchCorrection(run, matchId, correction));
+}
+
+async function applyMatchCorrection(run, matchId, correction) {
+  const existing = await getMatch(matchId, run);
+  if (!existing) return null;
+
+  const playerRows = await getMatchPlayerStats(matchId, run);
+  for (const player of correction.players) {
+    if (!playerRows.some(row => row.ea_player_id === player.eaPlayerId)) {
+      throw new Error(`players: ${player.eaPlayerId} has no stats in match ${matchId}`);
+    }
+  }
+
+  let next = existing;
+  if (correction.swapSides) {
+    next = {
+      ...existing,
+      club_name: existing.opponent_name,
+      opponent_name: existing.club_name,
+      club_score: existing.opponent_score,
+      opponent_score: existing.club_score,
+      forfeit: existing.forfeit && (existing.forfeit === 'home' ? 'away' : 'home'),
+    };
+  }
+  const clubScore = correction.clubScore ?? next.club_score;
+  const opponentScore = correction.opponentScore ?? next.opponent_score;
+
+  const response = await run(
+    `UPDATE matches
+     SET club_name = $2,
+         opponent_name = $3,
+         club_score = $4,
+         opponent_score = $5,
+         result = $6,
+         forfeit = $7,
+         notes = COALESCE($8, notes),
+         original_json = COALESCE(original_json, jsonb_build_object(
+           'club_name', club_name,
+           'opponent_name', opponent_name,
+           'club_score', club_score,
+           'opponent_score', opponent_score,
+           'result', result,
+           'forfeit', forfeit
+         )),
+         corrected_at = now()
+     WHERE match_id = $1
+     RETURNING ${mapMatchRowColumns()}`,
+    [
+      matchId,
+      next.club_name,
+      next.opponent_name,
+      clubScore,
+      opponentScore,
+      getMatchResult(clubScore, opponentScore),
+      next.forfeit ?? null,
+      correction.notes,
+    ]
+  );
+
+  for (const player of correction.players) {
+    const columns = Object.keys(player.stats);
+    await run(
+      `UPDATE player_match_stats
+       SET ${columns.map((column, index) => `${column} = $${index + 3}`).join(', ')},
+           original_json = COALESCE(original_json, jsonb_build_object(
+             ${Object.values(CORRECTABLE_PLAYER_STATS).map(column => `'${column}', ${column}`).join(', ')}
+           ))
+       WHERE match_id = $1 AND ea_player_id = $2`,
+      [matchId, player.eaPlayerId, ...Object.values(player.stats)]
+    );
+  }
+
+  return { match: response.rows[0] || null, players: await getMatchPlayerStats(matchId, run) };
+}
+
+// Puts the EA values back on a corrected match and its player rows.
+async function revertMatchCorrection(matchId) {
+  await ensureMatchesTable();
+  await ensurePlayerStatsTables();
+
+  return withTransaction(async run => {
+    const existing = await getMatch(matchId, run);
+    if (!existing) return null;
+
+    const response = await run(
+      `UPDATE matches
+       SET club_name = original_json->>'club_name',
+           opponent_name = original_json->>'opponent_name',
+           club_score = (original_json->>'club_score')::integer,
+           opponent_score = (original_json->>'opponent_score')::integer,
+           result = original_json->>'result',
+           forfeit = original_json->>'forfeit',
+           original_json = NULL,
+           corrected_at = NULL
+       WHERE match_id = $1 AND original_json IS NOT NULL
+       RETURNING ${mapMatchRowColumns()}`,
+      [matchId]
+    );
+
+    const restoreStats = Object.values(CORRECTABLE_PLAYER_STATS)
+      .map(column => `${column} = (original_json->>'${column}')::${column === 'man_of_the_match' ? 'boolean' : 'integer'}`)
+      .join(', ');
+    await run(
+      `UPDATE player_match_stats
+       SET ${restoreStats},
+           original_json = NULL
+       WHERE match_id = $1 AND original_json IS NOT NULL`,
+      [matchId]
+    );
+
+    return { match: response.rows[0] || existing, players: await getMatchPlayerStats(matchId, run) };
+  });
+}
+
+async function ensureAdminAuditTable() {
+  if (!auditReadyPromise) {
+    auditReadyPromise = (async () => {
+      await query(`
+        CREATE TABLE IF NOT EXISTS admin_audit (
+          id serial PRIMARY KEY,
+          action text NOT NULL,
+          target_type text,
+          target_id text,
+          admin_name text NOT NULL,
+          before_json jsonb,
+          after_json jsonb,
+          created_at timestamptz DEFAULT now()
+        )
+      `);
+      await query(`
+        CREATE INDEX IF NOT EXISTS admin_audit_target_idx
+        ON admin_audit (target_type, target_id, created_at)
+      `);
+    })().catch(error => {
+      auditReadyPromise = null;
+      throw error;
+    });
+  }
+
+  return auditReadyPromise;
+}
+
+async function recordAdminAudit(entry) {
+  await ensureAdminAuditTable();
+  const response = await query(
+    `INSERT INTO admin_audit (action, target_type, target_id, admin_name, before_json, after_json)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING id, action, target_type, target_id, admin_name, before_json, after_json, created_at`,
     [
-      match.id,
-      sourceClub.id,
-      match.team?.name || sourceClub.name || null,
-      match.opponent?.name || null,
-      match.score?.for ?? null,
-      match.score?.against ?? null,
-      match.result || null,
-      normalizeMatchDate(match.timestamp),
-      JSON.stringify(match.raw || match),
+      entry.action,
+      entry.targetType ?? null,
+      entry.targetId === undefined || entry.targetId === null ? null : String(entry.targetId),
+      entry.admin,
+      entry.before === undefined ? null : JSON.stringify(entry.before),
+      entry.after === undefined ? null : JSON.stringify(entry.after),
     ]
   );
+  return response.rows[0] || null;
+}
+
+function normalizeAuditDate(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new Error(`${name} must be a valid date`);
+  return date;
+}
+
+// Newest entries first. Every filter is optional and they combine with AND.
+async function getAdminAudit(options = {}) {
+  const page = normalizePageNumber(options.page, 1, 'page');
+  const pageSize = Math.min(normalizePageNumber(options.pageSize, AUDIT_PAGE_SIZE, 'pageSize'), MAX_AUDIT_PAGE_SIZE);
+  const filters = [
+    ['action = $%', options.action || null],
+    ['target_type = $%', options.targetType || null],
+    ['target_id = $%', options.targetId || null],
+    ['admin_name = $%', options.admin || null],
+    ['created_at >= $%', normalizeAuditDate(options.since, 'since')],
+    ['created_at <= $%', normalizeAuditDate(options.until, 'until')],
+  ].filter(([, value]) => value !== null);
+  await ensureAdminAuditTable();
+
+  const params = filters.map(([, value]) => value);
+  const where = filters.length
+    ? `WHERE ${filters.map(([clause], index) => clause.replace('%', index + 1)).join(' AND ')}`
+    : '';
+  const [entriesResponse, countResponse] = await Promise.all([
+    query(
+      `SELECT id, action, target_type, target_id, admin_name, before_json, after_json, created_at
+       FROM admin_audit
+       ${where}
+       ORDER BY created_at DESC, id DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, pageSize, (page - 1) * pageSize]
+    ),
+    query(`SELECT COUNT(*)::integer AS count FROM admin_audit ${where}`, params),
+  ]);
+
+  return {
+    entries: entriesResponse.rows,
+    page,
+    pageSize,
+    total: countResponse.rows[0]?.count || 0,
+  };
+}
+
+// The first league officer is seeded from ADMIN_PASSWORD as `admin`, so an
+// existing install can log in and create named accounts.
+async function ensureAdminAccountsTable() {
+  if (!accountsReadyPromise) {
+    accountsReadyPromise = (async () => {
+      await ensureClubsTable();
+
+      await query(`
+        CREATE TABLE IF NOT EXISTS admin_accounts (
+          id serial PRIMARY KEY,
+          username text UNIQUE NOT NULL,
+          password_hash text NOT NULL,
+          role text NOT NULL,
+          club_id text REFERENCES clubs(id) ON DELETE SET NULL,
+          active boolean DEFAULT true,
+          created_at timestamptz DEFAULT now(),
+          updated_at timestamptz DEFAULT now()
+        )
+      `);
+      await query(`
+        CREATE TABLE IF NOT EXISTS admin_sessions (
+          token_hash text PRIMARY KEY,
+          account_id integer NOT NULL REFERENCES admin_accounts(id) ON DELETE CASCADE,
+          expires_at timestamptz NOT NULL,
+          created_at timestamptz DEFAULT now()
+        )
+      `);
+
+      const countResponse = await query('SELECT COUNT(*)::integer AS count FROM admin_accounts');
+      if (countResponse.rows[0]?.count === 0 && process.env.ADMIN_PASSWORD) {
+        await query(
+          `INSERT INTO admin_accounts (username, password_hash, role)
+           VALUES ('admin', $1, 'league_officer')
+           ON CONFLICT (username) DO NOTHING`,
+          [await auth.hashPassword(process.env.ADMIN_PASSWORD)]
+        );
+      }
+    })().catch(error => {
+      accountsReadyPromise = null;
+      throw error;
+    });
+  }
 
-  await insertPlayerMatchStats(match, sourceClub);
+  return accountsReadyPromise;
+}
 
-  return response.rowCount === 1;
+function mapAdminAccountRowColumns(prefix = '') {
+  return ['id', 'username', 'role', 'club_id', 'active', 'created_at', 'updated_at']
+    .map(column => `${prefix}${column}`)
+    .join(', ');
 }
 
+// Captains are tied to one club; the other roles are league-wide. A password
+// is only required when creating an account.
+function normalizeAdminAccountInput(input = {}, existing = null) {
+  const username = String(firstDefined(input.username, existing?.username) ?? '').trim().toLowerCase();
+  if (!/^[a-z0-9._-]{3,40}$/.test(username)) {
+    throw new Error('username must be 3-40 letters, numbers, dots, dashes or underscores');
+  }
+
+  const password = input.password === undefined ? null : String(input.password);
+  if (!existing && password === null) throw new Error('password is required');
+  if (password !== null && password.length < 10) throw new Error('password must be at least 10 characters');
 
-async function backfillPlayerStats() {
-  await ensurePlayerStatsTables();
+  const role = auth.normalizeRole(firstDefined(input.role, existing?.role));
+  const clubId = role === 'club_captain'
+    ? String(firstDefined(input.clubId, existing?.club_id) ?? '').trim() || null
+    : null;
+  if (role === 'club_captain' && !clubId) throw new Error('clubId is required for club captains');
+
+  return {
+    username,
+    password,
+    role,
+    clubId,
+    active: normalizeBooleanInput(input.active, existing?.active ?? true, 'active'),
+  };
+}
+
+async function getAdminAccounts() {
+  await ensureAdminAccountsTable();
   const response = await query(`
-    SELECT id, match_id, source_club_id, club_name, raw_json
-    FROM matches
-    ORDER BY match_date ASC NULLS LAST, id ASC
+    SELECT ${mapAdminAccountRowColumns()}
+    FROM admin_accounts
+    ORDER BY username ASC
   `);
+  return response.rows;
+}
 
-  const result = {
-    matchesChecked: 0,
-    playersFound: 0,
-    playerRowsInserted: 0,
-    playerMatchRowsInserted: 0,
-    errors: [],
-  };
+async function getAdminAccount(accountId) {
+  await ensureAdminAccountsTable();
+  const response = await query(
+    `SELECT ${mapAdminAccountRowColumns()}
+     FROM admin_accounts
+     WHERE id = $1`,
+    [toInteger(accountId, -1)]
+  );
+  return response.rows[0] || null;
+}
 
-  for (const row of response.rows) {
-    result.matchesChecked += 1;
-    let rawMatch;
-    try {
-      rawMatch = typeof row.raw_json === 'string' ? JSON.parse(row.raw_json) : row.raw_json;
-    } catch (error) {
-      const message = error.message || 'raw_json could not be parsed';
-      result.errors.push({ matchId: row.match_id, error: message });
-      console.error({ matchId: row.match_id, err: error }, 'Backfill player stats: raw_json parse failure');
-      continue;
-    }
-    const hasPlayers = Boolean(rawMatch?.players && typeof rawMatch.players === 'object' && !Array.isArray(rawMatch.players));
-    const clubIds = hasPlayers ? Object.keys(rawMatch.players) : [];
-    console.log({
-      matchId: row.match_id,
-      hasRawJson: Boolean(rawMatch),
-      hasPlayers,
-      clubIds,
-    }, 'Backfill player stats: checked raw_json.players');
+async function getAdminAccountCredentials(username) {
+  await ensureAdminAccountsTable();
+  const response = await query(
+    `SELECT ${mapAdminAccountRowColumns()}, password_hash
+     FROM admin_accounts
+     WHERE username = $1 AND active`,
+    [String(username || '').trim().toLowerCase()]
+  );
+  return response.rows[0] || null;
+}
 
-    if (!hasPlayers) continue;
+async function createAdminAccount(input) {
+  const account = normalizeAdminAccountInput(input);
+  await ensureAdminAccountsTable();
+  const response = await query(
+    `INSERT INTO admin_accounts (username, password_hash, role, club_id, active)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (username) DO NOTHING
+     RETURNING ${mapAdminAccountRowColumns()}`,
+    [account.username, await auth.hashPassword(account.password), account.role, account.clubId, account.active]
+  );
+  return response.rows[0] || null;
+}
 
-    const stats = normalizePlayerMatchStats({
-      match_id: row.match_id,
-      raw_json: rawMatch,
-    });
-    result.playersFound += stats.length;
+// A new password, role or club, or deactivation, ends the account's sessions.
+async function updateAdminAccount(accountId, input) {
+  const existing = await getAdminAccount(accountId);
+  if (!existing) return null;
 
-    for (const stat of stats) {
-      const logContext = {
-        matchId: stat.match_id,
-        clubId: stat.club_id,
-        clubName: stat.club_name,
-        playerId: stat.ea_player_id,
-        playername: stat.player_name,
-      };
-      try {
-        const upsertResult = await upsertPlayerStat(stat);
-        if (upsertResult.playerInserted) result.playerRowsInserted += 1;
-        if (upsertResult.playerMatchInserted) result.playerMatchRowsInserted += 1;
-        console.log({ ...logContext, upsertResult }, 'Backfill player stats: upsert success');
-      } catch (error) {
-        const message = error.message || 'Player stat upsert failed';
-        result.errors.push({ ...logContext, error: message });
-        console.error({ ...logContext, err: error }, 'Backfill player stats: upsert failure');
-      }
+  const account = normalizeAdminAccountInput(input, existing);
+  const passwordHash = account.password === null ? null : await auth.hashPassword(account.password);
+  return withTransaction(async run => {
+    const response = await run(
+      `UPDATE admin_accounts
+       SET username = $2,
+           password_hash = COALESCE($3, password_hash),
+           role = $4,
+           club_id = $5,
+           active = $6,
+           updated_at = now()
+       WHERE id = $1
+       RETURNING ${mapAdminAccountRowColumns()}`,
+      [existing.id, account.username, passwordHash, account.role, account.clubId, account.active]
+    );
+
+    if (passwordHash || account.role !== existing.role || account.clubId !== existing.club_id || !account.active) {
+      await run('DELETE FROM admin_sessions WHERE account_id = $1', [existing.id]);
     }
+    return response.rows[0] || null;
+  });
+}
+
+async function deleteAdminAccount(accountId) {
+  await ensureAdminAccountsTable();
+  const response = await query(
+    `DELETE FROM admin_accounts
+     WHERE id = $1
+     RETURNING ${mapAdminAccountRowColumns()}`,
+    [toInteger(accountId, -1)]
+  );
+  return response.rows[0] || null;
+}
+
+async function createAdminSession(accountId, ttlMinutes) {
+  await ensureAdminAccountsTable();
+  await query('DELETE FROM admin_sessions WHERE expires_at <= now()');
+
+  const token = auth.createSessionToken();
+  const response = await query(
+    `INSERT INTO admin_sessions (token_hash, account_id, expires_at)
+     VALUES ($1, $2, now() + make_interval(mins => $3))
+     RETURNING expires_at`,
+    [auth.hashSessionToken(token), accountId, ttlMinutes]
+  );
+  return { token, expiresAt: response.rows[0]?.expires_at || null };
+}
+
+async function getAdminSession(token) {
+  await ensureAdminAccountsTable();
+  const response = await query(
+    `SELECT ${mapAdminAccountRowColumns('a.')}, s.expires_at
+     FROM admin_sessions s
+     JOIN admin_accounts a ON a.id = s.account_id
+     WHERE s.token_hash = $1 AND s.expires_at > now() AND a.active`,
+    [auth.hashSessionToken(token)]
+  );
+  return response.rows[0] || null;
+}
+
+async function deleteAdminSession(token) {
+  await ensureAdminAccountsTable();
+  const response = await query('DELETE FROM admin_sessions WHERE token_hash = $1', [auth.hashSessionToken(token)]);
+  return (response.rowCount || 0) > 0;
+}
+
+// A captain's claim that a pending game was a league game. It moves from
+// `claimed` to `confirmed` (and is approved) or `disputed`, and an officer
+// settles disputes as `approved` or `rejected`.
+async function ensureMatchClaimsTable() {
+  if (!claimsReadyPromise) {
+    claimsReadyPromise = (async () => {
+      await ensureMatchesTable();
+
+      await query(`
+        CREATE TABLE IF NOT EXISTS match_claims (
+          id serial PRIMARY KEY,
+          match_id text UNIQUE NOT NULL REFERENCES matches(match_id) ON DELETE CASCADE,
+          claiming_club_id text NOT NULL,
+          opposing_club_id text NOT NULL,
+          series_id text,
+          matchday integer,
+          status text NOT NULL DEFAULT 'claimed',
+          claimed_by text NOT NULL,
+          claim_comment text,
+          responded_by text,
+          response_comment text,
+          resolved_by text,
+          resolution_notes text,
+          created_at timestamptz DEFAULT now(),
+          updated_at timestamptz DEFAULT now()
+        )
+      `);
+    })().catch(error => {
+      claimsReadyPromise = null;
+      throw error;
+    });
   }
 
-  return result;
+  return claimsReadyPromise;
 }
 
-async function getSavedMatches() {
-  await ensureMatchesTable();
-  const response = await query(`
-    SELECT ${mapMatchRowColumns()}
-    FROM matches
-    ORDER BY match_date DESC NULLS LAST, id DESC
-  `);
+function mapMatchClaimRowColumns(prefix = '') {
+  return [
+    'id',
+    'match_id',
+    'claiming_club_id',
+    'opposing_club_id',
+    'series_id',
+    'matchday',
+    'status',
+    'claimed_by',
+    'claim_comment',
+    'responded_by',
+    'response_comment',
+    'resolved_by',
+    'resolution_notes',
+    'created_at',
+    'updated_at',
+  ].map(column => `${prefix}${column}`).join(', ');
+}
+
+function normalizeClaimComment(comment) {
+  const value = String(comment ?? '').trim();
+  if (value.length > 1000) throw new Error('comment must be at most 1000 characters');
+  return value || null;
+}
+
+async function createMatchClaim(claim) {
+  const matchday = normalizeMatchday(claim.matchday);
+  const comment = normalizeClaimComment(claim.comment);
+  await ensureMatchClaimsTable();
+  const response = await query(
+    `INSERT INTO match_claims (match_id, claiming_club_id, opposing_club_id, series_id, matchday, claimed_by, claim_comment)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     ON CONFLICT (match_id) DO NOTHING
+     RETURNING ${mapMatchClaimRowColumns()}`,
+    [
+      claim.matchId,
+      claim.claimingClubId,
+      claim.opposingClubId,
+      claim.seriesId === undefined || claim.seriesId === null ? null : String(claim.seriesId),
+      matchday,
+      claim.claimedBy,
+      comment,
+    ]
+  );
+  return response.rows[0] || null;
+}
+
+async function getMatchClaim(matchId) {
+  await ensureMatchClaimsTable();
+  const response = await query(
+    `SELECT ${mapMatchClaimRowColumns()}
+     FROM match_claims
+     WHERE match_id = $1`,
+    [matchId]
+  );
+  return response.rows[0] || null;
+}
+
+// Claims with their match, newest first. `clubId` keeps claims either side of
+// which is that club.
+async function getMatchClaims(options = {}) {
+  await ensureMatchClaimsTable();
+  const response = await query(
+    `SELECT ${mapMatchClaimRowColumns('c.')},
+            row_to_json(m) AS match
+     FROM match_claims c
+     JOIN matches m ON m.match_id = c.match_id
+     WHERE ($1::text IS NULL OR c.status = $1)
+       AND ($2::text IS NULL OR $2 IN (c.claiming_club_id, c.opposing_club_id))
+     ORDER BY c.updated_at DESC, c.id DESC`,
+    [options.status || null, options.clubId || null]
+  );
   return response.rows;
 }
 
-async function getApprovedLeagueMatches() {
-  await ensureMatchesTable();
-  const response = await query(`
-    SELECT ${mapMatchRowColumns()}
-    FROM matches
-    WHERE status = 'approved'
-      AND competition = 'league'
-    ORDER BY match_date DESC NULLS LAST, id DESC
-  `);
+// The opposing captain's answer; only an open claim can be answered.
+async function respondToMatchClaim(matchId, { status, respondedBy, comment }, run = query) {
+  const responseComment = normalizeClaimComment(comment);
+  if (status === 'disputed' && !responseComment) throw new Error('comment is required to dispute a claim');
+  await ensureMatchClaimsTable();
+  const response = await run(
+    `UPDATE match_claims
+     SET status = $2,
+         responded_by = $3,
+         response_comment = $4,
+         updated_at = now()
+     WHERE match_id = $1 AND status = 'claimed'
+     RETURNING ${mapMatchClaimRowColumns()}`,
+    [matchId, status, respondedBy, responseComment]
+  );
+  return response.rows[0] || null;
+}
+
+async function resolveMatchClaim(matchId, { status, resolvedBy, notes }, run = query) {
+  await ensureMatchClaimsTable();
+  const response = await run(
+    `UPDATE match_claims
+     SET status = $2,
+         resolved_by = $3,
+         resolution_notes = $4,
+         updated_at = now()
+     WHERE match_id = $1 AND status = 'disputed'
+     RETURNING ${mapMatchClaimRowColumns()}`,
+    [matchId, status, resolvedBy, normalizeClaimComment(notes)]
+  );
+  return response.rows[0] || null;
+}
+
+// The opposing captain's confirmation and the approval it triggers commit
+// together: if the match cannot be approved the claim stays open. Returns null
+// when the claim was no longer open.
+async function confirmMatchClaim(matchId, { respondedBy, comment }) {
+  await ensureMatchClaimsTable();
+  await ensureSeasonsTable();
+  return withTransaction(async run => {
+    const claim = await respondToMatchClaim(matchId, { status: 'confirmed', respondedBy, comment }, run);
+    if (!claim) return null;
+
+    const match = await approveMatch(matchId, { competition: 'league', matchday: claim.matchday, pendingOnly: true }, run);
+    if (!match) throw new Error('match is already approved or rejected');
+    return { claim, match };
+  });
+}
+
+// An officer's decision on a disputed claim, settled together with the match
+// so a failed approval leaves the dispute in the queue. Returns null when the
+// claim was no longer disputed.
+async function resolveDisputedClaim(matchId, { decision, resolvedBy, notes, matchday }) {
+  await ensureMatchClaimsTable();
+  await ensureSeasonsTable();
+  return withTransaction(async run => {
+    const approve = decision === 'approve';
+    const claim = await resolveMatchClaim(matchId, { status: approve ? 'approved' : 'rejected', resolvedBy, notes }, run);
+    if (!claim) return null;
+
+    const match = approve
+      ? await approveMatch(matchId, { competition: 'league', matchday, notes, pendingOnly: true }, run)
+      : await rejectMatch(matchId, { notes }, run);
+    if (!match) throw new Error('match is already approved or rejected');
+    return { claim, match };
+  });
+}
+
+// Settles claims still open on a match an officer approved or rejected
+// directly, so they cannot decide it again later.
+async function closeMatchClaims(matchId, { status, resolvedBy, notes }) {
+  await ensureMatchClaimsTable();
+  const response = await query(
+    `UPDATE match_claims
+     SET status = $2,
+         resolved_by = $3,
+         resolution_notes = $4,
+         updated_at = now()
+     WHERE match_id = $1 AND status IN ('claimed', 'disputed')
+     RETURNING ${mapMatchClaimRowColumns()}`,
+    [matchId, status, resolvedBy, normalizeClaimComment(notes)]
+  );
   return response.rows;
 }
 
-async function getPendingMatches() {
-  await ensureMatchesTable();
-  const response = await query(`
-    SELECT ${mapMatchRowColumns()}
-    FROM matches
-    WHERE status = 'pending'
-    ORDER BY match_date DESC NULLS LAST, id DESC
-  `);
+const SYNC_RUN_COLUMNS = `id, trigger, started_by, status, started_at, finished_at,
+  total_fetched, inserted, skipped, clubs, error`;
+
+async function ensureSyncRunsTable() {
+  if (!syncRunsReadyPromise) {
+    syncRunsReadyPromise = (async () => {
+      await query(`
+        CREATE TABLE IF NOT EXISTS sync_runs (
+          id serial PRIMARY KEY,
+          trigger text NOT NULL,
+          started_by text,
+          status text NOT NULL DEFAULT 'running',
+          started_at timestamptz NOT NULL DEFAULT now(),
+          finished_at timestamptz,
+          total_fetched integer NOT NULL DEFAULT 0,
+          inserted integer NOT NULL DEFAULT 0,
+          skipped integer NOT NULL DEFAULT 0,
+          clubs jsonb NOT NULL DEFAULT '[]'::jsonb,
+          error text
+        )
+      `);
+      await query('CREATE INDEX IF NOT EXISTS sync_runs_started_at_idx ON sync_runs (started_at DESC)');
+    })().catch(error => {
+      syncRunsReadyPromise = null;
+      throw error;
+    });
+  }
+
+  return syncRunsReadyPromise;
+}
+
+async function startSyncRun({ trigger, startedBy = null }) {
+  await ensureSyncRunsTable();
+  const response = await query(
+    `INSERT INTO sync_runs (trigger, started_by)
+     VALUES ($1, $2)
+     RETURNING ${SYNC_RUN_COLUMNS}`,
+    [trigger, startedBy]
+  );
+  return response.rows[0] || null;
+}
+
+// `clubs` holds one `{ clubId, name, fetched, inserted, skipped, error }`
+// entry per club the run reached.
+async function finishSyncRun(runId, { status, totals = {}, clubs = [], error = null }) {
+  await ensureSyncRunsTable();
+  const response = await query(
+    `UPDATE sync_runs
+     SET status = $2,
+         finished_at = now(),
+         total_fetched = $3,
+         inserted = $4,
+         skipped = $5,
+         clubs = $6,
+         error = $7
+     WHERE id = $1
+     RETURNING ${SYNC_RUN_COLUMNS}`,
+    [
+      runId,
+      status,
+      totals.totalFetched || 0,
+      totals.inserted || 0,
+      totals.skipped || 0,
+      JSON.stringify(clubs),
+      error,
+    ]
+  );
+  return response.rows[0] || null;
+}
+
+// Newest runs first.
+async function getSyncRuns(options = {}) {
+  const limit = Math.min(normalizePageNumber(options.limit, SYNC_RUNS_LIMIT, 'limit'), MAX_SYNC_RUNS_LIMIT);
+  await ensureSyncRunsTable();
+  const response = await query(
+    `SELECT ${SYNC_RUN_COLUMNS}
+     FROM sync_runs
+     WHERE ($1::text IS NULL OR status = $1)
+     ORDER BY started_at DESC, id DESC
+     LIMIT $2`,
+    [options.status || null, limit]
+  );
   return response.rows;
 }
 
-function normalizeMatchday(matchday) {
-  if (matchday === null || matchday === undefined || matchday === '') return null;
-  const number = Number(matchday);
-  if (!Number.isInteger(number) || number < 1) {
-    throw new Error('matchday must be a positive integer when provided');
+async function ensureEaCacheTable() {
+  if (!eaCacheReadyPromise) {
+    eaCacheReadyPromise = query(`
+      CREATE TABLE IF NOT EXISTS ea_cache (
+        cache_key text PRIMARY KEY,
+        payload jsonb NOT NULL,
+        fetched_at timestamptz NOT NULL DEFAULT now()
+      )
+    `).catch(error => {
+      eaCacheReadyPromise = null;
+      throw error;
+    });
   }
-  return number;
+
+  return eaCacheReadyPromise;
 }
 
-function normalizeCompetition(competition = 'league') {
-  const value = String(competition || 'league').trim().toLowerCase();
-  if (!['league', 'friendly'].includes(value)) {
-    throw new Error('competition must be league or friendly');
+async function getEaCacheEntry(key) {
+  await ensureEaCacheTable();
+  const response = await query('SELECT payload, fetched_at FROM ea_cache WHERE cache_key = $1', [key]);
+  return response.rows[0] || null;
+}
+
+// Keeps only the latest good payload per key.
+async function saveEaCacheEntry(key, payload, fetchedAt = new Date()) {
+  await ensureEaCacheTable();
+  await query(
+    `INSERT INTO ea_cache (cache_key, payload, fetched_at)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (cache_key) DO UPDATE
+     SET payload = EXCLUDED.payload,
+         fetched_at = EXCLUDED.fetched_at`,
+    [key, JSON.stringify(payload), fetchedAt]
+  );
+}
+
+// Member stats tracked over time. A new snapshot is only written when one of
+// these differs from the player's previous snapshot.
+const MEMBER_SNAPSHOT_FIELDS = [
+  'games_played',
+  'goals',
+  'assists',
+  'pro_overall',
+  'rating_ave',
+  'win_rate',
+  'man_of_the_match',
+];
+const MEMBER_SNAPSHOT_COLUMNS = `id, club_id, ea_player_id, player_name, season_id, ${MEMBER_SNAPSHOT_FIELDS.join(', ')},
+  stats, captured_at`;
+
+async function ensureMemberStatSnapshotsTable() {
+  if (!memberSnapshotsReadyPromise) {
+    memberSnapshotsReadyPromise = (async () => {
+      await ensureSeasonsTable();
+      await query(`
+        CREATE TABLE IF NOT EXISTS member_stat_snapshots (
+          id serial PRIMARY KEY,
+          club_id text NOT NULL,
+          ea_player_id text,
+          player_name text NOT NULL,
+          season_id integer,
+          games_played integer NOT NULL DEFAULT 0,
+          goals integer NOT NULL DEFAULT 0,
+          assists integer NOT NULL DEFAULT 0,
+          pro_overall integer NOT NULL DEFAULT 0,
+          rating_ave numeric(6, 2) NOT NULL DEFAULT 0,
+          win_rate numeric(6, 2) NOT NULL DEFAULT 0,
+          man_of_the_match integer NOT NULL DEFAULT 0,
+          stats jsonb NOT NULL,
+          captured_at timestamptz NOT NULL DEFAULT now()
+        )
+      `);
+      await query(`
+        CREATE INDEX IF NOT EXISTS member_stat_snapshots_player_idx
+        ON member_stat_snapshots (ea_player_id, captured_at)
+      `);
+      await query(`
+        CREATE INDEX IF NOT EXISTS member_stat_snapshots_club_idx
+        ON member_stat_snapshots (club_id, player_name, captured_at DESC)
+      `);
+    })().catch(error => {
+      memberSnapshotsReadyPromise = null;
+      throw error;
+    });
   }
-  return value;
+
+  return memberSnapshotsReadyPromise;
 }
 
-async function approveMatch(matchId, options = {}) {
-  await ensureMatchesTable();
-  const competition = normalizeCompetition(options.competition);
-  const matchday = normalizeMatchday(options.matchday);
+// Takes a member as returned by eaApi.normalizeMember, plus `eaPlayerId`.
+function normalizeMemberSnapshot(member = {}) {
+  const hundredths = value => (Number.isFinite(Number(value)) ? Math.round(Number(value) * 100) / 100 : 0);
+  const name = String(member.name || '').trim();
+  if (!name) throw new Error('member name is required');
+
+  return {
+    ea_player_id: member.eaPlayerId ? String(member.eaPlayerId) : null,
+    player_name: name,
+    games_played: toInteger(member.gamesPlayed),
+    goals: toInteger(member.goals),
+    assists: toInteger(member.assists),
+    pro_overall: toInteger(member.proOverall),
+    rating_ave: hundredths(member.ratingAve),
+    win_rate: hundredths(member.winRate),
+    man_of_the_match: toInteger(member.manOfTheMatch),
+    stats: member,
+  };
+}
+
+// Latest EA player id seen in saved match stats for each of a club's player
+// names, keyed by lower-cased name. EA's members endpoint does not send ids.
+async function getEaPlayerIds(eaClubId, names = []) {
+  const keys = [...new Set(names.map(name => String(name || '').trim().toLowerCase()).filter(Boolean))];
+  if (!keys.length) return {};
+
+  await ensurePlayerStatsTables();
   const response = await query(
-    `UPDATE matches
-     SET status = 'approved',
-         competition = $2,
-         matchday = $3,
-         notes = COALESCE($4, notes)
-     WHERE match_id = $1
-     RETURNING ${mapMatchRowColumns()}`,
-    [matchId, competition, matchday, options.notes ?? null]
+    `SELECT DISTINCT ON (LOWER(player_name)) LOWER(player_name) AS name_key, ea_player_id
+     FROM player_match_stats
+     WHERE club_id = $1
+       AND ea_player_id IS NOT NULL
+       AND LOWER(player_name) = ANY($2::text[])
+     ORDER BY LOWER(player_name), created_at DESC, id DESC`,
+    [String(eaClubId), keys]
   );
-  return response.rows[0] || null;
+  return Object.fromEntries(response.rows.map(row => [row.name_key, row.ea_player_id]));
+}
+
+// Records one snapshot per member whose tracked stats moved since their last
+// snapshot for the club. Resolves to `{ recorded, unchanged }`.
+async function recordMemberStatSnapshots({ clubId, members = [], seasonId = null }) {
+  const snapshots = members.map(normalizeMemberSnapshot);
+  await ensureMemberStatSnapshotsTable();
+
+  return withTransaction(async run => {
+    const latest = await run(
+      `SELECT DISTINCT ON (player_name) player_name, ea_player_id, ${MEMBER_SNAPSHOT_FIELDS.join(', ')}
+       FROM member_stat_snapshots
+       WHERE club_id = $1
+       ORDER BY player_name, captured_at DESC, id DESC`,
+      [String(clubId)]
+    );
+    const previousByName = new Map(latest.rows.map(row => [row.player_name, row]));
+
+    let recorded = 0;
+    for (const snapshot of snapshots) {
+      const previous = previousByName.get(snapshot.player_name);
+      const unchanged = previous
+        && (previous.ea_player_id || null) === snapshot.ea_player_id
+        && MEMBER_SNAPSHOT_FIELDS.every(field => Number(previous[field]) === snapshot[field]);
+      if (unchanged) continue;
+
+      await run(
+        `INSERT INTO member_stat_snapshots (
+          club_id, ea_player_id, player_name, season_id, ${MEMBER_SNAPSHOT_FIELDS.join(', ')}, stats
+        )
+        VALUES ($1, $2, $3, COALESCE($4::integer, ${CURRENT_SEASON_SQL}), $5, $6, $7, $8, $9, $10, $11, $12)`,
+        [
+          String(clubId),
+          snapshot.ea_player_id,
+          snapshot.player_name,
+          normalizeSeasonId(seasonId),
+          ...MEMBER_SNAPSHOT_FIELDS.map(field => snapshot[field]),
+          JSON.stringify(snapshot.stats),
+        ]
+      );
+      recorded += 1;
+    }
+    return { recorded, unchanged: snapshots.length - recorded };
+  });
 }
 
+// Oldest first, for charting.
+async function getMemberStatProgression(eaPlayerId, options = {}) {
+  await ensureMemberStatSnapshotsTable();
+  const response = await query(
+    `SELECT ${MEMBER_SNAPSHOT_COLUMNS}
+     FROM member_stat_snapshots
+     WHERE ea_player_id = $1
+       AND season_id = COALESCE($2::integer, ${CURRENT_SEASON_SQL})
+     ORDER BY captured_at ASC, id ASC`,
+    [String(eaPlayerId), normalizeSeasonId(options.seasonId)]
+  );
+  return response.rows;
+}
 
+// Only the open season is reset; closed seasons keep their approved history.
+// The open season's standings snapshots go with it.
 async function resetApprovedMatches() {
-  await ensureMatchesTable();
+  await ensureStandingsSnapshotsTable();
+  await query(`
+    DELETE FROM standings_snapshots
+    WHERE season_id IN (SELECT id FROM seasons WHERE status = 'active')
+  `);
   const response = await query(`
     UPDATE matches
     SET status = 'pending',
         competition = 'friendly',
         matchday = NULL,
-        series_id = NULL
+        series_id = NULL,
+        season_id = NULL
     WHERE status = 'approved'
+      AND (season_id IS NULL OR season_id IN (SELECT id FROM seasons WHERE status = 'active'))
   `);
   return response.rowCount || 0;
 }
 
-async function rejectMatch(matchId, options = {}) {
+async function rejectMatch(matchId, options = {}, run = query) {
   await ensureMatchesTable();
-  const response = await query(
+  const response = await run(
     `UPDATE matches
      SET status = 'rejected',
          notes = COALESCE($2, notes)
@@ -596,20 +3044,107 @@ async function rejectMatch(matchId, options = {}) {
 }
 
 module.exports = {
+  DEFAULT_LEAGUE_CLUBS,
+  DEFAULT_NEWS_ITEMS,
   approveMatch,
+  assignMatchSeries,
   backfillPlayerStats,
+  checkConnection,
+  closeSeason,
+  confirmMatchClaim,
+  correctMatch,
+  createAdminAccount,
+  createAdminSession,
+  createClub,
+  createManualMatch,
+  createMatchClaim,
+  createNewsItems,
+  createNewsPost,
+  createSeason,
+  deleteAdminAccount,
+  deleteAdminSession,
+  deactivateClub,
+  deleteNewsPost,
+  ensureAdminAccountsTable,
+  ensureAdminAuditTable,
+  ensureClubsTable,
+  ensureEaCacheTable,
+  ensureMatchClaimsTable,
   ensureMatchesTable,
+  ensureMemberStatSnapshotsTable,
+  ensureNewsTable,
   ensurePlayerStatsTables,
+  ensureSeasonsTable,
+  ensureSeriesTable,
+  ensureStandingsSnapshotsTable,
+  ensureSyncRunsTable,
+  finishSyncRun,
+  getAdminAccount,
+  getAdminAccountCredentials,
+  getAdminAccounts,
+  getAdminAudit,
+  getAdminSession,
   getApprovedLeagueMatches,
+  getApprovedPlayoffMatches,
+  getEaCacheEntry,
+  getEaPlayerIds,
+  getLeagueClub,
+  getLeagueClubs,
+  getMatch,
+  getMatchClaim,
+  getMatchClaims,
+  getMatchPlayerStats,
+  getMemberStatProgression,
+  getNews,
+  getNewsItem,
   getPendingMatches,
+  getPlayerIdentity,
+  getPlayerMatchLog,
   getPlayerStats,
+  getSeason,
+  getSeasons,
+  getSeries,
+  getSeriesById,
+  getSeriesGames,
+  getStandingsSnapshots,
+  getSyncRuns,
   insertPlayerMatchStats,
   getSavedMatches,
   insertMatch,
+  mergePlayerIdentities,
   normalizeMatchDate,
   normalizePlayerMatchStats,
+  normalizePlayerMergeInput,
+  normalizePlayerSplitInput,
+  normalizeAdminAccountInput,
+  normalizeClubInput,
   normalizeLeagueClubName,
+  normalizeManualMatchInput,
+  normalizeMatchday,
+  normalizeMatchCorrection,
+  normalizeMemberSnapshot,
+  normalizeNewsInput,
+  normalizeSeasonId,
+  normalizeSeriesId,
   getLeagueClubAliasRows,
   resetApprovedMatches,
+  recordAdminAudit,
+  recordMemberStatSnapshots,
+  recordStandingsSnapshot,
   rejectMatch,
+  rebuildPlayerClubStints,
+  replaceSeasonSeries,
+  resolveDisputedClaim,
+  resolveMatchClaim,
+  closeMatchClaims,
+  respondToMatchClaim,
+  revertMatchCorrection,
+  saveEaCacheEntry,
+  searchPlayerIdentities,
+  splitPlayerIdentity,
+  startSyncRun,
+  updateAdminAccount,
+  updateGeneratedNewsItems,
+  updateClub,
+  updateNewsPost,
 };
@@ -0,0 +1,110 @@
+// Serves the EA endpoints the app uses from JSON fixtures, so the league hub
+// runs without network access. Start it with `npm run ea-stub` and set
+// EA_BASE_URL=http://localhost:4010 for the app.
+//
+// With `--record` (or EA_STUB_RECORD=1) each request is forwarded to EA and
+// the response is saved as the fixture before it is returned. If EA fails,
+// the saved fixture is served instead.
+const http = require('http');
+const fs = require('fs/promises');
+const path = require('path');
+const { DEFAULT_EA_BASE_URL, EA_HEADERS } = require('../services/eaApi');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', 'data', 'ea-fixtures');
+
+// Fixture directory for each endpoint, and the query parameters that name the
+// file inside it.
+const ROUTES = {
+  '/clubs/matches': { dir: 'clubs-matches', params: params => [params.get('matchType') || 'friendlyMatch', params.get('clubIds')] },
+  '/members/stats': { dir: 'members-stats', params: params => [params.get('clubId')] },
+  '/clubs/info': { dir: 'clubs-info', params: params => [params.get('clubIds')] },
+  '/clubs/overallStats': { dir: 'clubs-overall-stats', params: params => [params.get('clubIds')] },
+};
+
+// Returns null for unknown endpoints or parameters that are not plain ids, so
+// a request can never reach outside the fixtures directory.
+function getFixturePath(fixturesDir, requestUrl) {
+  const url = new URL(requestUrl, 'http://localhost');
+  const route = Object.keys(ROUTES).find(name => url.pathname.replace(/\/+$/, '').endsWith(name));
+  if (!route) return null;
+
+  const segments = ROUTES[route].params(url.searchParams);
+  if (!segments.every(segment => /^[A-Za-z0-9]+$/.test(segment || ''))) return null;
+  return { route, file: `${path.join(fixturesDir, ROUTES[route].dir, ...segments)}.json`, search: url.search };
+}
+
+async function readFixture(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+async function recordFixture(fixture, upstreamUrl) {
+  const response = await fetch(`${upstreamUrl}${fixture.route}${fixture.search}`, { headers: EA_HEADERS });
+  if (!response.ok) throw new Error(`EA API returned HTTP ${response.status}`);
+
+  const body = await response.json();
+  await fs.mkdir(path.dirname(fixture.file), { recursive: true });
+  await fs.writeFile(fixture.file, `${JSON.stringify(body, null, 2)}\n`);
+  return body;
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function createEaStubServer({
+  fixturesDir = DEFAULT_FIXTURES_DIR,
+  record = false,
+  upstreamUrl = DEFAULT_EA_BASE_URL,
+  log = console.log,
+} = {}) {
+  return http.createServer(async (req, res) => {
+    const fixture = req.method === 'GET' ? getFixturePath(fixturesDir, req.url) : null;
+    if (!fixture) {
+      sendJson(res, 404, { error: `No EA stub route for ${req.method} ${req.url}` });
+      return;
+    }
+
+    try {
+      if (record) {
+        try {
+          const body = await recordFixture(fixture, upstreamUrl);
+          log(`recorded ${path.relative(fixturesDir, fixture.file)}`);
+          sendJson(res, 200, body);
+          return;
+        } catch (error) {
+          log(`recording ${req.url} failed (${error.message}); serving the saved fixture`);
+        }
+      }
+
+      const body = await readFixture(fixture.file);
+      if (body === null) {
+        sendJson(res, 404, { error: `No fixture at ${path.relative(fixturesDir, fixture.file)}` });
+        return;
+      }
+      sendJson(res, 200, body);
+    } catch (error) {
+      sendJson(res, 500, { error: error.message });
+    }
+  });
+}
+
+if (require.main === module) {
+  const port = Number(process.env.EA_STUB_PORT || 4010);
+  const record = process.argv.includes('--record') || process.env.EA_STUB_RECORD === '1';
+  const fixturesDir = process.env.EA_STUB_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+  createEaStubServer({ fixturesDir, record, upstreamUrl: process.env.EA_STUB_UPSTREAM_URL || DEFAULT_EA_BASE_URL })
+    .listen(port, () => {
+      console.log(`EA stub ${record ? 'recording' : 'serving'} ${fixturesDir} on :${port}`);
+    });
+}
+
+module.exports = {
+  createEaStubServer,
+  getFixturePath,
+};
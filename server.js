@@ -2,73 +2,105 @@ const express = require('express');
 const path = require('path');
 const fs = require('fs');
 const logger = require('./logger');
+const auth = require('./services/auth');
 const eaApi = require('./services/eaApi');
+const news = require('./services/news');
+const playoffs = require('./services/playoffs');
+const rateLimit = require('./services/rateLimit');
+const schedule = require('./services/schedule');
+const tiebreakers = require('./services/tiebreakers');
+const utils = require('./utils');
 const db = require('./db');
 
 const app = express();
 const PUBLIC_DIR = path.join(__dirname, 'public');
 
-const LEAGUE_CLUBS = [
-  { id: '57985', name: 'Bota FC', conference: 'east', aliases: ['Bota FC'] },
-  { id: '6297844', name: 'Inferign United', conference: 'east', aliases: ['Inferign United', 'Inferign Utd'] },
-  { id: '1171188', name: 'True Egoistas', conference: 'east', aliases: ['True Egoistas', 'Egoistas'] },
-  { id: '4671025', name: 'Versus One', conference: 'west', aliases: ['Versus One'] },
-  { id: '654142', name: 'FC Wisconsin', conference: 'west', aliases: ['FC Wisconsin'] },
-  { id: '129307', name: 'FC Sutton St', conference: 'west', aliases: ['FC Sutton St', 'FC Sutton'] },
-];
+const LEAGUE_CLUBS = db.DEFAULT_LEAGUE_CLUBS;
+let leagueClubs = LEAGUE_CLUBS;
 
 const BOTA_FC = {
   id: process.env.BOTA_CLUB_ID || LEAGUE_CLUBS[0].id,
   name: process.env.BOTA_CLUB_NAME || LEAGUE_CLUBS[0].name,
 };
-const ACTIVE_MATCH_TYPE = 'friendlyMatch';
-
-const NEWS_ITEMS = [
-  {
-    category: 'League Office',
-    time: 'Preseason',
-    headline: 'The UPCL table has been reset for the six confirmed clubs.',
-  },
-  {
-    category: 'East',
-    time: 'Preseason',
-    headline: 'Eastern Conference entries: Bota FC, Inferign United, and True Egoistas.',
-  },
-  {
-    category: 'West',
-    time: 'Preseason',
-    headline: 'Western Conference entries: Versus One, FC Wisconsin, and FC Sutton St.',
-  },
-  {
-    category: 'Tables',
-    time: 'Preseason',
-    headline: 'No fake standings, form, or scorelines are listed before official results arrive.',
-  },
-  {
-    category: 'standings',
-    time: 'News Engine',
-    headline: 'Standings movement dashboard is ready for table-change stories.',
-    graphic: {
-      type: 'standingsMovement',
-      playoffCutoffRank: 4,
-      rows: [
-        { rank: 1, previousRank: 3, team: 'Bota FC', pts: 23, gd: '+14', form: ['W', 'W', 'D', 'W', 'W'] },
-        { rank: 2, previousRank: 1, team: 'Versus One', pts: 21, gd: '+10', form: ['W', 'D', 'W', 'W', 'L'] },
-        { rank: 3, previousRank: 2, team: 'FC Wisconsin', pts: 18, gd: '+6', form: ['L', 'W', 'W', 'D', 'W'] },
-        { rank: 4, previousRank: 6, team: 'True Egoistas', pts: 16, gd: '+3', form: ['W', 'L', 'W', 'D', 'D'] },
-        { rank: 5, previousRank: 4, team: 'Inferign United', pts: 14, gd: '0', form: ['D', 'W', 'L', 'L', 'W'] },
-        { rank: 6, previousRank: 5, team: 'FC Sutton St', pts: 12, gd: '-2', form: ['L', 'D', 'W', 'L', 'D'] },
-        { rank: 7, previousRank: 7, team: 'Royal Republic', pts: 10, gd: '-7', form: ['D', 'L', 'L', 'W', 'L'] },
-        { rank: 8, previousRank: 8, team: 'Sporting de la MA', pts: 8, gd: '-11', form: ['L', 'L', 'D', 'L', 'W'] },
-      ],
-    },
-  },
-];
+// EA match types to sync and list, comma-separated, e.g.
+// `friendlyMatch,leagueMatch`. Friendlies only by default.
+const EA_MATCH_TYPES = eaApi.normalizeMatchTypes(process.env.EA_MATCH_TYPES);
+// Crest image URL for a club profile, with `{assetId}` replaced by the EA crest
+// asset id. Without it profiles use the club's logo from leagueClubs.json.
+const EA_CREST_URL_TEMPLATE = process.env.EA_CREST_URL_TEMPLATE || '';
+// Top scorers listed on a club profile.
+const CLUB_PROFILE_TOP_SCORERS = Number(process.env.CLUB_PROFILE_TOP_SCORERS) || 5;
+// Games listed under best performances on a player profile.
+const PLAYER_PROFILE_BEST_PERFORMANCES = Number(process.env.PLAYER_PROFILE_BEST_PERFORMANCES) || 3;
+// `game` awards table points per approved league game, `series` once per
+// completed best-of series.
+const LEAGUE_POINTS_MODE = process.env.LEAGUE_POINTS_MODE === 'series' ? 'series' : 'game';
+// Comma-separated rules applied in order after points, e.g.
+// `head_to_head_points,goal_difference,wins`. An unknown rule stops startup.
+const STANDINGS_TIEBREAKERS = tiebreakers.normalizeTiebreakers(process.env.STANDINGS_TIEBREAKERS);
+// `approval` records a standings snapshot after every approved league game,
+// `matchday` keeps one per matchday.
+const STANDINGS_SNAPSHOT_MODE = process.env.STANDINGS_SNAPSHOT_MODE === 'matchday' ? 'matchday' : 'approval';
+// Score credited for a forfeit, winner first (`3-0` by default), or
+// `recorded` to count the score entered with the forfeit as-is.
+const FORFEIT_SCORE = process.env.FORFEIT_SCORE || '3-0';
+// Playoff bracket format, checked here so a bad value stops startup instead of
+// failing every standings, playoffs and news request.
+const PLAYOFF_FORMAT = playoffs.normalizePlayoffFormat({
+  cutoff: process.env.PLAYOFF_CUTOFF_RANK,
+  byes: process.env.PLAYOFF_BYES,
+  bestOf: process.env.PLAYOFF_BEST_OF,
+  finalsBestOf: process.env.PLAYOFF_FINALS_BEST_OF,
+});
+
+const NEWS_ITEMS = db.DEFAULT_NEWS_ITEMS;
+// Admin sessions expire this many minutes after login.
+const ADMIN_SESSION_TTL_MINUTES = Number(process.env.ADMIN_SESSION_TTL_MINUTES) || 120;
+// Failed admin attempts allowed per client address, and per username from that
+// address, within ADMIN_LOCKOUT_MINUTES before further attempts are refused
+// for that long. `0` turns lockouts off.
+const ADMIN_MAX_FAILED_ATTEMPTS = Number(process.env.ADMIN_MAX_FAILED_ATTEMPTS || 5);
+const ADMIN_LOCKOUT_MINUTES = Number(process.env.ADMIN_LOCKOUT_MINUTES || 15);
+// Requests per client address to public routes that call EA, per window.
+const EA_ROUTE_RATE_LIMIT = Number(process.env.EA_ROUTE_RATE_LIMIT || 30);
+const EA_ROUTE_RATE_WINDOW_SECONDS = Number(process.env.EA_ROUTE_RATE_WINDOW_SECONDS || 60);
+// Manual syncs allowed across all admins per window; each one calls EA once
+// per league club.
+const SYNC_RATE_LIMIT = Number(process.env.SYNC_RATE_LIMIT || 2);
+const SYNC_RATE_WINDOW_SECONDS = Number(process.env.SYNC_RATE_WINDOW_SECONDS || 300);
+// League clubs fetched from EA at the same time during a sync.
+const SYNC_CONCURRENCY = Number(process.env.SYNC_CONCURRENCY) || 3;
+// Minutes between background syncs of every league club. `0` (the default)
+// leaves syncing to admins.
+const SYNC_INTERVAL_MINUTES = Number(process.env.SYNC_INTERVAL_MINUTES || 0);
+// Hours between member stat snapshots for player progression; `0` turns them
+// off.
+const MEMBER_SNAPSHOT_INTERVAL_HOURS = Number(process.env.MEMBER_SNAPSHOT_INTERVAL_HOURS || 24);
+// How long /api/health waits for Postgres before reporting it down.
+const HEALTH_DB_TIMEOUT_MS = Number(process.env.HEALTH_DB_TIMEOUT_MS || 2000);
+// Number of proxies in front of the app, so `req.ip` is the real client.
+const TRUST_PROXY_HOPS = Number(process.env.TRUST_PROXY_HOPS) || 0;
+
+const adminLockout = rateLimit.createLockout({
+  maxAttempts: ADMIN_MAX_FAILED_ATTEMPTS,
+  windowMs: ADMIN_LOCKOUT_MINUTES * 60_000,
+});
+const eaRouteRateLimit = rateLimit.createRateLimiter({
+  limit: EA_ROUTE_RATE_LIMIT,
+  windowMs: EA_ROUTE_RATE_WINDOW_SECONDS * 1000,
+});
+const syncRateLimit = rateLimit.createRateLimiter({
+  limit: SYNC_RATE_LIMIT,
+  windowMs: SYNC_RATE_WINDOW_SECONDS * 1000,
+});
+
+if (TRUST_PROXY_HOPS) app.set('trust proxy', TRUST_PROXY_HOPS);
 
 app.use((_req, res, next) => {
   res.set('Access-Control-Allow-Origin', '*');
-  res.set('Access-Control-Allow-Methods', 'GET,HEAD,POST,OPTIONS');
-  res.set('Access-Control-Allow-Headers', 'Content-Type, x-admin-password');
+  res.set('Access-Control-Allow-Methods', 'GET,HEAD,POST,PATCH,DELETE,OPTIONS');
+  res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization, x-admin-password');
+  res.set('Access-Control-Expose-Headers', 'Retry-After');
   next();
 });
 app.use(express.json({ limit: '1mb' }));
@@ -115,21 +147,178 @@ app.use((req, res, next) => {
   });
 });
 
-function requireAdmin(req, res, next) {
+function getClientIp(req) {
+  return req.ip || req.socket?.remoteAddress || 'unknown';
+}
+
+function sendTooManyRequests(res, retryAfter, error) {
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({ error, details: `try again in ${retryAfter} seconds`, retryAfter });
+}
+
+// Refuses requests once `limiter` has seen too many for the key, which is the
+// client address unless `keyOf` says otherwise.
+function rateLimited(limiter, handler, keyOf = getClientIp) {
+  return async (req, res) => {
+    const { limited, retryAfter } = limiter.hit(keyOf(req));
+    if (limited) {
+      sendTooManyRequests(res, retryAfter, 'Too many requests');
+      return;
+    }
+    await handler(req, res);
+  };
+}
+
+function getCredentialAttemptKey(req, credential) {
+  return `credential:${credential}@${getClientIp(req)}`;
+}
+
+// A failed attempt counts against the client address and, when there is one,
+// the credential being guessed from that address. Nothing is counted globally,
+// so one client's bad guesses never lock out another. A success clears only
+// the credential that worked, never the address, so signing in with one
+// credential does not reset the guesses made at another.
+function getAdminAttemptKeys(req, credential) {
+  return [`ip:${getClientIp(req)}`, credential && getCredentialAttemptKey(req, credential)].filter(Boolean);
+}
+
+function sendAdminLockedOut(res, retryAfter) {
+  sendTooManyRequests(res, retryAfter, 'Too many failed admin attempts');
+}
+
+function getBearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(String(req.headers?.authorization || ''));
+  return match ? match[1] : null;
+}
+
+// Session tokens identify a named account. ADMIN_PASSWORD only seeds the first
+// account unless ADMIN_PASSWORD_HEADER=on also accepts it as a header: a
+// superuser fallback for scripts that always acts as a league officer, so it
+// bypasses per-account roles. It names nobody, so its audit entries are all
+// labelled `admin`.
+async function authenticateAdmin(req) {
+  const token = getBearerToken(req);
+  if (token) {
+    const session = await db.getAdminSession(token);
+    return session && {
+      id: session.id,
+      name: session.username,
+      role: session.role,
+      clubId: session.club_id,
+      expiresAt: session.expires_at,
+    };
+  }
+
+  if (!isAdminPasswordHeaderEnabled()) return null;
   const expectedPassword = process.env.ADMIN_PASSWORD;
   const providedPassword = req.headers?.['x-admin-password'];
+  if (!expectedPassword || !providedPassword || !auth.safeEqual(providedPassword, expectedPassword)) return null;
+  return {
+    id: null,
+    name: 'admin',
+    role: 'league_officer',
+    clubId: null,
+  };
+}
+
+function isAdminPasswordHeaderEnabled() {
+  return Boolean(process.env.ADMIN_PASSWORD) && process.env.ADMIN_PASSWORD_HEADER === 'on';
+}
 
-  if (!expectedPassword || providedPassword !== expectedPassword) {
+// The kind of credential a request presents; a token wins over the header, as
+// in `authenticateAdmin`.
+function getPresentedCredential(req) {
+  if (getBearerToken(req)) return 'session-token';
+  return req.headers?.['x-admin-password'] ? 'admin-password' : null;
+}
+
+async function requireAdmin(req, res, next, role = 'league_officer') {
+  const credential = getPresentedCredential(req);
+  const attemptKeys = getAdminAttemptKeys(req, credential);
+  const lockedFor = adminLockout.check(...attemptKeys);
+  if (lockedFor) {
+    sendAdminLockedOut(res, lockedFor);
+    return;
+  }
+
+  let account;
+  try {
+    account = await authenticateAdmin(req);
+  } catch (error) {
+    logger.error({ err: error }, 'Failed to check admin session');
+    res.status(500).json({ error: 'Failed to check admin session', details: error.message || 'Database query failed' });
+    return;
+  }
+
+  if (!account) {
+    // Requests that send no credentials at all are not guesses.
+    const lockout = credential ? adminLockout.fail(...attemptKeys) : 0;
+    if (lockout) {
+      logger.warn({ ip: getClientIp(req) }, 'Locking out admin access after repeated failures');
+      sendAdminLockedOut(res, lockout);
+      return;
+    }
     res.status(401).json({ error: 'Unauthorized' });
     return;
   }
+  adminLockout.succeed(getCredentialAttemptKey(req, credential));
+  if (!auth.hasRole(account, role)) {
+    res.status(403).json({ error: 'Forbidden', details: `requires role ${[role].flat().join(' or ')}` });
+    return;
+  }
 
-  next();
+  req.admin = account;
+  await next();
+}
+
+async function loadAuditState(load) {
+  try {
+    return await load();
+  } catch (error) {
+    logger.warn({ err: error }, 'Unable to load state for the admin audit log');
+    return null;
+  }
+}
+
+// Handlers describe their change on `req.audit`; the action defaults to the
+// route and the after state to the JSON response.
+async function writeAdminAudit(req, responseBody) {
+  const audit = req.audit || {};
+  const params = Object.values(req.params || {});
+  try {
+    await db.recordAdminAudit({
+      action: audit.action || `${req.method} ${req.url.split('?')[0]}`,
+      targetType: audit.targetType ?? null,
+      targetId: audit.targetId ?? params[0] ?? null,
+      admin: req.admin?.name || 'admin',
+      before: audit.before ?? null,
+      after: audit.after ?? responseBody ?? null,
+    });
+  } catch (error) {
+    logger.warn({ err: error, action: audit.action }, 'Unable to write admin audit entry');
+  }
 }
 
+// Wraps a handler that needs the given role (or any of a list of roles).
+// Successful admin writes are recorded in the audit log once the response
+// has been sent. Reads are not audited.
+function adminOnly(role, handler) {
+  const roles = [role].flat().map(auth.normalizeRole);
+  if (typeof handler !== 'function') throw new Error('adminOnly requires a role and a handler');
+
+  return (req, res) => requireAdmin(req, res, async () => {
+    if (['GET', 'HEAD'].includes(req.method)) return handler(req, res);
+
+    let responseBody;
+    const json = res.json.bind(res);
+    res.json = body => {
+      responseBody = body;
+      return json(body);
+    };
 
-function adminOnly(handler) {
-  return (req, res) => requireAdmin(req, res, () => handler(req, res));
+    await handler(req, res);
+    if (res.statusCode < 400) await writeAdminAudit(req, responseBody);
+  }, roles);
 }
 
 
@@ -191,47 +380,108 @@ function sortMatches(matches) {
   return [...matches].sort((a, b) => toNumber(b.timestamp, 0) - toNumber(a.timestamp, 0));
 }
 
-const TEAM_ALIASES = {
-  'bota fc': 'Bota FC',
-  bota: 'Bota FC',
-  'true egoistas': 'True Egoistas',
-  egoistas: 'True Egoistas',
-  'inferign united': 'Inferign United',
-  'inferign utd': 'Inferign United',
-  'versus one': 'Versus One',
-  'fc wisconson': 'FC Wisconsin',
-  'fc wisconsin': 'FC Wisconsin',
-  'fc sutton st': 'FC Sutton St',
-  'fc sutton': 'FC Sutton St',
-};
+async function loadLeagueClubs() {
+  try {
+    leagueClubs = await db.getLeagueClubs();
+  } catch (error) {
+    logger.warn({ err: error }, 'Unable to load league clubs from Postgres; using last known club registry');
+  }
+  return leagueClubs;
+}
 
-const CLUB_BY_ID = new Map(LEAGUE_CLUBS.map(club => [club.id, club]));
-const CLUB_BY_CANONICAL_NAME = new Map(LEAGUE_CLUBS.map(club => [club.name, club]));
+function getLeagueClubs() {
+  return leagueClubs;
+}
+
+function findLeagueClubByName(name, clubs = leagueClubs) {
+  const normalizedName = db.normalizeLeagueClubName(name);
+  if (!normalizedName) return null;
+
+  return clubs.find(club => [club.name, ...(club.aliases || [])]
+    .some(alias => db.normalizeLeagueClubName(alias) === normalizedName)) || null;
+}
+
+function getCanonicalTeamName(name, clubs = leagueClubs) {
+  return findLeagueClubByName(name, clubs)?.name || null;
+}
+
+function findLeagueClub(id, name, clubs = leagueClubs) {
+  const idMatch = id === null || id === undefined
+    ? null
+    : clubs.find(club => club.id === String(id) || club.eaClubId === String(id));
+  return idMatch || findLeagueClubByName(name, clubs);
+}
 
-function normalizeTeamName(name) {
-  return String(name || '')
-    .trim()
-    .toLowerCase()
-    .replace(/\butd\b/g, 'united')
-    .replace(/\bst\b/g, 'st')
-    .replace(/\s+/g, ' ');
+// One query string value as a string, or null. A repeated parameter keeps its
+// first value.
+function getQueryParam(req, name) {
+  const value = [req.query?.[name]].flat()[0];
+  return typeof value === 'string' ? value : null;
 }
 
-function getCanonicalTeamName(name) {
-  return TEAM_ALIASES[normalizeTeamName(name)] || null;
+// Resolves the optional ?season= parameter. Returns null when no season was
+// requested so callers fall back to the current season.
+async function getRequestedSeason(req) {
+  const seasonParam = getQueryParam(req, 'season');
+  if (!seasonParam) return null;
+
+  const season = await db.getSeason(seasonParam);
+  if (!season) throw new Error(`season ${seasonParam} not found`);
+  return season;
+}
+
+function getSeasonErrorStatus(error) {
+  const message = error.message || '';
+  if (/^season .* not found$/.test(message)) return 404;
+  if (/season must be/.test(message)) return 400;
+  return 500;
+}
+
+function summarizeSeason(season) {
+  if (!season) return null;
+  return {
+    id: season.id,
+    name: season.name,
+    status: season.status,
+    started_at: season.started_at,
+    closed_at: season.closed_at,
+  };
 }
 
-function findLeagueClub(id, name) {
-  const idMatch = id === null || id === undefined ? null : CLUB_BY_ID.get(String(id));
-  if (idMatch) return idMatch;
+function getScheduleClub(clubId, clubs = leagueClubs) {
+  const club = clubs.find(item => item.id === clubId);
+  return { id: clubId, name: club?.name || `Club ${clubId}`, logo: club?.logo || null };
+}
 
-  const canonicalName = getCanonicalTeamName(name);
-  return canonicalName ? CLUB_BY_CANONICAL_NAME.get(canonicalName) || null : null;
+function buildSeriesView(series, games = []) {
+  const seriesGames = games.filter(game => game.series_id === String(series.id));
+  const summary = schedule.summarizeSeries(series, seriesGames, name => findLeagueClubByName(name));
+  return {
+    ...series,
+    home: getScheduleClub(series.home_club_id),
+    away: getScheduleClub(series.away_club_id),
+    ...summary,
+    winner: summary.winner_club_id ? getScheduleClub(summary.winner_club_id) : null,
+  };
 }
 
-function findLeagueClubByName(name) {
-  const canonicalName = getCanonicalTeamName(name);
-  return canonicalName ? CLUB_BY_CANONICAL_NAME.get(canonicalName) || null : null;
+// Links an approved league game to the earliest unfinished series between its
+// two clubs, so the schedule picks up results without manual bookkeeping.
+async function linkMatchToSeries(match) {
+  if (!match || match.competition !== 'league' || match.series_id) return match;
+
+  const homeClub = findLeagueClubByName(match.club_name);
+  const awayClub = findLeagueClubByName(match.opponent_name);
+  if (!homeClub || !awayClub || homeClub.id === awayClub.id) return match;
+
+  const candidates = await db.getSeries({ seasonId: match.season_id, clubIds: [homeClub.id, awayClub.id] });
+  if (!candidates.length) return match;
+
+  const games = await db.getSeriesGames({ seriesIds: candidates.map(series => series.id) });
+  const openSeries = candidates.find(series => buildSeriesView(series, games).status !== 'complete');
+  if (!openSeries) return match;
+
+  return (await db.assignMatchSeries(match.match_id, openSeries.id)) || match;
 }
 
 function createEmptyStanding(club, seed = 0) {
@@ -274,29 +524,156 @@ function addStandingResult(row, goalsFor, goalsAgainst, result) {
   }
 }
 
-function calculateStandings(savedMatches = []) {
-  const rowsByClubId = new Map(LEAGUE_CLUBS.map(club => [club.id, createEmptyStanding(club)]));
-  const formByClubId = new Map(LEAGUE_CLUBS.map(club => [club.id, []]));
+function isCountableLeagueMatch(match) {
+  return match.status === 'approved' && match.competition === 'league';
+}
+
+function invertResult(result) {
+  return result === 'W' ? 'L' : result === 'L' ? 'W' : 'D';
+}
+
+function getMatchRedCards(match, club) {
+  const players = match.raw_json?.players?.[club?.eaClubId];
+  if (!players || typeof players !== 'object') return 0;
+  return Object.values(players).reduce((total, player) => total + toNumber(player?.redcards, 0), 0);
+}
+
+function parseForfeitScore(rule = FORFEIT_SCORE) {
+  const value = String(rule || '').trim().toLowerCase();
+  if (value === 'recorded') return null;
+
+  const match = /^(\d+)\s*-\s*(\d+)$/.exec(value);
+  if (!match || Number(match[1]) <= Number(match[2])) {
+    throw new Error('FORFEIT_SCORE must be a winning score such as 3-0, or recorded');
+  }
+  return { winner: Number(match[1]), loser: Number(match[2]) };
+}
+
+// Rewrites a forfeited game's score to FORFEIT_SCORE. With `recorded` the
+// entered score is kept; either way the result comes from `forfeit`.
+function applyForfeitRule(match, rule = FORFEIT_SCORE) {
+  if (!match?.forfeit) return match;
+
+  const score = parseForfeitScore(rule);
+  if (!score) return match;
+
+  const homeForfeited = match.forfeit === 'home';
+  return {
+    ...match,
+    club_score: homeForfeited ? score.loser : score.winner,
+    opponent_score: homeForfeited ? score.winner : score.loser,
+    result: homeForfeited ? 'L' : 'W',
+  };
+}
+
+// The side that did not forfeit wins, even when the recorded score says
+// otherwise.
+function getHomeResult(match, clubScore, opponentScore) {
+  if (match.forfeit === 'home') return 'L';
+  if (match.forfeit === 'away') return 'W';
+  return clubScore > opponentScore ? 'W' : clubScore < opponentScore ? 'L' : 'D';
+}
+
+function getGameResults(savedMatches, clubs) {
+  const results = [];
 
   for (const match of savedMatches) {
-    if (match.status !== 'approved' || match.competition !== 'league') continue;
+    if (!isCountableLeagueMatch(match)) continue;
 
-    const homeClub = findLeagueClubByName(match.club_name);
-    const awayClub = findLeagueClubByName(match.opponent_name);
+    const homeClub = findLeagueClubByName(match.club_name, clubs);
+    const awayClub = findLeagueClubByName(match.opponent_name, clubs);
     const clubScore = Number(match.club_score);
     const opponentScore = Number(match.opponent_score);
 
     if (!homeClub || !awayClub || homeClub.id === awayClub.id) continue;
     if (!Number.isFinite(clubScore) || !Number.isFinite(opponentScore)) continue;
 
-    const homeResult = clubScore > opponentScore ? 'W' : clubScore < opponentScore ? 'L' : 'D';
-    const awayResult = homeResult === 'W' ? 'L' : homeResult === 'L' ? 'W' : 'D';
-    const sortTime = getMatchSortTime(match);
+    results.push({
+      homeClubId: homeClub.id,
+      awayClubId: awayClub.id,
+      homeGoals: clubScore,
+      awayGoals: opponentScore,
+      homeResult: getHomeResult(match, clubScore, opponentScore),
+      homeRedCards: getMatchRedCards(match, homeClub),
+      awayRedCards: getMatchRedCards(match, awayClub),
+      sortTime: getMatchSortTime(match),
+    });
+  }
+
+  return results;
+}
+
+// Collapses linked games into one result per completed series. Games without
+// a series, and series still in progress, do not count yet.
+function getSeriesResults(savedMatches, clubs, seriesList = []) {
+  const seriesById = new Map(seriesList.map(series => [String(series.id), series]));
+  const gamesBySeriesId = new Map();
+  const findClub = name => findLeagueClubByName(name, clubs);
+
+  for (const match of savedMatches) {
+    if (!isCountableLeagueMatch(match) || !match.series_id) continue;
+    const seriesId = String(match.series_id);
+    if (!gamesBySeriesId.has(seriesId)) gamesBySeriesId.set(seriesId, []);
+    gamesBySeriesId.get(seriesId).push(match);
+  }
+
+  const results = [];
+  for (const [seriesId, games] of gamesBySeriesId) {
+    games.sort((a, b) => getMatchSortTime(a) - getMatchSortTime(b));
+    const series = seriesById.get(seriesId) || {
+      home_club_id: findClub(games[0].club_name)?.id,
+      away_club_id: findClub(games[0].opponent_name)?.id,
+      best_of: 3,
+    };
+    const summary = schedule.summarizeSeries(series, games, findClub);
+    if (summary.status !== 'complete') continue;
+
+    const homeResult = summary.winner_club_id === series.home_club_id
+      ? 'W'
+      : summary.winner_club_id === series.away_club_id ? 'L' : 'D';
+    const countedIds = new Set(summary.games.map(item => item.match_id));
+    const countedGames = games.filter(game => countedIds.has(game.match_id));
+    const homeClub = clubs.find(club => club.id === series.home_club_id);
+    const awayClub = clubs.find(club => club.id === series.away_club_id);
+    const sumRedCards = club => countedGames.reduce((total, game) => total + getMatchRedCards(game, club), 0);
+
+    results.push({
+      homeClubId: series.home_club_id,
+      awayClubId: series.away_club_id,
+      homeGoals: summary.home_goals,
+      awayGoals: summary.away_goals,
+      homeResult,
+      homeRedCards: sumRedCards(homeClub),
+      awayRedCards: sumRedCards(awayClub),
+      sortTime: Math.max(...games.map(getMatchSortTime)),
+    });
+  }
+
+  return results;
+}
 
-    addStandingResult(rowsByClubId.get(homeClub.id), clubScore, opponentScore, homeResult);
-    addStandingResult(rowsByClubId.get(awayClub.id), opponentScore, clubScore, awayResult);
-    formByClubId.get(homeClub.id).push({ result: homeResult, sortTime });
-    formByClubId.get(awayClub.id).push({ result: awayResult, sortTime });
+function calculateStandings(savedMatches = [], {
+  clubs = leagueClubs,
+  pointsMode = LEAGUE_POINTS_MODE,
+  series = [],
+  tiebreakers: tiebreakerRules = STANDINGS_TIEBREAKERS,
+  forfeitScore = FORFEIT_SCORE,
+} = {}) {
+  savedMatches = savedMatches.map(match => applyForfeitRule(match, forfeitScore));
+  const rowsByClubId = new Map(clubs.map(club => [club.id, createEmptyStanding(club)]));
+  const formByClubId = new Map(clubs.map(club => [club.id, []]));
+  const results = pointsMode === 'series'
+    ? getSeriesResults(savedMatches, clubs, series)
+    : getGameResults(savedMatches, clubs);
+
+  for (const result of results) {
+    if (!rowsByClubId.has(result.homeClubId) || !rowsByClubId.has(result.awayClubId)) continue;
+
+    const awayResult = invertResult(result.homeResult);
+    addStandingResult(rowsByClubId.get(result.homeClubId), result.homeGoals, result.awayGoals, result.homeResult);
+    addStandingResult(rowsByClubId.get(result.awayClubId), result.awayGoals, result.homeGoals, awayResult);
+    formByClubId.get(result.homeClubId).push({ result: result.homeResult, sortTime: result.sortTime });
+    formByClubId.get(result.awayClubId).push({ result: awayResult, sortTime: result.sortTime });
   }
 
   for (const row of rowsByClubId.values()) {
@@ -308,9 +685,7 @@ function calculateStandings(savedMatches = []) {
       .map(item => item.result);
   }
 
-  const sortRows = rows => rows
-    .sort((a, b) => b.pts - a.pts || b.gd - a.gd || b.gf - a.gf || a.team.localeCompare(b.team))
-    .map((row, index) => ({ ...row, seed: index + 1 }));
+  const sortRows = rows => tiebreakers.rankStandingRows(rows, results, tiebreakerRules);
 
   return {
     east: sortRows([...rowsByClubId.values()].filter(row => row.conference === 'east')),
@@ -329,234 +704,2009 @@ app.get('/', (_req, res) => {
   });
 });
 
-app.get('/api/health', (_req, res) => {
-  res.json({ ok: true, team: BOTA_FC, matchType: ACTIVE_MATCH_TYPE });
+async function checkDatabaseHealth() {
+  let timer;
+  const timeout = new Promise((_resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`no response within ${HEALTH_DB_TIMEOUT_MS}ms`)), HEALTH_DB_TIMEOUT_MS);
+  });
+  try {
+    return { ok: true, ...await Promise.race([db.checkConnection(), timeout]) };
+  } catch (error) {
+    return { ok: false, error: error.message || 'Database check failed' };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// `down` (HTTP 503) when the database is unreachable; `degraded` when only EA
+// is failing, since saved results can still be served.
+app.get('/api/health', async (_req, res) => {
+  const database = await checkDatabaseHealth();
+  const upstream = eaApi.getUpstreamStatus();
+  let status = 'ok';
+  if (!database.ok) status = 'down';
+  else if (upstream.state !== 'closed') status = 'degraded';
+
+  res.status(status === 'down' ? 503 : 200).json({
+    ok: status === 'ok',
+    status,
+    team: BOTA_FC,
+    matchType: EA_MATCH_TYPES.join(','),
+    matchTypes: EA_MATCH_TYPES,
+    database,
+    ea: upstream,
+    eaCache: eaApi.getCacheStats(),
+  });
 });
 
 app.get('/api/team', (_req, res) => {
-  res.json({ team: BOTA_FC, matchType: ACTIVE_MATCH_TYPE });
+  res.json({ team: BOTA_FC, matchType: EA_MATCH_TYPES.join(','), matchTypes: EA_MATCH_TYPES });
 });
 
-app.get('/api/news', (_req, res) => {
-  res.json({ news: NEWS_ITEMS });
+app.get('/api/news', async (req, res) => {
+  try {
+    const page = await db.getNews({ page: getQueryParam(req, 'page'), pageSize: getQueryParam(req, 'pageSize') });
+    res.json({
+      news: page.items,
+      page: page.page,
+      pageSize: page.pageSize,
+      total: page.total,
+      hasMore: page.page * page.pageSize < page.total,
+    });
+  } catch (error) {
+    if (/page/.test(error.message || '')) {
+      res.status(400).json({ error: 'Failed to load news', details: error.message, news: [] });
+      return;
+    }
+
+    logger.warn({ err: error }, 'Unable to load news from Postgres; serving preseason news');
+    res.json({ news: NEWS_ITEMS, page: 1, pageSize: NEWS_ITEMS.length, total: NEWS_ITEMS.length, hasMore: false });
+  }
 });
 
-async function sendFriendlyMatches(_req, res) {
+const NEWS_INPUT_ERROR = /category|headline|graphic|publishAt|pinned|published/;
+
+app.get('/api/admin/news', adminOnly('league_officer', async (req, res) => {
   try {
-    const rawMatches = await eaApi.fetchFriendlyMatches(BOTA_FC.id);
-    const matches = sortMatches(rawMatches.map((match, index) => normalizeMatch(match, index)));
-    res.json({ team: BOTA_FC, matchType: ACTIVE_MATCH_TYPE, matches });
+    const page = await db.getNews({
+      page: getQueryParam(req, 'page'),
+      pageSize: getQueryParam(req, 'pageSize'),
+      includeUnpublished: true,
+    });
+    res.json({
+      news: page.items,
+      page: page.page,
+      pageSize: page.pageSize,
+      total: page.total,
+      hasMore: page.page * page.pageSize < page.total,
+    });
   } catch (error) {
-    logger.error({ err: error, clubId: BOTA_FC.id }, 'Failed to fetch Bota FC friendly matches');
-    res.status(502).json({
-      error: 'Failed to fetch Bota FC friendly matches',
-      details: error.message || 'EA API request failed',
-      team: BOTA_FC,
-      matchType: ACTIVE_MATCH_TYPE,
-      matches: [],
+    const status = /page/.test(error.message || '') ? 400 : 500;
+    logger.error({ err: error }, 'Failed to load news posts');
+    res.status(status).json({
+      error: 'Failed to load news posts',
+      details: error.message || 'Database query failed',
+      news: [],
     });
   }
-}
+}));
 
-app.get('/api/matches', sendFriendlyMatches);
-app.get('/api/fixtures', sendFriendlyMatches);
+app.post('/api/admin/news', adminOnly('league_officer', async (req, res) => {
+  req.audit = { action: 'news.create', targetType: 'news' };
+  try {
+    const post = await db.createNewsPost(req.body || {});
+    req.audit.targetId = post?.id;
+    res.status(201).json({ post });
+  } catch (error) {
+    const status = NEWS_INPUT_ERROR.test(error.message || '') ? 400 : 500;
+    logger.error({ err: error }, 'Failed to create news post');
+    res.status(status).json({
+      error: 'Failed to create news post',
+      details: error.message || 'Database update failed',
+    });
+  }
+}));
 
-app.post('/api/sync-matches', adminOnly(async (_req, res) => {
-  const totals = {
-    totalFetched: 0,
-    inserted: 0,
-    skipped: 0,
+app.post('/api/admin/news/:newsId', adminOnly('league_officer', async (req, res) => {
+  req.audit = {
+    action: 'news.update',
+    targetType: 'news',
+    before: await loadAuditState(() => db.getNewsItem(req.params.newsId)),
   };
-
   try {
-    await db.ensureMatchesTable();
+    const post = await db.updateNewsPost(req.params.newsId, req.body || {});
 
-    for (const club of LEAGUE_CLUBS) {
-      const rawMatches = await eaApi.fetchFriendlyMatches(club.id);
-      totals.totalFetched += rawMatches.length;
-
-      const matches = rawMatches.map((match, index) => normalizeMatch(match, index, club));
-      for (const match of matches) {
-        const inserted = await db.insertMatch(match, club);
-        if (inserted) totals.inserted += 1;
-        else totals.skipped += 1;
-      }
+    if (!post) {
+      res.status(404).json({ error: 'News post not found' });
+      return;
     }
 
-    res.json(totals);
+    res.json({ post });
   } catch (error) {
-    logger.error({ err: error }, 'Failed to sync friendly matches to Postgres');
-    res.status(500).json({
-      error: 'Failed to sync friendly matches to Postgres',
-      details: error.message || 'Database sync failed',
-      ...totals,
+    const status = NEWS_INPUT_ERROR.test(error.message || '') ? 400 : 500;
+    logger.error({ err: error, newsId: req.params.newsId }, 'Failed to update news post');
+    res.status(status).json({
+      error: 'Failed to update news post',
+      details: error.message || 'Database update failed',
     });
   }
 }));
 
-app.get('/api/db-matches', async (_req, res) => {
+app.delete('/api/admin/news/:newsId', adminOnly('league_officer', async (req, res) => {
+  req.audit = {
+    action: 'news.delete',
+    targetType: 'news',
+    before: await loadAuditState(() => db.getNewsItem(req.params.newsId)),
+  };
   try {
-    const matches = await db.getSavedMatches();
-    res.json({ matches });
+    const deleted = await db.deleteNewsPost(req.params.newsId);
+
+    if (!deleted) {
+      res.status(404).json({ error: 'News post not found' });
+      return;
+    }
+
+    res.json({ deleted: true });
   } catch (error) {
-    logger.error({ err: error }, 'Failed to load saved matches from Postgres');
+    logger.error({ err: error, newsId: req.params.newsId }, 'Failed to delete news post');
     res.status(500).json({
-      error: 'Failed to load saved matches from Postgres',
-      details: error.message || 'Database query failed',
-      matches: [],
+      error: 'Failed to delete news post',
+      details: error.message || 'Database update failed',
     });
   }
-});
+}));
 
+function summarizeAdmin(admin) {
+  return { id: admin.id, username: admin.name ?? admin.username, role: admin.role, clubId: admin.clubId ?? admin.club_id ?? null };
+}
 
+app.post('/api/admin/login', async (req, res) => {
+  const username = String(req.body?.username || '').trim().toLowerCase();
+  const credential = username && `account:${username}`;
+  const attemptKeys = getAdminAttemptKeys(req, credential);
+  const lockedFor = adminLockout.check(...attemptKeys);
+  if (lockedFor) {
+    sendAdminLockedOut(res, lockedFor);
+    return;
+  }
 
-app.post('/api/admin/reset-approved-matches', adminOnly(async (_req, res) => {
   try {
-    const reset = await db.resetApprovedMatches();
-    res.json({ reset });
+    const account = await db.getAdminAccountCredentials(req.body?.username);
+    // Hash something even for unknown usernames so timing does not reveal them.
+    const valid = await auth.verifyPassword(req.body?.password, account?.password_hash || 'scrypt$missing$missing');
+    if (!account || !valid) {
+      const lockout = adminLockout.fail(...attemptKeys);
+      if (lockout) {
+        logger.warn({ ip: getClientIp(req), username }, 'Locking out admin logins after repeated failures');
+        sendAdminLockedOut(res, lockout);
+        return;
+      }
+      res.status(401).json({ error: 'Invalid username or password' });
+      return;
+    }
+    adminLockout.succeed(getCredentialAttemptKey(req, credential));
+
+    const session = await db.createAdminSession(account.id, ADMIN_SESSION_TTL_MINUTES);
+    res.json({ token: session.token, expiresAt: session.expiresAt, account: summarizeAdmin(account) });
   } catch (error) {
-    logger.error({ err: error }, 'Failed to reset approved matches');
-    res.status(500).json({
-      error: 'Failed to reset approved matches',
-      details: error.message || 'Database update failed',
-    });
+    logger.error({ err: error }, 'Failed to log in admin');
+    res.status(500).json({ error: 'Failed to log in', details: error.message || 'Database query failed' });
   }
-}));
-
+});
 
-app.post('/api/admin/backfill-player-stats', adminOnly(async (_req, res) => {
+app.post('/api/admin/logout', async (req, res) => {
+  const token = getBearerToken(req);
   try {
-    const backfill = await db.backfillPlayerStats();
-    res.json(backfill);
+    res.json({ loggedOut: token ? await db.deleteAdminSession(token) : false });
   } catch (error) {
-    logger.error({ err: error }, 'Failed to backfill player stats');
-    res.status(500).json({
-      error: 'Failed to backfill player stats',
-      details: error.message || 'Database update failed',
-    });
+    logger.error({ err: error }, 'Failed to log out admin');
+    res.status(500).json({ error: 'Failed to log out', details: error.message || 'Database update failed' });
   }
+});
+
+app.get('/api/admin/me', adminOnly(auth.ADMIN_ROLES, async (req, res) => {
+  res.json({ account: summarizeAdmin(req.admin), expiresAt: req.admin.expiresAt || null });
 }));
 
-app.get('/api/pending-matches', adminOnly(async (_req, res) => {
+const ACCOUNT_INPUT_ERROR = /username|password|role|clubId|active/;
+
+// Postgres reports a value already taken in a unique column, such as a
+// username, as 23505.
+function isUniqueViolation(error) {
+  return error?.code === '23505';
+}
+
+app.get('/api/admin/accounts', adminOnly('league_officer', async (_req, res) => {
   try {
-    const matches = await db.getPendingMatches();
-    res.json({ matches });
+    const accounts = await db.getAdminAccounts();
+    res.json({ accounts });
   } catch (error) {
-    logger.error({ err: error }, 'Failed to load pending matches from Postgres');
+    logger.error({ err: error }, 'Failed to load admin accounts');
     res.status(500).json({
-      error: 'Failed to load pending matches from Postgres',
+      error: 'Failed to load admin accounts',
       details: error.message || 'Database query failed',
-      matches: [],
+      accounts: [],
     });
   }
 }));
 
-app.post('/api/matches/:matchId/approve', adminOnly(async (req, res) => {
+app.post('/api/admin/accounts', adminOnly('league_officer', async (req, res) => {
+  req.audit = { action: 'account.create', targetType: 'account' };
   try {
-    const match = await db.approveMatch(req.params.matchId, {
-      competition: req.body?.competition || 'league',
-      matchday: req.body?.matchday,
-      notes: req.body?.notes,
-    });
+    const account = await db.createAdminAccount(req.body || {});
 
-    if (!match) {
-      res.status(404).json({ error: 'Match not found' });
+    if (!account) {
+      res.status(409).json({ error: 'Admin account already exists' });
       return;
     }
 
-    res.json({ match });
+    req.audit.targetId = account.id;
+    res.status(201).json({ account });
   } catch (error) {
-    const status = /competition|matchday/.test(error.message || '') ? 400 : 500;
-    logger.error({ err: error, matchId: req.params.matchId }, 'Failed to approve match');
+    const status = ACCOUNT_INPUT_ERROR.test(error.message || '') ? 400 : 500;
+    logger.error({ err: error }, 'Failed to create admin account');
     res.status(status).json({
-      error: 'Failed to approve match',
+      error: 'Failed to create admin account',
       details: error.message || 'Database update failed',
     });
   }
 }));
 
-app.post('/api/matches/:matchId/reject', adminOnly(async (req, res) => {
+app.post('/api/admin/accounts/:accountId', adminOnly('league_officer', async (req, res) => {
+  req.audit = {
+    action: 'account.update',
+    targetType: 'account',
+    before: await loadAuditState(() => db.getAdminAccount(req.params.accountId)),
+  };
   try {
-    const match = await db.rejectMatch(req.params.matchId, { notes: req.body?.notes });
+    const account = await db.updateAdminAccount(req.params.accountId, req.body || {});
 
-    if (!match) {
-      res.status(404).json({ error: 'Match not found' });
+    if (!account) {
+      res.status(404).json({ error: 'Admin account not found' });
       return;
     }
 
-    res.json({ match });
+    res.json({ account });
   } catch (error) {
-    logger.error({ err: error, matchId: req.params.matchId }, 'Failed to reject match');
-    res.status(500).json({
-      error: 'Failed to reject match',
+    const status = isUniqueViolation(error) ? 409 : ACCOUNT_INPUT_ERROR.test(error.message || '') ? 400 : 500;
+    logger.error({ err: error, accountId: req.params.accountId }, 'Failed to update admin account');
+    res.status(status).json({
+      error: 'Failed to update admin account',
       details: error.message || 'Database update failed',
     });
   }
 }));
 
-app.post('/api/matches/:matchId/friendly', adminOnly(async (req, res) => {
+app.delete('/api/admin/accounts/:accountId', adminOnly('league_officer', async (req, res) => {
+  req.audit = { action: 'account.delete', targetType: 'account' };
   try {
-    const match = await db.approveMatch(req.params.matchId, {
-      competition: 'friendly',
-      matchday: req.body?.matchday,
-      notes: req.body?.notes,
-    });
+    const account = await db.deleteAdminAccount(req.params.accountId);
 
-    if (!match) {
-      res.status(404).json({ error: 'Match not found' });
+    if (!account) {
+      res.status(404).json({ error: 'Admin account not found' });
       return;
     }
 
-    res.json({ match });
+    req.audit.before = account;
+    res.json({ account });
   } catch (error) {
-    const status = /competition|matchday/.test(error.message || '') ? 400 : 500;
-    logger.error({ err: error, matchId: req.params.matchId }, 'Failed to mark match as friendly');
-    res.status(status).json({
-      error: 'Failed to mark match as friendly',
+    logger.error({ err: error, accountId: req.params.accountId }, 'Failed to delete admin account');
+    res.status(500).json({
+      error: 'Failed to delete admin account',
       details: error.message || 'Database update failed',
     });
   }
 }));
 
+app.get('/api/admin/audit', adminOnly('league_officer', async (req, res) => {
+  try {
+    const audit = await db.getAdminAudit({
+      action: getQueryParam(req, 'action'),
+      targetType: getQueryParam(req, 'targetType'),
+      targetId: getQueryParam(req, 'targetId'),
+      admin: getQueryParam(req, 'admin'),
+      since: getQueryParam(req, 'since'),
+      until: getQueryParam(req, 'until'),
+      page: getQueryParam(req, 'page'),
+      pageSize: getQueryParam(req, 'pageSize'),
+    });
+    res.json({
+      ...audit,
+      hasMore: audit.page * audit.pageSize < audit.total,
+    });
+  } catch (error) {
+    const status = /page|since|until/.test(error.message || '') ? 400 : 500;
+    logger.error({ err: error }, 'Failed to load admin audit log');
+    res.status(status).json({
+      error: 'Failed to load admin audit log',
+      details: error.message || 'Database query failed',
+      entries: [],
+    });
+  }
+}));
 
+app.get('/api/clubs', async (_req, res) => {
+  const clubs = await loadLeagueClubs();
+  res.json({ clubs });
+});
 
-
-function getClubRecordFromStandings(standings, club) {
+app.get('/api/admin/clubs', adminOnly('league_officer', async (_req, res) => {
+  try {
+    const clubs = await db.getLeagueClubs({ includeInactive: true });
+    res.json({ clubs });
+  } catch (error) {
+    logger.error({ err: error }, 'Failed to load league clubs from Postgres');
+    res.status(500).json({
+      error: 'Failed to load league clubs',
+      details: error.message || 'Database query failed',
+      clubs: [],
+    });
+  }
+}));
+
+app.post('/api/admin/clubs', adminOnly('league_officer', async (req, res) => {
+  req.audit = { action: 'club.create', targetType: 'club' };
+  try {
+    const club = await db.createClub(req.body || {});
+    req.audit.targetId = club?.id;
+
+    if (!club) {
+      res.status(409).json({ error: 'Club already exists' });
+      return;
+    }
+
+    await loadLeagueClubs();
+    res.status(201).json({ club });
+  } catch (error) {
+    const status = /name|conference|eaClubId|aliases/.test(error.message || '') ? 400 : 500;
+    logger.error({ err: error }, 'Failed to create league club');
+    res.status(status).json({
+      error: 'Failed to create league club',
+      details: error.message || 'Database update failed',
+    });
+  }
+}));
+
+app.patch('/api/admin/clubs/:clubId', adminOnly('league_officer', async (req, res) => {
+  req.audit = {
+    action: 'club.update',
+    targetType: 'club',
+    before: await loadAuditState(() => db.getLeagueClub(req.params.clubId)),
+  };
+  try {
+    const club = await db.updateClub(req.params.clubId, req.body || {});
+
+    if (!club) {
+      res.status(404).json({ error: 'Club not found' });
+      return;
+    }
+
+    await loadLeagueClubs();
+    res.json({ club });
+  } catch (error) {
+    const status = isUniqueViolation(error) ? 409 : /name|conference|eaClubId|aliases/.test(error.message || '') ? 400 : 500;
+    logger.error({ err: error, clubId: req.params.clubId }, 'Failed to update league club');
+    res.status(status).json({
+      error: 'Failed to update league club',
+      details: error.message || 'Database update failed',
+    });
+  }
+}));
+
+// Deactivates rather than deletes, so the club's history stays intact.
+app.delete('/api/admin/clubs/:clubId', adminOnly('league_officer', async (req, res) => {
+  req.audit = {
+    action: 'club.deactivate',
+    targetType: 'club',
+    before: await loadAuditState(() => db.getLeagueClub(req.params.clubId)),
+  };
+  try {
+    const club = await db.deactivateClub(req.params.clubId);
+
+    if (!club) {
+      res.status(404).json({ error: 'Club not found' });
+      return;
+    }
+
+    await loadLeagueClubs();
+    res.json({ club });
+  } catch (error) {
+    logger.error({ err: error, clubId: req.params.clubId }, 'Failed to deactivate league club');
+    res.status(500).json({
+      error: 'Failed to deactivate league club',
+      details: error.message || 'Database update failed',
+    });
+  }
+}));
+
+// Fetches each match type in turn and tags every normalized match with the
+// EA type it came from. A game listed under two types is kept once. The list
+// is `stale` when any type was served from cache after EA failed, and
+// `ageSeconds` is the oldest cached payload used.
+async function fetchClubMatchesByType(eaClubId, team, matchTypes = EA_MATCH_TYPES, options = {}) {
+  const seenIds = new Set();
+  const result = { matches: [], stale: false, ageSeconds: 0 };
+  for (const matchType of matchTypes) {
+    const { matches, stale, ageSeconds } = await eaApi.loadClubMatches(eaClubId, matchType, options);
+    result.stale = result.stale || Boolean(stale);
+    result.ageSeconds = Math.max(result.ageSeconds, ageSeconds || 0);
+    matches.forEach((rawMatch, index) => {
+      const match = { ...normalizeMatch(rawMatch, index, team), matchType };
+      if (seenIds.has(match.id)) return;
+      seenIds.add(match.id);
+      result.matches.push(match);
+    });
+  }
+  return result;
+}
+
+// `?matchType=` narrows the list to one of the configured types.
+async function sendClubMatches(req, res) {
+  let matchTypes = EA_MATCH_TYPES;
+  const requestedType = getQueryParam(req, 'matchType');
+  if (requestedType) {
+    try {
+      matchTypes = eaApi.normalizeMatchTypes(requestedType);
+    } catch (error) {
+      res.status(400).json({ error: error.message, team: BOTA_FC, matches: [] });
+      return;
+    }
+    if (!EA_MATCH_TYPES.includes(matchTypes[0])) {
+      res.status(400).json({ error: `match type ${matchTypes[0]} is not synced`, team: BOTA_FC, matches: [] });
+      return;
+    }
+  }
+
+  try {
+    const { matches, stale, ageSeconds } = await fetchClubMatchesByType(BOTA_FC.id, BOTA_FC, matchTypes);
+    res.json({
+      team: BOTA_FC,
+      matchType: matchTypes.join(','),
+      matchTypes,
+      matches: sortMatches(matches),
+      stale,
+      ageSeconds,
+    });
+  } catch (error) {
+    logger.error({ err: error, clubId: BOTA_FC.id }, 'Failed to fetch Bota FC matches');
+    res.status(502).json({
+      error: 'Failed to fetch Bota FC matches',
+      details: error.message || 'EA API request failed',
+      team: BOTA_FC,
+      matchType: matchTypes.join(','),
+      matchTypes,
+      matches: [],
+    });
+  }
+}
+
+const sendRateLimitedClubMatches = rateLimited(eaRouteRateLimit, sendClubMatches);
+
+app.get('/api/matches', sendRateLimitedClubMatches);
+app.get('/api/fixtures', sendRateLimitedClubMatches);
+
+let activeSync = null;
+
+// Syncs one club. A failed EA fetch or match write is recorded on the club's
+// entry instead of being thrown, so one club cannot stop the others.
+async function syncClubMatches(club) {
+  const result = {
+    clubId: club.id,
+    name: club.name,
+    status: 'succeeded',
+    fetched: 0,
+    inserted: 0,
+    skipped: 0,
+    failed: 0,
+    error: null,
+  };
+
+  let matches;
+  try {
+    // Sync needs what EA has now, so stale cached payloads are never used here.
+    ({ matches } = await fetchClubMatchesByType(club.eaClubId, club, EA_MATCH_TYPES, { allowStale: false }));
+  } catch (error) {
+    logger.warn({ err: error, clubId: club.id }, 'Failed to fetch club matches during sync');
+    return { ...result, status: 'failed', error: error.message || 'EA API request failed' };
+  }
+
+  result.fetched = matches.length;
+  for (const match of matches) {
+    try {
+      if (await db.insertMatch(match, club)) result.inserted += 1;
+      else result.skipped += 1;
+    } catch (error) {
+      logger.warn({ err: error, clubId: club.id, matchId: match.id }, 'Failed to save match during sync');
+      result.failed += 1;
+      result.status = 'failed';
+      result.error = result.error || error.message || 'Database insert failed';
+    }
+  }
+
+  return result;
+}
+
+function summarizeSyncClubs(clubs) {
+  const totals = { totalFetched: 0, inserted: 0, skipped: 0, failed: 0 };
+  for (const club of clubs) {
+    totals.totalFetched += club.fetched;
+    totals.inserted += club.inserted;
+    totals.skipped += club.skipped;
+    totals.failed += club.failed;
+  }
+  return totals;
+}
+
+// Fetches recent games for every league club, SYNC_CONCURRENCY clubs at a time,
+// and stores the new ones, recording the run in `sync_runs`. Resolves to
+// `{ status, totals, clubs, error }`; `error` is only set when the sync could
+// not start.
+async function syncLeagueMatches({ trigger, startedBy = null }) {
+  let run = null;
+  try {
+    run = await db.startSyncRun({ trigger, startedBy });
+  } catch (error) {
+    logger.warn({ err: error, trigger }, 'Unable to record sync run');
+  }
+
+  let clubs = [];
+  let syncError = null;
+  try {
+    await db.ensureMatchesTable();
+    clubs = await utils.mapWithConcurrency(await loadLeagueClubs(), SYNC_CONCURRENCY, syncClubMatches);
+  } catch (error) {
+    syncError = error;
+  }
+
+  const failedClubs = clubs.filter(club => club.status === 'failed');
+  let status = 'succeeded';
+  if (syncError || (clubs.length && failedClubs.length === clubs.length)) status = 'failed';
+  else if (failedClubs.length) status = 'partial';
+  const totals = summarizeSyncClubs(clubs);
+
+  if (run) {
+    try {
+      await db.finishSyncRun(run.id, {
+        status,
+        totals,
+        clubs,
+        error: syncError
+          ? syncError.message || 'Sync failed'
+          : failedClubs.length ? `${failedClubs.length} of ${clubs.length} clubs failed` : null,
+      });
+    } catch (error) {
+      logger.warn({ err: error, runId: run.id }, 'Unable to finish sync run record');
+    }
+  }
+
+  return { status, totals, clubs, error: syncError };
+}
+
+// Returns null instead of starting a second sync while one is in progress.
+function runLeagueSync(options) {
+  if (activeSync) return null;
+  activeSync = syncLeagueMatches(options).finally(() => {
+    activeSync = null;
+  });
+  return activeSync;
+}
+
+async function runScheduledSync() {
+  const sync = runLeagueSync({ trigger: 'scheduled' });
+  if (!sync) {
+    logger.info('Skipping scheduled sync because another sync is still running');
+    return null;
+  }
+
+  const result = await sync;
+  if (result.status === 'succeeded') logger.info(result.totals, 'Scheduled sync finished');
+  else logger.error({ err: result.error, status: result.status, totals: result.totals }, 'Scheduled sync did not finish cleanly');
+  return result;
+}
+
+function startSyncScheduler(intervalMinutes = SYNC_INTERVAL_MINUTES) {
+  if (!intervalMinutes) return null;
+  const timer = setInterval(runScheduledSync, intervalMinutes * 60_000);
+  timer.unref();
+  return timer;
+}
+
+function sendSyncRunning(res) {
+  res.status(409).json({ error: 'A sync is already running' });
+}
+
+// One sync budget is shared by every admin.
+const syncMatchesWithinBudget = rateLimited(syncRateLimit, async (req, res) => {
+  const sync = runLeagueSync({ trigger: 'manual', startedBy: req.admin.name });
+  if (!sync) {
+    sendSyncRunning(res);
+    return;
+  }
+
+  const { status, totals, clubs, error } = await sync;
+  if (error) {
+    logger.error({ err: error }, 'Failed to sync friendly matches to Postgres');
+    res.status(500).json({
+      error: 'Failed to sync friendly matches to Postgres',
+      details: error.message || 'Database sync failed',
+      ...totals,
+      clubs,
+    });
+    return;
+  }
+
+  // Clubs that failed are listed with their error; the sync as a whole only
+  // fails when none of them could be synced.
+  if (status === 'failed') {
+    res.status(502).json({ error: 'No league clubs could be synced', details: clubs[0]?.error, status, ...totals, clubs });
+    return;
+  }
+  res.json({ status, ...totals, clubs });
+}, () => 'sync');
+
+// Asking while a sync is running is answered before the budget is counted.
+app.post('/api/sync-matches', adminOnly('league_officer', async (req, res) => {
+  req.audit = { action: 'matches.sync' };
+  if (activeSync) {
+    sendSyncRunning(res);
+    return;
+  }
+  await syncMatchesWithinBudget(req, res);
+}));
+
+app.get('/api/admin/sync-runs', adminOnly('league_officer', async (req, res) => {
+  try {
+    const runs = await db.getSyncRuns({ status: getQueryParam(req, 'status'), limit: getQueryParam(req, 'limit') });
+    res.json({ runs, syncing: Boolean(activeSync), intervalMinutes: SYNC_INTERVAL_MINUTES || null });
+  } catch (error) {
+    const status = /limit/.test(error.message || '') ? 400 : 500;
+    logger.error({ err: error }, 'Failed to load sync runs');
+    res.status(status).json({
+      error: 'Failed to load sync runs',
+      details: error.message || 'Database query failed',
+      runs: [],
+    });
+  }
+}));
+
+let activeMemberSnapshots = null;
+
+// EA's members endpoint has no player ids, so they are looked up by name in
+// saved match stats. Members keep a null `eaPlayerId` when that fails.
+async function addEaPlayerIds(club, members) {
+  let ids = {};
+  try {
+    ids = await db.getEaPlayerIds(club.eaClubId, members.map(member => member.name));
+  } catch (error) {
+    logger.warn({ err: error, clubId: club.id }, 'Unable to look up EA player ids for members');
+  }
+  return members.map(member => ({
+    ...member,
+    eaPlayerId: ids[member.name.toLowerCase()] || (/^\d+$/.test(member.id) ? member.id : null),
+  }));
+}
+
+async function snapshotClubMembers(club) {
+  const result = { clubId: club.id, name: club.name, status: 'succeeded', recorded: 0, unchanged: 0, error: null };
+  try {
+    const { members } = await eaApi.loadMembersStats(club.eaClubId, { allowStale: false });
+    Object.assign(result, await db.recordMemberStatSnapshots({
+      clubId: club.id,
+      members: await addEaPlayerIds(club, members),
+    }));
+  } catch (error) {
+    logger.warn({ err: error, clubId: club.id }, 'Failed to snapshot club member stats');
+    Object.assign(result, { status: 'failed', error: error.message || 'Member snapshot failed' });
+  }
+  return result;
+}
+
+// Snapshots every league club's members. Returns null while a run is already
+// in progress.
+function runMemberSnapshots() {
+  if (activeMemberSnapshots) return null;
+  activeMemberSnapshots = (async () => {
+    const clubs = await utils.mapWithConcurrency(await loadLeagueClubs(), SYNC_CONCURRENCY, snapshotClubMembers);
+    const failed = clubs.filter(club => club.status === 'failed').length;
+    let status = 'succeeded';
+    if (clubs.length && failed === clubs.length) status = 'failed';
+    else if (failed) status = 'partial';
+    return { status, clubs };
+  })().finally(() => {
+    activeMemberSnapshots = null;
+  });
+  return activeMemberSnapshots;
+}
+
+async function runScheduledMemberSnapshots() {
+  const snapshots = runMemberSnapshots();
+  if (!snapshots) return null;
+  try {
+    const result = await snapshots;
+    const recorded = result.clubs.reduce((sum, club) => sum + club.recorded, 0);
+    if (result.status === 'succeeded') logger.info({ recorded }, 'Member stat snapshots recorded');
+    else logger.error({ status: result.status, clubs: result.clubs }, 'Member stat snapshots did not finish cleanly');
+    return result;
+  } catch (error) {
+    logger.error({ err: error }, 'Member stat snapshots failed');
+    return null;
+  }
+}
+
+function startMemberSnapshotScheduler(intervalHours = MEMBER_SNAPSHOT_INTERVAL_HOURS) {
+  if (!intervalHours) return null;
+  const timer = setInterval(runScheduledMemberSnapshots, intervalHours * 60 * 60_000);
+  timer.unref();
+  return timer;
+}
+
+app.post('/api/admin/member-snapshots', adminOnly('league_officer', rateLimited(syncRateLimit, async (req, res) => {
+  req.audit = { action: 'members.snapshot' };
+  const snapshots = runMemberSnapshots();
+  if (!snapshots) {
+    res.status(409).json({ error: 'Member snapshots are already running' });
+    return;
+  }
+
+  try {
+    const { status, clubs } = await snapshots;
+    if (status === 'failed') {
+      res.status(502).json({ error: 'No league clubs could be snapshotted', details: clubs[0]?.error, status, clubs });
+      return;
+    }
+    res.json({ status, clubs });
+  } catch (error) {
+    logger.error({ err: error }, 'Failed to snapshot member stats');
+    res.status(500).json({ error: 'Failed to snapshot member stats', details: error.message || 'Snapshot failed' });
+  }
+}, () => 'member-snapshots')));
+
+function toProgressionPoint(row) {
+  return {
+    capturedAt: row.captured_at,
+    clubId: row.club_id,
+    gamesPlayed: Number(row.games_played),
+    goals: Number(row.goals),
+    assists: Number(row.assists),
+    proOverall: Number(row.pro_overall),
+    ratingAve: Number(row.rating_ave),
+    winRate: Number(row.win_rate),
+    manOfTheMatch: Number(row.man_of_the_match),
+  };
+}
+
+app.get('/api/players/:eaPlayerId/progression', async (req, res) => {
+  const eaPlayerId = String(req.params.eaPlayerId || '').trim();
+  if (!/^\d+$/.test(eaPlayerId)) {
+    res.status(400).json({ error: 'eaPlayerId must be numeric', points: [] });
+    return;
+  }
+
+  try {
+    const season = await getRequestedSeason(req);
+    const rows = await db.getMemberStatProgression(eaPlayerId, { seasonId: season?.id });
+    const points = rows.map(toProgressionPoint);
+    const first = points[0];
+    const last = points[points.length - 1];
+    res.json({
+      eaPlayerId,
+      playerName: rows.length ? rows[rows.length - 1].player_name : null,
+      points,
+      change: first
+        ? {
+          proOverall: last.proOverall - first.proOverall,
+          ratingAve: Math.round((last.ratingAve - first.ratingAve) * 100) / 100,
+          goals: last.goals - first.goals,
+          gamesPlayed: last.gamesPlayed - first.gamesPlayed,
+        }
+        : null,
+      season: summarizeSeason(season),
+    });
+  } catch (error) {
+    logger.error({ err: error, eaPlayerId }, 'Failed to load player progression');
+    res.status(getSeasonErrorStatus(error)).json({
+      error: 'Failed to load player progression',
+      details: error.message || 'Database query failed',
+      points: [],
+    });
+  }
+});
+
+function roundTo(value, places = 2) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+function getRate(made, attempted) {
+  return attempted > 0 ? roundTo((made / attempted) * 100, 1) : null;
+}
+
+// Which side of the match the player's club was on, read from the match's
+// current home and away clubs so a correction that swapped sides is followed.
+// Null when their club matches neither side.
+function getPlayerMatchVenue(row, clubs = leagueClubs) {
+  const playerClub = findLeagueClub(row.club_id, row.club_name, clubs);
+  const isPlayerClub = name => (playerClub
+    ? findLeagueClubByName(name, clubs)?.id === playerClub.id
+    : Boolean(row.club_name) && db.normalizeLeagueClubName(name) === db.normalizeLeagueClubName(row.club_name));
+  if (isPlayerClub(row.home_club_name)) return 'home';
+  if (isPlayerClub(row.away_club_name)) return 'away';
+  return null;
+}
+
+// One game from the player's point of view: their club, the opponent and the
+// score as for/against.
+function toPlayerMatchLogEntry(row, clubs = leagueClubs) {
+  const venue = getPlayerMatchVenue(row, clubs);
+  const isHome = venue === 'home';
+  const scoreFor = venue && (isHome ? row.home_score : row.away_score);
+  const scoreAgainst = venue && (isHome ? row.away_score : row.home_score);
+  const hasScore = scoreFor !== null && scoreFor !== undefined && scoreAgainst !== null && scoreAgainst !== undefined;
+  const rating = Number.parseFloat(row.rating);
+  return {
+    matchId: row.match_id,
+    playedAt: row.played_at,
+    seasonId: row.season_id ?? null,
+    competition: row.competition,
+    matchday: row.matchday ?? null,
+    club: { id: row.club_id, name: row.club_name || (venue ? (isHome ? row.home_club_name : row.away_club_name) : null) },
+    opponent: venue ? (isHome ? row.away_club_name : row.home_club_name) : null,
+    venue,
+    score: hasScore ? { for: Number(scoreFor), against: Number(scoreAgainst) } : null,
+    result: hasScore ? (Number(scoreFor) > Number(scoreAgainst) ? 'W' : Number(scoreFor) < Number(scoreAgainst) ? 'L' : 'D') : null,
+    forfeit: Boolean(row.forfeit),
+    playerName: row.player_name,
+    position: row.position || null,
+    goals: Number(row.goals || 0),
+    assists: Number(row.assists || 0),
+    passesAttempted: Number(row.passes_attempted || 0),
+    passesMade: Number(row.passes_made || 0),
+    tacklesAttempted: Number(row.tackles_attempted || 0),
+    tacklesMade: Number(row.tackles_made || 0),
+    manOfTheMatch: Boolean(row.man_of_the_match),
+    rating: Number.isFinite(rating) ? rating : null,
+  };
+}
+
+// Totals and per-game averages for a set of games. Ratings are averaged over
+// the games that have one; manual results usually don't.
+function summarizePlayerGames(games) {
+  const sum = key => games.reduce((total, game) => total + game[key], 0);
+  const rated = games.filter(game => game.rating !== null);
+  const played = games.length;
+  const perGame = value => (played ? roundTo(value / played) : 0);
+  return {
+    matchesPlayed: played,
+    wins: games.filter(game => game.result === 'W').length,
+    draws: games.filter(game => game.result === 'D').length,
+    losses: games.filter(game => game.result === 'L').length,
+    goals: sum('goals'),
+    assists: sum('assists'),
+    manOfTheMatch: games.filter(game => game.manOfTheMatch).length,
+    passAccuracy: getRate(sum('passesMade'), sum('passesAttempted')),
+    tackleSuccess: getRate(sum('tacklesMade'), sum('tacklesAttempted')),
+    averageRating: rated.length ? roundTo(rated.reduce((total, game) => total + game.rating, 0) / rated.length) : null,
+    perGame: {
+      goals: perGame(sum('goals')),
+      assists: perGame(sum('assists')),
+      passesMade: perGame(sum('passesMade')),
+      tacklesMade: perGame(sum('tacklesMade')),
+    },
+  };
+}
+
+// Most goal involvements first, then the higher rating, then man of the
+// match, then the more recent game.
+function getBestPerformances(games, limit = PLAYER_PROFILE_BEST_PERFORMANCES) {
+  const time = game => new Date(game.playedAt || 0).getTime() || 0;
+  return games
+    .filter(game => game.goals + game.assists > 0 || game.rating !== null || game.manOfTheMatch)
+    .sort((a, b) => (b.goals + b.assists) - (a.goals + a.assists)
+      || (b.rating ?? -1) - (a.rating ?? -1)
+      || Number(b.manOfTheMatch) - Number(a.manOfTheMatch)
+      || time(b) - time(a))
+    .slice(0, limit);
+}
+
+function toPlayerBio(identity, games) {
+  const accounts = identity.accounts || [];
+  const latestStint = (identity.stints || []).at(-1);
+  const current = accounts.find(account => account.club_id) || accounts[0] || {};
+  return {
+    id: identity.id,
+    name: identity.player_name,
+    position: games[0]?.position || accounts.find(account => account.position)?.position || null,
+    club: latestStint
+      ? { id: latestStint.club_id, name: latestStint.club_name }
+      : current.club_id ? { id: current.club_id, name: current.club_name } : null,
+    avatarUrl: accounts.find(account => account.avatar_url)?.avatar_url || null,
+    active: accounts.some(account => account.active !== false),
+    accounts: accounts.map(account => ({ eaPlayerId: account.ea_player_id, name: account.player_name })),
+    aliases: (identity.aliases || []).map(alias => ({
+      alias: alias.alias,
+      firstSeenAt: alias.first_seen_at,
+      lastSeenAt: alias.last_seen_at,
+    })),
+    clubs: (identity.stints || []).map(stint => ({
+      id: stint.club_id,
+      name: stint.club_name,
+      startedAt: stint.started_at,
+      endedAt: stint.ended_at,
+      matches: Number(stint.matches),
+    })),
+  };
+}
+
+app.get('/api/players/:playerId', async (req, res) => {
+  const playerId = String(req.params.playerId || '').trim();
+  if (!/^\d+$/.test(playerId) || Number(playerId) < 1) {
+    res.status(400).json({ error: 'playerId must be a positive integer' });
+    return;
+  }
+
+  try {
+    const season = await getRequestedSeason(req);
+    const identity = await db.getPlayerIdentity(playerId);
+    if (!identity) {
+      res.status(404).json({ error: 'Player not found' });
+      return;
+    }
+
+    const clubs = await loadLeagueClubs();
+    const matches = (await db.getPlayerMatchLog(identity.id, { seasonId: season?.id }))
+      .map(row => toPlayerMatchLogEntry(row, clubs));
+    res.json({
+      player: toPlayerBio(identity, matches),
+      totals: summarizePlayerGames(matches),
+      splits: {
+        home: summarizePlayerGames(matches.filter(game => game.venue === 'home')),
+        away: summarizePlayerGames(matches.filter(game => game.venue === 'away')),
+      },
+      bestPerformances: getBestPerformances(matches),
+      matches,
+      season: summarizeSeason(season),
+    });
+  } catch (error) {
+    logger.error({ err: error, playerId }, 'Failed to load player profile');
+    res.status(getSeasonErrorStatus(error)).json({
+      error: 'Failed to load player profile',
+      details: error.message || 'Database query failed',
+    });
+  }
+});
+
+app.get('/api/db-matches', async (req, res) => {
+  try {
+    const season = await getRequestedSeason(req);
+    const matches = (await db.getSavedMatches({ seasonId: season?.id }))
+      .map(match => ({ ...match, manual: utils.isManualId(match.match_id) }));
+    res.json({ matches, season: summarizeSeason(season) });
+  } catch (error) {
+    logger.error({ err: error }, 'Failed to load saved matches from Postgres');
+    res.status(getSeasonErrorStatus(error)).json({
+      error: 'Failed to load saved matches from Postgres',
+      details: error.message || 'Database query failed',
+      matches: [],
+    });
+  }
+});
+
+
+
+app.post('/api/admin/reset-approved-matches', adminOnly('league_officer', async (req, res) => {
+  req.audit = { action: 'matches.reset' };
+  try {
+    const reset = await db.resetApprovedMatches();
+    res.json({ reset });
+  } catch (error) {
+    logger.error({ err: error }, 'Failed to reset approved matches');
+    res.status(500).json({
+      error: 'Failed to reset approved matches',
+      details: error.message || 'Database update failed',
+    });
+  }
+}));
+
+
+app.post('/api/admin/backfill-player-stats', adminOnly('stats_editor', async (req, res) => {
+  req.audit = { action: 'player-stats.backfill' };
+  try {
+    const backfill = await db.backfillPlayerStats();
+    res.json(backfill);
+  } catch (error) {
+    logger.error({ err: error }, 'Failed to backfill player stats');
+    res.status(500).json({
+      error: 'Failed to backfill player stats',
+      details: error.message || 'Database update failed',
+    });
+  }
+}));
+
+function getPlayerIdentityErrorStatus(error) {
+  return /must|do not belong/.test(error.message || '') ? 400 : 500;
+}
+
+app.get('/api/admin/players', adminOnly('stats_editor', async (req, res) => {
+  try {
+    const players = await db.searchPlayerIdentities({ search: getQueryParam(req, 'search'), limit: getQueryParam(req, 'limit') });
+    res.json({ players });
+  } catch (error) {
+    logger.error({ err: error }, 'Failed to search player identities');
+    res.status(getPlayerIdentityErrorStatus(error)).json({
+      error: 'Failed to search players',
+      details: error.message || 'Database query failed',
+      players: [],
+    });
+  }
+}));
+
+app.get('/api/admin/players/:playerId', adminOnly('stats_editor', async (req, res) => {
+  try {
+    const player = await db.getPlayerIdentity(req.params.playerId);
+    if (!player) {
+      res.status(404).json({ error: 'Player not found' });
+      return;
+    }
+    res.json({ player });
+  } catch (error) {
+    logger.error({ err: error, playerId: req.params.playerId }, 'Failed to load player identity');
+    res.status(getPlayerIdentityErrorStatus(error)).json({
+      error: 'Failed to load player',
+      details: error.message || 'Database query failed',
+    });
+  }
+}));
+
+// Folds duplicate identities (a second EA account, a manual entry) into one.
+app.post('/api/admin/players/merge', adminOnly('stats_editor', async (req, res) => {
+  const body = req.body || {};
+  req.audit = {
+    action: 'player.merge',
+    targetType: 'player',
+    targetId: body.targetId ?? null,
+    before: await loadAuditState(() => Promise.all(
+      [body.targetId, ...[body.sourceIds || []].flat()].map(id => db.getPlayerIdentity(id))
+    )),
+  };
+  try {
+    const player = await db.mergePlayerIdentities(body);
+    if (!player) {
+      res.status(404).json({ error: 'Player not found' });
+      return;
+    }
+    res.json({ player });
+  } catch (error) {
+    logger.error({ err: error }, 'Failed to merge player identities');
+    res.status(getPlayerIdentityErrorStatus(error)).json({
+      error: 'Failed to merge players',
+      details: error.message || 'Database update failed',
+    });
+  }
+}));
+
+app.post('/api/admin/players/:playerId/split', adminOnly('stats_editor', async (req, res) => {
+  req.audit = {
+    action: 'player.split',
+    targetType: 'player',
+    before: await loadAuditState(() => db.getPlayerIdentity(req.params.playerId)),
+  };
+  try {
+    const result = await db.splitPlayerIdentity(req.params.playerId, req.body || {});
+    if (!result) {
+      res.status(404).json({ error: 'Player not found' });
+      return;
+    }
+    res.json({ player: result.source, split: result.split });
+  } catch (error) {
+    logger.error({ err: error, playerId: req.params.playerId }, 'Failed to split player identity');
+    res.status(getPlayerIdentityErrorStatus(error)).json({
+      error: 'Failed to split player',
+      details: error.message || 'Database update failed',
+    });
+  }
+}));
+
+// Captains only see pending games their club played in.
+app.get('/api/pending-matches', adminOnly(['league_officer', 'club_captain'], async (req, res) => {
+  try {
+    let matches = await db.getPendingMatches({ matchType: getQueryParam(req, 'matchType') });
+    if (req.admin.role === 'club_captain') {
+      await loadLeagueClubs();
+      matches = matches.filter(match => [match.club_name, match.opponent_name]
+        .some(name => findLeagueClubByName(name)?.id === req.admin.clubId));
+    }
+    res.json({ matches });
+  } catch (error) {
+    logger.error({ err: error }, 'Failed to load pending matches from Postgres');
+    res.status(500).json({
+      error: 'Failed to load pending matches from Postgres',
+      details: error.message || 'Database query failed',
+      matches: [],
+    });
+  }
+}));
+
+// An explicit series id must name a series between the game's two clubs that
+// still has games left (or already holds this game).
+async function resolveRequestedSeries(matchId, seriesId) {
+  const existing = await db.getMatch(matchId);
+  if (!existing) return { match: null };
+  return { match: existing, series: await checkRequestedSeries(existing, seriesId) };
+}
+
+async function checkRequestedSeries(existing, seriesId) {
+  const series = await db.getSeriesById(seriesId);
+  if (!series) throw new Error(`series ${seriesId} not found`);
+
+  await loadLeagueClubs();
+  const clubIds = [
+    findLeagueClubByName(existing.club_name)?.id,
+    findLeagueClubByName(existing.opponent_name)?.id,
+  ].sort();
+  const seriesClubIds = [series.home_club_id, series.away_club_id].sort();
+  if (clubIds[0] !== seriesClubIds[0] || clubIds[1] !== seriesClubIds[1]) {
+    throw new Error('series is not between the clubs in this match');
+  }
+
+  const games = await db.getSeriesGames({ seriesIds: [series.id] });
+  const alreadyLinked = games.some(game => game.match_id === existing.match_id);
+  if (!alreadyLinked && buildSeriesView(series, games).status === 'complete') {
+    throw new Error('series is already complete');
+  }
+
+  return series;
+}
+
+function hasRequestedSeries(body) {
+  const seriesId = body?.seriesId;
+  if (seriesId === undefined || seriesId === null || seriesId === '') return false;
+  if ((body?.competition || 'league') !== 'league') {
+    throw new Error('series can only be set for league games');
+  }
+  return true;
+}
+
+// Links the series and runs the snapshot and news side effects shared by
+// approved EA games and manual results. Only the series link is fatal.
+async function finishApproval(match, requestedSeries) {
+  let approvedMatch = match;
+  if (requestedSeries) {
+    approvedMatch = (await db.assignMatchSeries(match.match_id, requestedSeries.id)) || match;
+  } else {
+    try {
+      await loadLeagueClubs();
+      approvedMatch = await linkMatchToSeries(match);
+    } catch (error) {
+      logger.warn({ err: error, matchId: match.match_id }, 'Unable to link approved match to a scheduled series');
+    }
+  }
+
+  let standingsUpdate = null;
+  try {
+    standingsUpdate = await recordStandingsSnapshot(approvedMatch);
+  } catch (error) {
+    logger.warn({ err: error, matchId: match.match_id }, 'Unable to record standings snapshot');
+  }
+
+  try {
+    await publishApprovalNews(approvedMatch, standingsUpdate);
+  } catch (error) {
+    logger.warn({ err: error, matchId: match.match_id }, 'Unable to publish news for approved match');
+  }
+
+  return approvedMatch;
+}
+
+// A correction or revert of an approved game changes the table, so the steps
+// that followed its approval run again: the series link is re-checked, the
+// standings are snapshotted anew and the result story is rewritten. A
+// correction only swaps or rescores the same two clubs, so an existing series
+// link stays valid and only an unlinked game is linked.
+async function refreshCorrectedMatch(match) {
+  if (!match || match.status !== 'approved') return match;
+
+  let correctedMatch = match;
+  try {
+    await loadLeagueClubs();
+    correctedMatch = await linkMatchToSeries(match);
+  } catch (error) {
+    logger.warn({ err: error, matchId: match.match_id }, 'Unable to link corrected match to a scheduled series');
+  }
+
+  try {
+    await recordStandingsSnapshot(correctedMatch);
+  } catch (error) {
+    logger.warn({ err: error, matchId: match.match_id }, 'Unable to record standings snapshot');
+  }
+
+  try {
+    await db.updateGeneratedNewsItems(news.buildResultStory(correctedMatch, { findClub: name => findLeagueClubByName(name) }));
+  } catch (error) {
+    logger.warn({ err: error, matchId: match.match_id }, 'Unable to update the result story for corrected match');
+  }
+
+  return correctedMatch;
+}
+
+const SERIES_NOT_FOUND_ERROR = /^series \S+ not found$/;
+
+const NO_ACTIVE_SEASON_ERROR = /no active season/;
+
+// An unknown series is 404 and bad input 400. Approving or entering a match
+// while no season is active conflicts with the season state, hence 409.
+function getApprovalErrorStatus(error, inputError) {
+  const message = error.message || '';
+  if (SERIES_NOT_FOUND_ERROR.test(message)) return 404;
+  if (inputError.test(message)) return 400;
+  return NO_ACTIVE_SEASON_ERROR.test(message) ? 409 : 500;
+}
+
+app.post('/api/matches/:matchId/approve', adminOnly('league_officer', async (req, res) => {
+  req.audit = {
+    action: 'match.approve',
+    targetType: 'match',
+    before: await loadAuditState(() => db.getMatch(req.params.matchId)),
+  };
+  try {
+    let requestedSeries = null;
+    if (hasRequestedSeries(req.body)) {
+      const resolved = await resolveRequestedSeries(req.params.matchId, req.body.seriesId);
+      if (!resolved.match) {
+        res.status(404).json({ error: 'Match not found' });
+        return;
+      }
+      requestedSeries = resolved.series;
+    }
+
+    const match = await db.approveMatch(req.params.matchId, {
+      competition: req.body?.competition || 'league',
+      matchday: req.body?.matchday,
+      notes: req.body?.notes,
+    });
+
+    if (!match) {
+      res.status(404).json({ error: 'Match not found' });
+      return;
+    }
+
+    await closeOpenClaims(match.match_id, 'approved', req);
+    res.json({ match: await finishApproval(match, requestedSeries) });
+  } catch (error) {
+    const status = getApprovalErrorStatus(error, /competition|matchday|series/);
+    logger.error({ err: error, matchId: req.params.matchId }, 'Failed to approve match');
+    res.status(status).json({
+      error: 'Failed to approve match',
+      details: error.message || 'Database update failed',
+    });
+  }
+}));
+
+app.post('/api/admin/matches', adminOnly('league_officer', async (req, res) => {
+  req.audit = { action: 'match.create', targetType: 'match' };
+  try {
+    const clubs = await loadLeagueClubs();
+    const input = db.normalizeManualMatchInput(req.body || {}, clubs);
+    const requestedSeries = hasRequestedSeries(req.body)
+      ? await checkRequestedSeries(input, req.body.seriesId)
+      : null;
+
+    const match = await db.createManualMatch(input);
+    req.audit.targetId = match?.match_id;
+    const approvedMatch = await finishApproval(match, requestedSeries);
+    res.status(201).json({ match: { ...approvedMatch, manual: true } });
+  } catch (error) {
+    const status = getApprovalErrorStatus(
+      error,
+      /homeClub|awayClub|Score|forfeit|matchDate|players|competition|matchday|series/
+    );
+    logger.error({ err: error }, 'Failed to create manual match');
+    res.status(status).json({
+      error: 'Failed to create manual match',
+      details: error.message || 'Database update failed',
+    });
+  }
+}));
+
+app.patch('/api/admin/matches/:matchId', adminOnly('stats_editor', async (req, res) => {
+  req.audit = {
+    action: 'match.correct',
+    targetType: 'match',
+    before: await loadAuditState(() => db.getMatch(req.params.matchId)),
+  };
+  try {
+    const correction = await db.correctMatch(req.params.matchId, req.body || {});
+
+    if (!correction) {
+      res.status(404).json({ error: 'Match not found' });
+      return;
+    }
+
+    res.json({ ...correction, match: await refreshCorrectedMatch(correction.match) });
+  } catch (error) {
+    const status = /Score|swapSides|players|correction/.test(error.message || '') ? 400 : 500;
+    logger.error({ err: error, matchId: req.params.matchId }, 'Failed to correct match');
+    res.status(status).json({
+      error: 'Failed to correct match',
+      details: error.message || 'Database update failed',
+    });
+  }
+}));
+
+app.post('/api/admin/matches/:matchId/revert', adminOnly('stats_editor', async (req, res) => {
+  req.audit = {
+    action: 'match.revert',
+    targetType: 'match',
+    before: await loadAuditState(() => db.getMatch(req.params.matchId)),
+  };
+  try {
+    const reverted = await db.revertMatchCorrection(req.params.matchId);
+
+    if (!reverted) {
+      res.status(404).json({ error: 'Match not found' });
+      return;
+    }
+
+    res.json({ ...reverted, match: await refreshCorrectedMatch(reverted.match) });
+  } catch (error) {
+    logger.error({ err: error, matchId: req.params.matchId }, 'Failed to revert match correction');
+    res.status(500).json({
+      error: 'Failed to revert match correction',
+      details: error.message || 'Database update failed',
+    });
+  }
+}));
+
+app.post('/api/matches/:matchId/reject', adminOnly('league_officer', async (req, res) => {
+  req.audit = {
+    action: 'match.reject',
+    targetType: 'match',
+    before: await loadAuditState(() => db.getMatch(req.params.matchId)),
+  };
+  try {
+    const match = await db.rejectMatch(req.params.matchId, { notes: req.body?.notes });
+
+    if (!match) {
+      res.status(404).json({ error: 'Match not found' });
+      return;
+    }
+
+    await closeOpenClaims(match.match_id, 'rejected', req);
+    res.json({ match });
+  } catch (error) {
+    logger.error({ err: error, matchId: req.params.matchId }, 'Failed to reject match');
+    res.status(500).json({
+      error: 'Failed to reject match',
+      details: error.message || 'Database update failed',
+    });
+  }
+}));
+
+app.post('/api/matches/:matchId/friendly', adminOnly('league_officer', async (req, res) => {
+  req.audit = {
+    action: 'match.friendly',
+    targetType: 'match',
+    before: await loadAuditState(() => db.getMatch(req.params.matchId)),
+  };
+  try {
+    const match = await db.approveMatch(req.params.matchId, {
+      competition: 'friendly',
+      matchday: req.body?.matchday,
+      notes: req.body?.notes,
+    });
+
+    if (!match) {
+      res.status(404).json({ error: 'Match not found' });
+      return;
+    }
+
+    // A claim says the game was a league game, so marking it a friendly rejects it.
+    await closeOpenClaims(match.match_id, 'rejected', req);
+    res.json({ match });
+  } catch (error) {
+    const status = getApprovalErrorStatus(error, /competition|matchday/);
+    logger.error({ err: error, matchId: req.params.matchId }, 'Failed to mark match as friendly');
+    res.status(status).json({
+      error: 'Failed to mark match as friendly',
+      details: error.message || 'Database update failed',
+    });
+  }
+}));
+
+
+
+
+// Returns the captain's club and the other club in a pending game, or null
+// when the captain's club did not play in it.
+function getCaptainSides(match, clubId) {
+  const clubIds = [findLeagueClubByName(match.club_name)?.id, findLeagueClubByName(match.opponent_name)?.id];
+  const index = clubIds.indexOf(clubId);
+  if (!clubId || index === -1 || !clubIds[1 - index] || clubIds[0] === clubIds[1]) return null;
+  return { clubId, opposingClubId: clubIds[1 - index] };
+}
+
+const CLAIM_INPUT_ERROR = /matchday|series|comment|decision/;
+
+const CLAIM_CONFLICT_ERROR = /is already/;
+
+function sendClaimError(res, error, message, context = {}) {
+  let status = getApprovalErrorStatus(error, CLAIM_INPUT_ERROR);
+  if (status === 500 && CLAIM_CONFLICT_ERROR.test(error.message || '')) status = 409;
+  logger.error({ err: error, ...context }, message);
+  res.status(status).json({ error: message, details: error.message || 'Database update failed' });
+}
+
+app.get('/api/match-claims', adminOnly(['league_officer', 'club_captain'], async (req, res) => {
+  try {
+    const claims = await db.getMatchClaims({
+      status: getQueryParam(req, 'status'),
+      clubId: req.admin.role === 'club_captain' ? req.admin.clubId : null,
+    });
+    res.json({ claims });
+  } catch (error) {
+    logger.error({ err: error }, 'Failed to load match claims');
+    res.status(500).json({
+      error: 'Failed to load match claims',
+      details: error.message || 'Database query failed',
+      claims: [],
+    });
+  }
+}));
+
+app.post('/api/matches/:matchId/claim', adminOnly('club_captain', async (req, res) => {
+  req.audit = { action: 'claim.create', targetType: 'match' };
+  try {
+    const match = await db.getMatch(req.params.matchId);
+    if (!match) {
+      res.status(404).json({ error: 'Match not found' });
+      return;
+    }
+    if (match.status !== 'pending') {
+      res.status(409).json({ error: 'Failed to claim match', details: 'only pending matches can be claimed' });
+      return;
+    }
+
+    await loadLeagueClubs();
+    const sides = getCaptainSides(match, req.admin.clubId);
+    if (!sides) {
+      res.status(403).json({ error: 'Forbidden', details: 'captains can only claim their own club\'s matches' });
+      return;
+    }
+
+    const seriesId = req.body?.seriesId || null;
+    if (seriesId) await checkRequestedSeries(match, seriesId);
+
+    const claim = await db.createMatchClaim({
+      matchId: match.match_id,
+      claimingClubId: sides.clubId,
+      opposingClubId: sides.opposingClubId,
+      seriesId,
+      matchday: req.body?.matchday,
+      claimedBy: req.admin.name,
+      comment: req.body?.comment,
+    });
+    if (!claim) {
+      res.status(409).json({ error: 'Failed to claim match', details: 'match has already been claimed' });
+      return;
+    }
+
+    res.status(201).json({ claim });
+  } catch (error) {
+    sendClaimError(res, error, 'Failed to claim match', { matchId: req.params.matchId });
+  }
+}));
+
+// Approves a claimed game as a league game, linking the claimed series.
+// Claims only decide games still waiting for approval; an officer may have
+// approved or rejected the match since it was claimed.
+async function checkClaimedMatchPending(claim) {
+  const match = await db.getMatch(claim.match_id);
+  if (match && match.status !== 'pending') throw new Error(`match is already ${match.status}`);
+  return match;
+}
+
+// Officers who approve or reject a match directly settle its open claims.
+async function closeOpenClaims(matchId, status, req) {
+  try {
+    await db.closeMatchClaims(matchId, { status, resolvedBy: req.admin.name, notes: req.body?.notes });
+  } catch (error) {
+    logger.warn({ err: error, matchId }, 'Unable to close open claims on match');
+  }
+}
+
+// The series named on a claim is checked again when the claim is confirmed or
+// resolved, since it may have finished or changed clubs in the meantime.
+async function checkClaimedSeries(match, seriesId) {
+  return match && seriesId ? checkRequestedSeries(match, seriesId) : null;
+}
+
+// The opposing captain confirms or disputes an open claim.
+function respondToClaim(status) {
+  return adminOnly('club_captain', async (req, res) => {
+    req.audit = {
+      action: status === 'confirmed' ? 'claim.confirm' : 'claim.dispute',
+      targetType: 'match',
+    };
+    try {
+      const claim = await db.getMatchClaim(req.params.matchId);
+      if (!claim) {
+        res.status(404).json({ error: 'Claim not found' });
+        return;
+      }
+      req.audit.before = claim;
+      if (!req.admin.clubId || claim.opposing_club_id !== req.admin.clubId) {
+        res.status(403).json({ error: 'Forbidden', details: 'only the opposing captain can answer this claim' });
+        return;
+      }
+      const pendingMatch = await checkClaimedMatchPending(claim);
+      const requestedSeries = status === 'confirmed' ? await checkClaimedSeries(pendingMatch, claim.series_id) : null;
+
+      const answer = { status, respondedBy: req.admin.name, comment: req.body?.comment };
+      const result = status === 'confirmed'
+        ? await db.confirmMatchClaim(claim.match_id, answer)
+        : { claim: await db.respondToMatchClaim(claim.match_id, answer), match: null };
+      if (!result?.claim) {
+        res.status(409).json({ error: 'Failed to answer claim', details: `claim is already ${claim.status}` });
+        return;
+      }
+
+      const match = result.match && await finishApproval(result.match, requestedSeries);
+      res.json({ claim: result.claim, match });
+    } catch (error) {
+      sendClaimError(res, error, 'Failed to answer claim', { matchId: req.params.matchId });
+    }
+  });
+}
+
+app.post('/api/matches/:matchId/confirm', respondToClaim('confirmed'));
+app.post('/api/matches/:matchId/dispute', respondToClaim('disputed'));
+
+app.get('/api/admin/disputes', adminOnly('league_officer', async (_req, res) => {
+  try {
+    const disputes = await db.getMatchClaims({ status: 'disputed' });
+    res.json({ disputes });
+  } catch (error) {
+    logger.error({ err: error }, 'Failed to load disputed claims');
+    res.status(500).json({
+      error: 'Failed to load disputed claims',
+      details: error.message || 'Database query failed',
+      disputes: [],
+    });
+  }
+}));
+
+app.post('/api/admin/disputes/:matchId/resolve', adminOnly('league_officer', async (req, res) => {
+  req.audit = { action: 'claim.resolve', targetType: 'match' };
+  try {
+    const decision = req.body?.decision;
+    if (!['approve', 'reject'].includes(decision)) throw new Error('decision must be approve or reject');
+
+    const claim = await db.getMatchClaim(req.params.matchId);
+    if (!claim || claim.status !== 'disputed') {
+      res.status(404).json({ error: 'Disputed claim not found' });
+      return;
+    }
+    req.audit.before = claim;
+    const pendingMatch = await checkClaimedMatchPending(claim);
+    const requestedSeries = decision === 'approve'
+      ? await checkClaimedSeries(pendingMatch, req.body?.seriesId || claim.series_id)
+      : null;
+
+    const result = await db.resolveDisputedClaim(claim.match_id, {
+      decision,
+      resolvedBy: req.admin.name,
+      notes: req.body?.notes,
+      matchday: req.body?.matchday ?? claim.matchday,
+    });
+    if (!result) {
+      res.status(409).json({ error: 'Failed to resolve disputed claim', details: 'claim is already resolved' });
+      return;
+    }
+
+    const match = decision === 'approve' ? await finishApproval(result.match, requestedSeries) : result.match;
+    res.json({ claim: result.claim, match });
+  } catch (error) {
+    sendClaimError(res, error, 'Failed to resolve disputed claim', { matchId: req.params.matchId });
+  }
+}));
+
+app.get('/api/schedule', async (req, res) => {
+  try {
+    const season = await getRequestedSeason(req);
+    await loadLeagueClubs();
+    const seriesList = await db.getSeries({
+      seasonId: season?.id,
+      week: getQueryParam(req, 'week'),
+      conference: getQueryParam(req, 'conference'),
+    });
+    const games = seriesList.length
+      ? await db.getSeriesGames({ seriesIds: seriesList.map(series => series.id) })
+      : [];
+
+    res.json({
+      series: seriesList.map(series => buildSeriesView(series, games)),
+      season: summarizeSeason(season),
+    });
+  } catch (error) {
+    const status = /week|conference/.test(error.message || '') ? 400 : getSeasonErrorStatus(error);
+    logger.error({ err: error }, 'Failed to load schedule from Postgres');
+    res.status(status).json({
+      error: 'Failed to load schedule',
+      details: error.message || 'Database query failed',
+      series: [],
+    });
+  }
+});
+
+app.get('/api/series/:seriesId', async (req, res) => {
+  try {
+    const series = await db.getSeriesById(db.normalizeSeriesId(req.params.seriesId));
+
+    if (!series) {
+      res.status(404).json({ error: 'Series not found' });
+      return;
+    }
+
+    await loadLeagueClubs();
+    const games = await db.getSeriesGames({ seriesIds: [series.id] });
+    res.json({ series: buildSeriesView(series, games) });
+  } catch (error) {
+    // Only an invalid id is the client's fault; database errors often name the
+    // series table too.
+    const status = /^seriesId must be a positive integer$/.test(error.message || '') ? 400 : 500;
+    logger.error({ err: error, seriesId: req.params.seriesId }, 'Failed to load series from Postgres');
+    res.status(status).json({
+      error: 'Failed to load series',
+      details: error.message || 'Database query failed',
+    });
+  }
+});
+
+app.post('/api/admin/schedule/generate', adminOnly('league_officer', async (req, res) => {
+  req.audit = { action: 'schedule.generate', targetType: 'season' };
+  try {
+    const season = await db.getSeason('current');
+    req.audit.targetId = season?.id;
+
+    if (!season || season.status !== 'active') {
+      res.status(400).json({ error: 'Failed to generate schedule', details: 'start a season before generating its schedule' });
+      return;
+    }
+
+    const existing = await db.getSeries({ seasonId: season.id });
+    if (existing.length && req.body?.replace !== true) {
+      res.status(409).json({
+        error: 'Schedule already exists for this season',
+        details: 'send replace: true to regenerate it',
+      });
+      return;
+    }
+
+    const plan = schedule.generateRoundRobinSchedule(await loadLeagueClubs(), {
+      startDate: req.body?.startDate,
+      bestOf: req.body?.bestOf,
+    });
+    const created = await db.replaceSeasonSeries(season.id, plan);
+
+    res.status(201).json({
+      season: summarizeSeason(season),
+      series: created.map(series => buildSeriesView(series)),
+    });
+  } catch (error) {
+    const status = /startDate|bestOf/.test(error.message || '') ? 400 : 500;
+    logger.error({ err: error }, 'Failed to generate schedule');
+    res.status(status).json({
+      error: 'Failed to generate schedule',
+      details: error.message || 'Database update failed',
+    });
+  }
+}));
+
+app.get('/api/seasons', async (_req, res) => {
+  try {
+    const seasons = await db.getSeasons();
+    res.json({ seasons });
+  } catch (error) {
+    logger.error({ err: error }, 'Failed to load seasons from Postgres');
+    res.status(500).json({
+      error: 'Failed to load seasons',
+      details: error.message || 'Database query failed',
+      seasons: [],
+    });
+  }
+});
+
+app.post('/api/admin/seasons', adminOnly('league_officer', async (req, res) => {
+  req.audit = { action: 'season.create', targetType: 'season' };
+  try {
+    const season = await db.createSeason({ name: req.body?.name });
+    req.audit.targetId = season?.id;
+    res.status(201).json({ season: summarizeSeason(season) });
+  } catch (error) {
+    const status = /season/.test(error.message || '') ? 400 : 500;
+    logger.error({ err: error }, 'Failed to start season');
+    res.status(status).json({
+      error: 'Failed to start season',
+      details: error.message || 'Database update failed',
+    });
+  }
+}));
+
+app.post('/api/admin/seasons/:seasonId/close', adminOnly('league_officer', async (req, res) => {
+  req.audit = { action: 'season.close', targetType: 'season' };
+  try {
+    const season = await db.getSeason(req.params.seasonId);
+    req.audit.before = summarizeSeason(season);
+
+    if (!season) {
+      res.status(404).json({ error: 'Season not found' });
+      return;
+    }
+
+    if (season.status !== 'active') {
+      res.status(400).json({ error: 'Failed to close season', details: 'season is already closed' });
+      return;
+    }
+
+    const [standings, playerStats] = await Promise.all([
+      calculateSeasonStandings(season.id),
+      db.getPlayerStats({ seasonId: season.id }),
+    ]);
+    const closedSeason = await db.closeSeason(season.id, {
+      standings,
+      playerStats,
+    });
+
+    if (!closedSeason) {
+      res.status(400).json({ error: 'Failed to close season', details: 'season is already closed' });
+      return;
+    }
+
+    res.json({
+      season: summarizeSeason(closedSeason),
+      standings: closedSeason.final_standings,
+      players: closedSeason.final_player_stats,
+    });
+  } catch (error) {
+    const status = /season must be/.test(error.message || '') ? 400 : 500;
+    logger.error({ err: error, seasonId: req.params.seasonId }, 'Failed to close season');
+    res.status(status).json({
+      error: 'Failed to close season',
+      details: error.message || 'Database update failed',
+    });
+  }
+}));
+
+async function calculateSeasonStandings(seasonId) {
+  await loadLeagueClubs();
+  const [matches, series] = await Promise.all([
+    db.getApprovedLeagueMatches({ seasonId }),
+    LEAGUE_POINTS_MODE === 'series' ? db.getSeries({ seasonId }) : [],
+  ]);
+  return calculateStandings(matches, { series });
+}
+
+// Closed seasons are served from the table frozen when they were closed.
+async function getSeasonStandings(season) {
+  if (season?.status === 'closed' && season.final_standings) return season.final_standings;
+  return calculateSeasonStandings(season?.id);
+}
+
+app.get('/api/playoffs', async (req, res) => {
+  try {
+    const season = await getRequestedSeason(req);
+    const [standings, games] = await Promise.all([
+      getSeasonStandings(season),
+      db.getApprovedPlayoffMatches({ seasonId: season?.id }),
+    ]);
+    const bracket = playoffs.buildPlayoffBracket(standings, {
+      format: PLAYOFF_FORMAT,
+      games: games.map(game => applyForfeitRule(game)),
+      findClub: name => findLeagueClubByName(name),
+    });
+
+    res.json({ ...bracket, season: summarizeSeason(season) });
+  } catch (error) {
+    logger.error({ err: error }, 'Failed to build playoff bracket');
+    res.status(getSeasonErrorStatus(error)).json({
+      error: 'Failed to build playoff bracket',
+      details: error.message || 'Database query failed',
+    });
+  }
+});
+
+// Records the table after an approved league game and returns it together
+// with the snapshot it replaces as the latest, for the news engine.
+async function recordStandingsSnapshot(match) {
+  if (!match || match.competition !== 'league' || !match.season_id) return null;
+  const perMatchday = STANDINGS_SNAPSHOT_MODE === 'matchday';
+  if (perMatchday && !match.matchday) return null;
+
+  const snapshots = await db.getStandingsSnapshots({ seasonId: match.season_id, perMatchday });
+  const standings = await calculateSeasonStandings(match.season_id);
+  await db.recordStandingsSnapshot({
+    seasonId: match.season_id,
+    matchId: match.match_id,
+    matchday: match.matchday ?? null,
+    standings,
+    perMatchday,
+  });
+  return { standings, previous: snapshots[snapshots.length - 1] || null };
+}
+
+// Fixtures left per club: games in unfinished series, or whole series in
+// series points mode. Null when the season has no schedule to measure against.
+async function getRemainingFixturesByClub(seasonId) {
+  const seriesList = await db.getSeries({ seasonId });
+  if (!seriesList.length) return null;
+
+  const games = await db.getSeriesGames({ seasonId });
+  const remaining = new Map();
+  for (const series of seriesList) {
+    const view = buildSeriesView(series, games);
+    if (view.status === 'complete') continue;
+    const fixtures = LEAGUE_POINTS_MODE === 'series' ? 1 : view.best_of - view.games_played;
+    for (const clubId of [series.home_club_id, series.away_club_id]) {
+      remaining.set(clubId, (remaining.get(clubId) || 0) + fixtures);
+    }
+  }
+  return remaining;
+}
+
+async function publishApprovalNews(match, standingsUpdate) {
+  await loadLeagueClubs();
+  const items = news.buildResultStory(match, { findClub: name => findLeagueClubByName(name) });
+  const playerStats = await db.getMatchPlayerStats(match.match_id);
+  items.push(...news.buildHatTrickStories(match, playerStats));
+
+  if (match.competition === 'league') {
+    const seasonTotals = await db.getPlayerStats({ seasonId: match.season_id });
+    items.push(...news.buildGoalMilestoneStories(match, playerStats, seasonTotals));
+  }
+
+  if (standingsUpdate) {
+    const { cutoff } = PLAYOFF_FORMAT;
+    items.push(...news.buildLeaderChangeStories(standingsUpdate.standings, standingsUpdate.previous?.standings, {
+      seasonId: match.season_id,
+      matchId: match.match_id,
+      cutoff,
+    }));
+
+    const remaining = await getRemainingFixturesByClub(match.season_id);
+    if (remaining) {
+      items.push(...news.buildClinchStories(standingsUpdate.standings, remaining, { seasonId: match.season_id, cutoff }));
+    }
+  }
+
+  return db.createNewsItems(items);
+}
+
+function getStandingsSignature(standings) {
+  return ['east', 'west']
+    .map(conference => (standings?.[conference] || []).map(row => `${row.id}:${row.pl}:${row.pts}`).join(','))
+    .join('|');
+}
+
+// The latest snapshot is normally the current table itself, in which case
+// movement is measured against the snapshot before it.
+function getPreviousSnapshot(standings, snapshots = []) {
+  const latest = snapshots[snapshots.length - 1];
+  if (!latest) return null;
+  if (getStandingsSignature(latest.standings) !== getStandingsSignature(standings)) return latest;
+  return snapshots[snapshots.length - 2] || null;
+}
+
+function addRankMovement(standings, previous) {
+  const withMovement = { ...standings };
+  for (const conference of ['east', 'west']) {
+    const previousRows = previous?.standings?.[conference] || [];
+    withMovement[conference] = (standings[conference] || []).map(row => {
+      const previousRow = previousRows.find(item => item.id === row.id);
+      const previousRank = previousRow ? Number(previousRow.seed) : null;
+      return { ...row, previousRank, rankDelta: previousRank === null ? null : previousRank - row.seed };
+    });
+  }
+  return withMovement;
+}
+
+async function getStandingsWithMovement(season) {
+  const standings = await getSeasonStandings(season);
+  let previous = null;
+  try {
+    const snapshots = await db.getStandingsSnapshots({
+      seasonId: season?.id,
+      perMatchday: STANDINGS_SNAPSHOT_MODE === 'matchday',
+    });
+    previous = getPreviousSnapshot(standings, snapshots);
+  } catch (error) {
+    logger.warn({ err: error }, 'Unable to load standings snapshots');
+  }
+  return { standings: addRankMovement(standings, previous), previous };
+}
+
+function findStandingRow(standings, club) {
   const rows = [...(standings.east || []), ...(standings.west || [])];
-  const row = rows.find(item => item.id === club.id || item.team === club.name || club.aliases?.includes(item.team));
+  return rows.find(item => item.id === club.id || item.team === club.name || club.aliases?.includes(item.team)) || null;
+}
+
+function getClubRecordFromStandings(standings, club) {
+  const row = findStandingRow(standings, club);
   if (!row) return '0-0-0';
   return `${row.w}-${row.l}-${row.d}`;
 }
 
-app.get('/api/teams/:clubId/members', async (req, res) => {
+function getConferenceName(club) {
+  return club.conference === 'east' ? 'Eastern Conference' : 'Western Conference';
+}
+
+function getCrestUrl(club, info) {
+  const assetId = info?.crest?.assetId;
+  if (EA_CREST_URL_TEMPLATE && assetId) return EA_CREST_URL_TEMPLATE.replace('{assetId}', encodeURIComponent(assetId));
+  return club.logo || null;
+}
+
+// Players who changed clubs only count what they scored for this one.
+function getClubTopScorers(players, club) {
+  return players
+    .map(player => {
+      const split = (player.clubs || []).find(item => item.club_id === club.id);
+      if (split) return { ...split, player_name: player.player_name };
+      return !player.clubs && findLeagueClubByName(player.club_name)?.id === club.id ? player : null;
+    })
+    .filter(player => player && Number(player.goals) > 0)
+    .sort((a, b) => b.goals - a.goals || b.assists - a.assists)
+    .slice(0, CLUB_PROFILE_TOP_SCORERS)
+    .map(player => ({
+      name: player.player_name,
+      goals: Number(player.goals) || 0,
+      assists: Number(player.assists) || 0,
+      matchesPlayed: Number(player.matches_played) || 0,
+    }));
+}
+
+async function getSeasonPlayerStats(season) {
+  if (season?.status === 'closed' && season.final_player_stats) return season.final_player_stats;
+  return db.getPlayerStats({ seasonId: season?.id });
+}
+
+app.get('/api/teams/:clubId/members', rateLimited(eaRouteRateLimit, async (req, res) => {
   const clubId = String(req.params.clubId || '').trim();
-  const club = LEAGUE_CLUBS.find(item => item.id === clubId);
+  const club = (await loadLeagueClubs()).find(item => item.id === clubId);
 
   if (!club) {
     res.status(404).json({ error: 'UPCL club not found', members: [] });
     return;
   }
 
+  let season;
+  try {
+    season = await getRequestedSeason(req);
+  } catch (error) {
+    res.status(getSeasonErrorStatus(error)).json({ error: error.message, members: [] });
+    return;
+  }
+
   try {
-    const [memberStats, savedMatches] = await Promise.all([
-      eaApi.fetchMembersStats(club.id),
-      db.getApprovedLeagueMatches().catch(error => {
+    const [memberStats, standings] = await Promise.all([
+      eaApi.loadMembersStats(club.eaClubId),
+      getSeasonStandings(season).catch(error => {
         logger.warn({ err: error, clubId: club.id }, 'Unable to load standings record for team members route');
-        return [];
+        return calculateStandings([]);
       }),
     ]);
-    const standings = calculateStandings(savedMatches);
 
     res.json({
       team: {
         id: club.id,
         name: club.name,
-        conference: club.conference === 'east' ? 'Eastern Conference' : 'Western Conference',
+        conference: getConferenceName(club),
         record: getClubRecordFromStandings(standings, club),
       },
-      members: memberStats.members,
+      members: await addEaPlayerIds(club, memberStats.members),
       positionCount: memberStats.positionCount,
+      season: summarizeSeason(season),
       source: 'EA members stats',
+      stale: Boolean(memberStats.stale),
+      ageSeconds: memberStats.ageSeconds || 0,
     });
   } catch (error) {
     logger.error({ err: error, clubId: club.id }, 'Failed to fetch EA member stats');
@@ -566,22 +2716,97 @@ app.get('/api/teams/:clubId/members', async (req, res) => {
       team: {
         id: club.id,
         name: club.name,
-        conference: club.conference === 'east' ? 'Eastern Conference' : 'Western Conference',
+        conference: getConferenceName(club),
         record: '0-0-0',
       },
       members: [],
       positionCount: {},
     });
   }
-});
+}));
+
+// A club profile is served even when EA is down: each source that fails is
+// left empty and named in `unavailable`.
+app.get('/api/teams/:clubId', rateLimited(eaRouteRateLimit, async (req, res) => {
+  const clubId = String(req.params.clubId || '').trim();
+  const club = (await loadLeagueClubs()).find(item => item.id === clubId);
+
+  if (!club) {
+    res.status(404).json({ error: 'UPCL club not found' });
+    return;
+  }
 
-app.get('/api/player-stats', async (_req, res) => {
+  let season;
   try {
-    const players = await db.getPlayerStats();
-    res.json({ players });
+    season = await getRequestedSeason(req);
+  } catch (error) {
+    res.status(getSeasonErrorStatus(error)).json({ error: error.message });
+    return;
+  }
+
+  const unavailable = [];
+  const settle = (promise, source, fallback) => promise.catch(error => {
+    logger.warn({ err: error, clubId: club.id, source }, 'Club profile source unavailable');
+    unavailable.push({ source, error: error.message || `${source} unavailable` });
+    return fallback;
+  });
+  const [clubInfo, overallStats, standings, players] = await Promise.all([
+    settle(eaApi.loadClubInfo(club.eaClubId), 'ea-club-info', null),
+    settle(eaApi.loadClubOverallStats(club.eaClubId), 'ea-overall-stats', null),
+    settle(getSeasonStandings(season), 'standings', calculateStandings([])),
+    settle(getSeasonPlayerStats(season), 'player-stats', []),
+  ]);
+  const info = clubInfo?.info || null;
+  const row = findStandingRow(standings, club);
+  const eaResults = [clubInfo, overallStats].filter(Boolean);
+
+  res.json({
+    team: {
+      id: club.id,
+      name: club.name,
+      eaClubId: club.eaClubId,
+      conference: getConferenceName(club),
+      record: getClubRecordFromStandings(standings, club),
+      crest: {
+        url: getCrestUrl(club, info),
+        assetId: info?.crest.assetId || null,
+        color: info?.crest.color || null,
+      },
+      kit: info?.kit || null,
+      stadium: info?.stadium || null,
+    },
+    standing: row
+      ? {
+        rank: row.seed ?? null,
+        played: row.pl,
+        wins: row.w,
+        draws: row.d,
+        losses: row.l,
+        goalsFor: row.gf,
+        goalsAgainst: row.ga,
+        goalDifference: row.gd,
+        points: row.pts,
+      }
+      : null,
+    form: row?.form || [],
+    eaRecord: overallStats?.stats || null,
+    division: overallStats?.stats?.division || null,
+    topScorers: getClubTopScorers(players, club),
+    season: summarizeSeason(season),
+    unavailable,
+    stale: eaResults.some(result => result.stale),
+    ageSeconds: Math.max(0, ...eaResults.map(result => result.ageSeconds || 0)),
+  });
+}));
+
+app.get('/api/player-stats', async (req, res) => {
+  try {
+    const season = await getRequestedSeason(req);
+    const players = await getSeasonPlayerStats(season);
+    res.json({ players, season: summarizeSeason(season) });
   } catch (error) {
     logger.error({ err: error }, 'Failed to load approved league player stats');
-    res.status(500).json({
+    res.status(getSeasonErrorStatus(error)).json({
       error: 'Failed to load player stats',
       details: error.message || 'Database query failed',
       players: [],
@@ -589,13 +2814,32 @@ app.get('/api/player-stats', async (_req, res) => {
   }
 });
 
-app.get('/api/standings', async (_req, res) => {
+app.get('/api/standings/history', async (req, res) => {
+  try {
+    const season = await getRequestedSeason(req);
+    const snapshots = await db.getStandingsSnapshots({
+      seasonId: season?.id,
+      perMatchday: STANDINGS_SNAPSHOT_MODE === 'matchday',
+    });
+    res.json({ mode: STANDINGS_SNAPSHOT_MODE, snapshots, season: summarizeSeason(season) });
+  } catch (error) {
+    logger.error({ err: error }, 'Failed to load standings history from Postgres');
+    res.status(getSeasonErrorStatus(error)).json({
+      error: 'Failed to load standings history',
+      details: error.message || 'Database query failed',
+      snapshots: [],
+    });
+  }
+});
+
+app.get('/api/standings', async (req, res) => {
   try {
-    const matches = await db.getApprovedLeagueMatches();
-    res.json(calculateStandings(matches));
+    const season = await getRequestedSeason(req);
+    const { standings } = await getStandingsWithMovement(season);
+    res.json({ ...standings, season: summarizeSeason(season) });
   } catch (error) {
     logger.error({ err: error }, 'Failed to build standings from Postgres matches');
-    res.status(500).json({
+    res.status(getSeasonErrorStatus(error)).json({
       error: 'Failed to build standings from Postgres matches',
       details: error.message || 'Database query failed',
       east: [],
@@ -609,6 +2853,11 @@ if (require.main === module) {
   app.listen(port, () => {
     console.log(`Bota FC match viewer running on :${port}`);
   });
+  if (isAdminPasswordHeaderEnabled()) {
+    logger.warn('The x-admin-password header grants league officer access; unset ADMIN_PASSWORD_HEADER once scripts use named accounts');
+  }
+  startSyncScheduler();
+  startMemberSnapshotScheduler();
 }
 
 module.exports = app;
@@ -617,10 +2866,17 @@ module.exports.normalizeTimestamp = normalizeTimestamp;
 module.exports.BOTA_FC = BOTA_FC;
 module.exports.LEAGUE_CLUBS = LEAGUE_CLUBS;
 module.exports.NEWS_ITEMS = NEWS_ITEMS;
-module.exports.TEAM_ALIASES = TEAM_ALIASES;
+module.exports.getLeagueClubs = getLeagueClubs;
+module.exports.loadLeagueClubs = loadLeagueClubs;
 module.exports.calculateStandings = calculateStandings;
 module.exports.findLeagueClub = findLeagueClub;
 module.exports.findLeagueClubByName = findLeagueClubByName;
 module.exports.getCanonicalTeamName = getCanonicalTeamName;
 module.exports.requireAdmin = requireAdmin;
+module.exports.getAdminAttemptKeys = getAdminAttemptKeys;
 module.exports.adminOnly = adminOnly;
+module.exports.fetchClubMatchesByType = fetchClubMatchesByType;
+module.exports.runScheduledSync = runScheduledSync;
+module.exports.startSyncScheduler = startSyncScheduler;
+module.exports.runScheduledMemberSnapshots = runScheduledMemberSnapshots;
+module.exports.rateLimits = { admin: adminLockout, eaRoutes: eaRouteRateLimit, sync: syncRateLimit };
@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 64;
+
+// Roles, most privileged first. A league officer can do everything; the other
+// roles only reach the routes that name them.
+const ADMIN_ROLES = ['league_officer', 'stats_editor', 'club_captain'];
+
+function normalizeRole(role) {
+  const value = String(role || '').trim().toLowerCase();
+  if (!ADMIN_ROLES.includes(value)) throw new Error(`role must be one of ${ADMIN_ROLES.join(', ')}`);
+  return value;
+}
+
+function hasRole(account, role) {
+  if (!account) return false;
+  const allowed = Array.isArray(role) ? role : [role];
+  return account.role === 'league_officer' || allowed.includes(account.role);
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('base64url');
+  const key = await scrypt(String(password), salt, KEY_LENGTH);
+  return `scrypt$${salt}$${key.toString('base64url')}`;
+}
+
+async function verifyPassword(password, storedHash) {
+  const [scheme, salt, expected] = String(storedHash || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !expected) return false;
+
+  const key = await scrypt(String(password ?? ''), salt, KEY_LENGTH);
+  const expectedKey = Buffer.from(expected, 'base64url');
+  return expectedKey.length === key.length && crypto.timingSafeEqual(key, expectedKey);
+}
+
+// Compares two secrets without leaking where they differ or how long the
+// expected one is.
+function safeEqual(provided, expected) {
+  const digest = value => crypto.createHash('sha256').update(String(value ?? '')).digest();
+  return crypto.timingSafeEqual(digest(provided), digest(expected));
+}
+
+function createSessionToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+// Only a digest of each session token is stored.
+function hashSessionToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+module.exports = {
+  ADMIN_ROLES,
+  createSessionToken,
+  hashPassword,
+  hashSessionToken,
+  hasRole,
+  normalizeRole,
+  safeEqual,
+  verifyPassword,
+};
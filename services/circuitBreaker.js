@@ -0,0 +1,96 @@
+// Stops calling a failing upstream for a while. The breaker opens after
+// `failureThreshold` failures in a row, and while open every call fails at
+// once. After `resetTimeoutMs` it lets a single probe through (half-open):
+// success closes it again, failure reopens it.
+
+function createOpenError(name, retryAfterMs) {
+  const error = new Error(`${name} circuit is open; not calling it for another ${Math.ceil(retryAfterMs / 1000)}s`);
+  error.code = 'CIRCUIT_OPEN';
+  error.retryAfterMs = retryAfterMs;
+  return error;
+}
+
+function createCircuitBreaker({
+  name = 'upstream',
+  failureThreshold = 5,
+  resetTimeoutMs = 30_000,
+  // Errors that say nothing about the upstream's health (a 404, say) can be
+  // left out of the count.
+  isFailure = () => true,
+  now = Date.now,
+} = {}) {
+  let state = 'closed';
+  let consecutiveFailures = 0;
+  let openedAt = null;
+  let probing = false;
+  let lastSuccessAt = null;
+  let lastFailureAt = null;
+  let lastError = null;
+
+  function open() {
+    state = 'open';
+    openedAt = now();
+  }
+
+  function currentState() {
+    if (state === 'open' && now() - openedAt >= resetTimeoutMs) state = 'half_open';
+    return state;
+  }
+
+  async function run(fn) {
+    const current = currentState();
+    if (current === 'open') throw createOpenError(name, openedAt + resetTimeoutMs - now());
+    if (current === 'half_open' && probing) throw createOpenError(name, resetTimeoutMs);
+
+    const isProbe = current === 'half_open';
+    if (isProbe) probing = true;
+    try {
+      const result = await fn();
+      state = 'closed';
+      consecutiveFailures = 0;
+      openedAt = null;
+      lastSuccessAt = now();
+      return result;
+    } catch (error) {
+      if (isFailure(error)) {
+        consecutiveFailures += 1;
+        lastFailureAt = now();
+        lastError = error.message || String(error);
+        if (isProbe || consecutiveFailures >= failureThreshold) open();
+      } else if (isProbe) {
+        // The upstream answered, so the probe counts as a success.
+        state = 'closed';
+        consecutiveFailures = 0;
+        openedAt = null;
+      }
+      throw error;
+    } finally {
+      if (isProbe) probing = false;
+    }
+  }
+
+  function getStatus() {
+    const toIso = time => (time ? new Date(time).toISOString() : null);
+    return {
+      state: currentState(),
+      consecutiveFailures,
+      openedAt: toIso(openedAt),
+      lastSuccessAt: toIso(lastSuccessAt),
+      lastFailureAt: toIso(lastFailureAt),
+      lastError,
+    };
+  }
+
+  function reset() {
+    state = 'closed';
+    consecutiveFailures = 0;
+    openedAt = null;
+    probing = false;
+  }
+
+  return { run, getStatus, reset };
+}
+
+module.exports = {
+  createCircuitBreaker,
+};
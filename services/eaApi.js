@@ -1,6 +1,11 @@
 const https = require('https');
+const db = require('../db');
+const logger = require('../logger');
+const { createCircuitBreaker } = require('./circuitBreaker');
 
-const EA_BASE_URL = 'https://proclubs.ea.com/api/fc';
+const DEFAULT_EA_BASE_URL = 'https://proclubs.ea.com/api/fc';
+// Point this at `npm run ea-stub` to work offline.
+const EA_BASE_URL = String(process.env.EA_BASE_URL || DEFAULT_EA_BASE_URL).replace(/\/+$/, '');
 const EA_HEADERS = {
   'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64)',
   Accept: 'application/json',
@@ -9,8 +14,35 @@ const EA_HEADERS = {
 const EA_TIMEOUT_MS = Number(process.env.EA_TIMEOUT_MS || 25_000);
 const agent = new https.Agent({ keepAlive: true, maxSockets: 4 });
 
+// Timeouts, network errors, throttling and 5xx responses say EA is in trouble.
+function isUpstreamFailure(error) {
+  return error.status === undefined || error.status === 408 || error.status === 429 || error.status >= 500;
+}
+
+// Opens after EA_CIRCUIT_FAILURE_THRESHOLD failed requests in a row (each
+// already retried) and probes again after EA_CIRCUIT_RESET_MS. Responses such
+// as a 404 for an unknown club do not count.
+const circuit = createCircuitBreaker({
+  name: 'EA API',
+  failureThreshold: Number(process.env.EA_CIRCUIT_FAILURE_THRESHOLD || 5),
+  resetTimeoutMs: Number(process.env.EA_CIRCUIT_RESET_MS || 30_000),
+  isFailure: isUpstreamFailure,
+});
+
+// Match types the EA club matches endpoint accepts.
+const MATCH_TYPES = ['friendlyMatch', 'leagueMatch', 'playoffMatch'];
+
+// Responses are cached in memory and in the Postgres `ea_cache` table, so a
+// restart keeps the last good payload. Within CACHE_TTL_MS a payload is fresh.
+// For CACHE_STALE_MS after that it is served as stale while a refresh runs in
+// the background. When EA fails, payloads up to CACHE_MAX_STALE_MS old are
+// served as stale instead of an error.
 const cache = new Map();
+const refreshes = new Map();
 const CACHE_TTL_MS = Number(process.env.EA_CACHE_TTL_MS || 60_000);
+const CACHE_STALE_MS = Number(process.env.EA_CACHE_STALE_MS || 5 * 60_000);
+const CACHE_MAX_STALE_MS = Number(process.env.EA_CACHE_MAX_STALE_MS || 24 * 60 * 60_000);
+const cacheStats = { hits: 0, misses: 0, staleHits: 0, staleFallbacks: 0, persistErrors: 0 };
 
 function delay(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
@@ -24,6 +56,18 @@ function normalizeClubId(clubId) {
   return id;
 }
 
+// Accepts a list or comma-separated string, matching type names without regard
+// to case. An empty value means friendlies only.
+function normalizeMatchTypes(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  const types = list.map(item => String(item || '').trim()).filter(Boolean).map(item => {
+    const type = MATCH_TYPES.find(name => name.toLowerCase() === item.toLowerCase());
+    if (!type) throw new Error(`unknown match type ${item}; use ${MATCH_TYPES.join(', ')}`);
+    return type;
+  });
+  return types.length ? [...new Set(types)] : ['friendlyMatch'];
+}
+
 function isMatchPayload(value) {
   return Boolean(value && typeof value === 'object' && !Array.isArray(value) && (
     value.matchId !== undefined ||
@@ -79,7 +123,11 @@ function readMatchesPayload(body, clubId) {
   return matches;
 }
 
-async function eaFetchJson(url, { retries = 2 } = {}) {
+function eaFetchJson(url, options) {
+  return circuit.run(() => fetchJsonWithRetries(url, options));
+}
+
+async function fetchJsonWithRetries(url, { retries = 2 } = {}) {
   let lastError;
   for (let attempt = 0; attempt <= retries; attempt++) {
     const controller = new AbortController();
@@ -108,24 +156,106 @@ async function eaFetchJson(url, { retries = 2 } = {}) {
   throw lastError;
 }
 
-async function fetchClubMatches(clubId, matchType = 'friendlyMatch') {
+async function readCacheEntry(key) {
+  if (cache.has(key)) return cache.get(key);
+
+  try {
+    const row = await db.getEaCacheEntry(key);
+    if (!row) return null;
+    const entry = { data: row.payload, fetchedAt: new Date(row.fetched_at).getTime() };
+    cache.set(key, entry);
+    return entry;
+  } catch (error) {
+    cacheStats.persistErrors += 1;
+    logger.warn({ err: error, key }, 'Unable to read persisted EA cache entry');
+    return null;
+  }
+}
+
+// One request per key at a time; concurrent callers share it.
+function refreshCacheEntry(key, load) {
+  if (!refreshes.has(key)) {
+    const refresh = (async () => {
+      const entry = { data: await load(), fetchedAt: Date.now() };
+      cache.set(key, entry);
+      try {
+        await db.saveEaCacheEntry(key, entry.data, new Date(entry.fetchedAt));
+      } catch (error) {
+        cacheStats.persistErrors += 1;
+        logger.warn({ err: error, key }, 'Unable to persist EA cache entry');
+      }
+      return entry;
+    })().finally(() => refreshes.delete(key));
+    refreshes.set(key, refresh);
+  }
+  return refreshes.get(key);
+}
+
+function toCacheResult(entry, stale) {
+  return { data: entry.data, stale, ageSeconds: Math.max(0, Math.round((Date.now() - entry.fetchedAt) / 1000)) };
+}
+
+// Resolves to `{ data, stale, ageSeconds }`. Pass `allowStale: false` to get
+// a fresh payload or an error, never a stale one.
+async function cachedRequest(key, load, { allowStale = true } = {}) {
+  const entry = await readCacheEntry(key);
+  const age = entry ? Date.now() - entry.fetchedAt : Infinity;
+  if (age < CACHE_TTL_MS) {
+    cacheStats.hits += 1;
+    return toCacheResult(entry, false);
+  }
+
+  if (allowStale && age < CACHE_TTL_MS + CACHE_STALE_MS) {
+    cacheStats.staleHits += 1;
+    refreshCacheEntry(key, load).catch(error => {
+      logger.warn({ err: error, key }, 'Background EA refresh failed');
+    });
+    return toCacheResult(entry, true);
+  }
+
+  cacheStats.misses += 1;
+  try {
+    return toCacheResult(await refreshCacheEntry(key, load), false);
+  } catch (error) {
+    if (!allowStale || age >= CACHE_MAX_STALE_MS) throw error;
+    cacheStats.staleFallbacks += 1;
+    logger.warn({ err: error, key, ageMs: age }, 'EA request failed; serving cached payload');
+    return toCacheResult(entry, true);
+  }
+}
+
+function getCacheStats() {
+  return { ...cacheStats, entries: cache.size };
+}
+
+function getUpstreamStatus() {
+  return circuit.getStatus();
+}
+
+function resetCircuit() {
+  circuit.reset();
+}
+
+// Resolves to `{ matches, stale, ageSeconds }`.
+async function loadClubMatches(clubId, matchType = 'friendlyMatch', options = {}) {
   const id = normalizeClubId(clubId);
   const type = String(matchType || 'friendlyMatch').trim() || 'friendlyMatch';
-  const key = `${type}:${id}`;
-  const cached = cache.get(key);
-  if (cached && cached.expiresAt > Date.now()) return cached.matches;
-
   const params = new URLSearchParams({
     matchType: type,
     platform: 'common-gen5',
     clubIds: id,
   });
-  const body = await eaFetchJson(`${EA_BASE_URL}/clubs/matches?${params}`);
-  const matches = readMatchesPayload(body, id);
-  cache.set(key, { matches, expiresAt: Date.now() + CACHE_TTL_MS });
-  return matches;
+
+  const result = await cachedRequest(`${type}:${id}`, async () => {
+    const body = await eaFetchJson(`${EA_BASE_URL}/clubs/matches?${params}`);
+    return readMatchesPayload(body, id);
+  }, options);
+  return { matches: result.data, stale: result.stale, ageSeconds: result.ageSeconds };
 }
 
+async function fetchClubMatches(clubId, matchType = 'friendlyMatch', options = {}) {
+  return (await loadClubMatches(clubId, matchType, options)).matches;
+}
 
 function readMembersPayload(body) {
   if (!body || typeof body !== 'object') {
@@ -173,20 +303,135 @@ function normalizeMembersStats(body) {
   };
 }
 
-async function fetchMembersStats(clubId) {
+// Resolves to the normalized members stats plus `stale` and `ageSeconds`.
+async function loadMembersStats(clubId, options = {}) {
   const id = normalizeClubId(clubId);
-  const key = `members:${id}`;
-  const cached = cache.get(key);
-  if (cached && cached.expiresAt > Date.now()) return cached.data;
-
   const params = new URLSearchParams({
     platform: 'common-gen5',
     clubId: id,
   });
-  const body = await eaFetchJson(`${EA_BASE_URL}/members/stats?${params}`);
-  const data = normalizeMembersStats(body);
-  cache.set(key, { data, expiresAt: Date.now() + CACHE_TTL_MS });
-  return data;
+
+  const result = await cachedRequest(`members:${id}`, async () => {
+    const body = await eaFetchJson(`${EA_BASE_URL}/members/stats?${params}`);
+    return normalizeMembersStats(body);
+  }, options);
+  return { ...result.data, stale: result.stale, ageSeconds: result.ageSeconds };
+}
+
+async function fetchMembersStats(clubId, options = {}) {
+  const { members, positionCount } = await loadMembersStats(clubId, options);
+  return { members, positionCount };
+}
+
+// EA club endpoints answer either with an object keyed by club id or with a
+// list of clubs.
+function readClubPayload(body, clubId) {
+  if (!body || typeof body !== 'object') return null;
+  if (Array.isArray(body)) {
+    return body.find(item => String(item?.clubId) === String(clubId)) || (body.length === 1 ? body[0] : null);
+  }
+  if (body[clubId] && typeof body[clubId] === 'object') return body[clubId];
+  return String(body.clubId) === String(clubId) ? body : null;
+}
+
+// Kit colours come back as decimal RGB strings.
+function toHexColor(value) {
+  const text = String(value ?? '').trim();
+  if (/^\d+$/.test(text) && Number(text) <= 0xffffff) return `#${Number(text).toString(16).padStart(6, '0')}`;
+  if (/^#?[0-9a-f]{6}$/i.test(text)) return `#${text.replace('#', '').toLowerCase()}`;
+  return null;
+}
+
+function readKitColors(kit, prefix) {
+  return [1, 2, 3, 4].map(index => toHexColor(kit[`${prefix}${index}`])).filter(Boolean);
+}
+
+function optionalString(value) {
+  const text = String(value ?? '').trim();
+  return text || null;
+}
+
+function normalizeClubInfo(body, clubId) {
+  const club = readClubPayload(body, clubId);
+  if (!club) return null;
+
+  const kit = club.customKit || {};
+  return {
+    clubId: String(club.clubId ?? clubId),
+    name: optionalString(club.name),
+    regionId: optionalString(club.regionId),
+    stadium: optionalString(kit.stadName),
+    crest: {
+      assetId: optionalString(kit.crestAssetId),
+      color: toHexColor(kit.crestColor),
+    },
+    kit: {
+      kitId: optionalString(kit.kitId),
+      customKitId: optionalString(kit.customKitId),
+      customAwayKitId: optionalString(kit.customAwayKitId),
+      customThirdKitId: optionalString(kit.customThirdKitId),
+      customKeeperKitId: optionalString(kit.customKeeperKitId),
+      home: readKitColors(kit, 'kitColor'),
+      away: readKitColors(kit, 'kitAColor'),
+      third: readKitColors(kit, 'kitThrdColor'),
+    },
+  };
+}
+
+function normalizeClubOverallStats(body, clubId) {
+  const stats = readClubPayload(body, clubId);
+  if (!stats) return null;
+
+  const wins = toNumber(stats.wins);
+  const losses = toNumber(stats.losses);
+  const ties = toNumber(stats.ties);
+  const gamesPlayed = toNumber(stats.gamesPlayed, wins + losses + ties);
+  return {
+    clubId: String(stats.clubId ?? clubId),
+    gamesPlayed,
+    wins,
+    losses,
+    ties,
+    record: `${wins}-${losses}-${ties}`,
+    winRate: gamesPlayed ? Math.round((wins / gamesPlayed) * 1000) / 10 : 0,
+    goals: toNumber(stats.goals),
+    goalsAgainst: toNumber(stats.goalsAgainst),
+    division: {
+      current: toNumber(stats.currentDivision, null),
+      best: toNumber(stats.bestDivision, null),
+    },
+    promotions: toNumber(stats.promotions),
+    relegations: toNumber(stats.relegations),
+    skillRating: toNumber(stats.skillRating, null),
+    reputationTier: toNumber(stats.reputationtier ?? stats.reputationTier, null),
+    winStreak: toNumber(stats.wstreak),
+    unbeatenStreak: toNumber(stats.unbeatenstreak),
+  };
+}
+
+// Resolves to `{ info, stale, ageSeconds }`; `info` is null when EA does not
+// know the club.
+async function loadClubInfo(clubId, options = {}) {
+  const id = normalizeClubId(clubId);
+  const params = new URLSearchParams({ platform: 'common-gen5', clubIds: id });
+
+  const result = await cachedRequest(`info:${id}`, async () => {
+    const body = await eaFetchJson(`${EA_BASE_URL}/clubs/info?${params}`);
+    return normalizeClubInfo(body, id);
+  }, options);
+  return { info: result.data, stale: result.stale, ageSeconds: result.ageSeconds };
+}
+
+// Resolves to `{ stats, stale, ageSeconds }`.
+async function loadClubOverallStats(clubId, options = {}) {
+  const id = normalizeClubId(clubId);
+  const params = new URLSearchParams({ platform: 'common-gen5', clubIds: id });
+
+  const result = await cachedRequest(`overall:${id}`, async () => {
+    const body = await eaFetchJson(`${EA_BASE_URL}/clubs/overallStats?${params}`);
+    return normalizeClubOverallStats(body, id);
+  }, options);
+  return { stats: result.data, stale: result.stale, ageSeconds: result.ageSeconds };
 }
 
 function fetchFriendlyMatches(clubId) {
@@ -194,12 +439,26 @@ function fetchFriendlyMatches(clubId) {
 }
 
 module.exports = {
+  DEFAULT_EA_BASE_URL,
+  EA_BASE_URL,
+  EA_HEADERS,
+  MATCH_TYPES,
   fetchClubMatches,
   fetchMembersStats,
+  getCacheStats,
+  getUpstreamStatus,
+  loadClubInfo,
+  loadClubMatches,
+  loadClubOverallStats,
+  loadMembersStats,
+  normalizeClubInfo,
+  normalizeClubOverallStats,
   normalizeMember,
   normalizeMembersStats,
   readMembersPayload,
   fetchFriendlyMatches,
   normalizeClubId,
+  normalizeMatchTypes,
   readMatchesPayload,
+  resetCircuit,
 };
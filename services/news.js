@@ -0,0 +1,152 @@
+const GOAL_MILESTONES = [10, 25, 50, 100];
+
+const CONFERENCE_LABELS = { east: 'Eastern Conference', west: 'Western Conference' };
+
+function getPlayerKey(player) {
+  return player.ea_player_id || player.player_name;
+}
+
+function buildResultStory(match, { findClub = () => null } = {}) {
+  const homeName = findClub(match.club_name)?.name || match.club_name;
+  const awayName = findClub(match.opponent_name)?.name || match.opponent_name;
+  const homeGoals = Number(match.club_score);
+  const awayGoals = Number(match.opponent_score);
+  if (!homeName || !awayName || !Number.isFinite(homeGoals) || !Number.isFinite(awayGoals)) return [];
+
+  let headline;
+  if (match.forfeit === 'home') headline = `${awayName} awarded the win over ${homeName} by forfeit`;
+  else if (match.forfeit === 'away') headline = `${homeName} awarded the win over ${awayName} by forfeit`;
+  else if (homeGoals > awayGoals) headline = `${homeName} beat ${awayName} ${homeGoals}-${awayGoals}`;
+  else if (homeGoals < awayGoals) headline = `${awayName} beat ${homeName} ${awayGoals}-${homeGoals}`;
+  else headline = `${homeName} and ${awayName} draw ${homeGoals}-${awayGoals}`;
+
+  return [{
+    category: match.competition === 'playoff' ? 'Playoffs' : 'Results',
+    headline: match.matchday ? `Matchday ${match.matchday}: ${headline}` : headline,
+    seasonId: match.season_id,
+    matchId: match.match_id,
+    dedupeKey: `result:${match.match_id}`,
+  }];
+}
+
+function buildHatTrickStories(match, playerStats = []) {
+  return playerStats
+    .filter(player => Number(player.goals) >= 3)
+    .map(player => {
+      const goals = Number(player.goals);
+      const feat = goals === 3 ? 'a hat-trick' : `${goals} goals`;
+      return {
+        category: 'Player Watch',
+        headline: `${player.player_name} scores ${feat}${player.club_name ? ` for ${player.club_name}` : ''}`,
+        seasonId: match.season_id,
+        matchId: match.match_id,
+        dedupeKey: `hat-trick:${match.match_id}:${getPlayerKey(player)}`,
+      };
+    });
+}
+
+// `seasonTotals` already include this match, so a milestone is reached when
+// the total before the match was below it and the total now is not. Totals are
+// matched on EA account id, since their name is the identity's current one.
+function buildGoalMilestoneStories(match, playerStats = [], seasonTotals = [], milestones = GOAL_MILESTONES) {
+  const stories = [];
+
+  for (const player of playerStats) {
+    const goals = Number(player.goals) || 0;
+    if (!goals) continue;
+
+    const total = Number(seasonTotals.find(row => (row.ea_player_ids || []).includes(player.ea_player_id))?.goals) || 0;
+    const reached = milestones.filter(milestone => total - goals < milestone && total >= milestone);
+    if (!reached.length) continue;
+
+    const milestone = Math.max(...reached);
+    stories.push({
+      category: 'Player Watch',
+      headline: `${player.player_name} reaches ${milestone} league goals this season`,
+      seasonId: match.season_id,
+      matchId: match.match_id,
+      dedupeKey: `goal-milestone:${match.season_id}:${getPlayerKey(player)}:${milestone}`,
+    });
+  }
+
+  return stories;
+}
+
+function buildMovementRows(rows = [], previousRows = []) {
+  return rows.map(row => {
+    const previousRow = previousRows.find(item => item.id === row.id);
+    return {
+      rank: row.seed,
+      previousRank: previousRow ? previousRow.seed : null,
+      team: row.team,
+      pts: row.pts,
+      gd: row.gd > 0 ? `+${row.gd}` : String(row.gd),
+      form: row.form,
+    };
+  });
+}
+
+function buildLeaderChangeStories(standings, previousStandings, { seasonId, matchId, cutoff = null } = {}) {
+  const stories = [];
+
+  for (const conference of Object.keys(CONFERENCE_LABELS)) {
+    const rows = standings?.[conference] || [];
+    const previousRows = previousStandings?.[conference] || [];
+    const leader = rows[0];
+    const previousLeader = previousRows[0];
+    if (!leader || !previousLeader || leader.id === previousLeader.id || !leader.pl) continue;
+
+    stories.push({
+      category: 'Standings',
+      headline: `${leader.team} take over top spot in the ${CONFERENCE_LABELS[conference]} from ${previousLeader.team}`,
+      graphic: {
+        type: 'standingsMovement',
+        conference,
+        playoffCutoffRank: cutoff,
+        rows: buildMovementRows(rows, previousRows),
+      },
+      seasonId,
+      matchId,
+      dedupeKey: `leader:${seasonId}:${conference}:${matchId}`,
+    });
+  }
+
+  return stories;
+}
+
+// A club has clinched when fewer than `cutoff` rivals can still reach its
+// points total with every remaining fixture won. Ties count as a threat, so
+// this never announces a spot that tiebreakers could still take away.
+function findClinchedClubs(rows = [], remainingByClub = new Map(), cutoff, pointsPerFixture = 3) {
+  if (rows.length <= cutoff) return [];
+
+  return rows.filter(row => {
+    const threats = rows.filter(other => other.id !== row.id
+      && other.pts + pointsPerFixture * (remainingByClub.get(other.id) || 0) >= row.pts);
+    return threats.length < cutoff;
+  });
+}
+
+function buildClinchStories(standings, remainingByClub, { seasonId, cutoff } = {}) {
+  return Object.keys(CONFERENCE_LABELS).flatMap(conference => findClinchedClubs(
+    standings?.[conference] || [],
+    remainingByClub,
+    cutoff
+  ).map(row => ({
+    category: 'Playoff Race',
+    headline: `${row.team} clinch a playoff spot in the ${CONFERENCE_LABELS[conference]}`,
+    seasonId,
+    dedupeKey: `clinch:${seasonId}:${row.id}`,
+  })));
+}
+
+module.exports = {
+  GOAL_MILESTONES,
+  buildClinchStories,
+  buildGoalMilestoneStories,
+  buildHatTrickStories,
+  buildLeaderChangeStories,
+  buildMovementRows,
+  buildResultStory,
+  findClinchedClubs,
+};
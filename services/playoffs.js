@@ -0,0 +1,164 @@
+const { normalizeBestOf, summarizeSeries } = require('./schedule');
+
+const CONFERENCES = ['east', 'west'];
+
+// Blank settings, such as an environment variable set to '', count as unset.
+function withDefault(value, fallback) {
+  return value === undefined || value === null || String(value).trim() === '' ? fallback : value;
+}
+
+function normalizeCount(value, fallback, message) {
+  const number = Number(withDefault(value, fallback));
+  if (!Number.isInteger(number) || number < 0) throw new Error(message);
+  return number;
+}
+
+// The bracket size (qualified clubs plus byes) must be a power of two so that
+// every round halves the field; byes go to the top seeds.
+function normalizePlayoffFormat(format = {}) {
+  const cutoff = normalizeCount(format.cutoff, 3, 'playoff cutoff must be a positive integer');
+  const byes = normalizeCount(format.byes, 1, 'playoff byes must be zero or a positive integer');
+  const bestOf = normalizeBestOf(withDefault(format.bestOf, 3));
+  const finalsBestOf = normalizeBestOf(withDefault(format.finalsBestOf, bestOf));
+  const bracketSize = cutoff + byes;
+
+  if (cutoff < 1) throw new Error('playoff cutoff must be a positive integer');
+  if (byes > cutoff) throw new Error('playoff byes cannot exceed the cutoff');
+  if (bracketSize < 2 || (bracketSize & (bracketSize - 1)) !== 0) {
+    throw new Error('playoff cutoff plus byes must be a power of two');
+  }
+
+  return { cutoff, byes, bestOf, finalsBestOf };
+}
+
+// Standard seeding order (1 v N, 2 v N-1, ...) arranged so that the top seeds
+// can only meet in the last round.
+function getBracketOrder(size) {
+  let order = [1];
+  while (order.length < size) {
+    const total = order.length * 2 + 1;
+    order = order.flatMap(seed => [seed, total - seed]);
+  }
+  return order;
+}
+
+function toClubSlot(seed, club) {
+  return { seed, label: `#${seed} seed`, club };
+}
+
+function toWinnerSlot(series) {
+  const winner = series.winner_club_id === series.home.club?.id ? series.home : series.away;
+  return series.winner_club_id ? { ...winner } : { seed: null, label: `Winner of ${series.title}`, club: null };
+}
+
+function buildSeries({ id, stage, title, conference, bestOf, home, away }, games, findClub) {
+  const series = { id, stage, title, conference, best_of: bestOf, home, away };
+  if (!home.club || !away.club) {
+    return {
+      ...series,
+      status: 'pending',
+      home_wins: 0,
+      away_wins: 0,
+      draws: 0,
+      home_goals: 0,
+      away_goals: 0,
+      games_played: 0,
+      winner_club_id: null,
+      games: [],
+    };
+  }
+
+  const summary = summarizeSeries({
+    home_club_id: home.club.id,
+    away_club_id: away.club.id,
+    best_of: bestOf,
+  }, games, findClub);
+  return { ...series, ...summary };
+}
+
+function buildConferenceBracket(conference, rows, format, games, findClub) {
+  const bracketSize = format.cutoff + format.byes;
+  let slots = getBracketOrder(bracketSize).map(seed => {
+    if (seed > format.cutoff) return null;
+    const row = rows.find(item => Number(item.seed) === seed);
+    return toClubSlot(seed, row ? { id: row.id, name: row.team } : null);
+  });
+
+  const playIn = [];
+  let final = null;
+  let round = 1;
+  while (slots.length > 1) {
+    const isFinal = slots.length === 2;
+    const next = [];
+
+    for (let index = 0; index < slots.length; index += 2) {
+      const [home, away] = [slots[index], slots[index + 1]];
+      if (!home || !away) {
+        next.push(home || away);
+        continue;
+      }
+
+      const series = buildSeries({
+        id: isFinal ? `${conference}-final` : `${conference}-play-in-${round}-${playIn.length + 1}`,
+        stage: isFinal ? 'conference_final' : 'play_in',
+        title: isFinal
+          ? `${conference === 'east' ? 'East' : 'West'} Finals`
+          : `${conference === 'east' ? 'Eastern' : 'Western'} Play-In ${playIn.length + 1}`,
+        conference,
+        bestOf: format.bestOf,
+        home,
+        away,
+      }, games, findClub);
+
+      if (isFinal) final = series;
+      else playIn.push({ ...series, round });
+      next.push(toWinnerSlot(series));
+    }
+
+    slots = next;
+    round += 1;
+  }
+
+  const champion = final?.winner_club_id ? toWinnerSlot(final) : null;
+  return { playIn, final, champion };
+}
+
+// Builds the whole bracket from seeded conference tables. Playoff games are
+// matched to a series by their two clubs: in a single-elimination bracket a
+// pair can only meet once. Drawn playoff games are replayed, so they are not
+// counted towards a series.
+function buildPlayoffBracket(standings = {}, options = {}) {
+  const format = normalizePlayoffFormat(options.format);
+  const findClub = options.findClub || (() => null);
+  const games = (options.games || [])
+    .filter(game => Number(game.club_score) !== Number(game.opponent_score))
+    .sort((a, b) => new Date(a.match_date || 0) - new Date(b.match_date || 0));
+
+  const conferences = Object.fromEntries(CONFERENCES.map(conference => [
+    conference,
+    buildConferenceBracket(conference, standings[conference] || [], format, games, findClub),
+  ]));
+
+  const finals = buildSeries({
+    id: 'finals',
+    stage: 'finals',
+    title: 'UPCL Finals',
+    conference: null,
+    bestOf: format.finalsBestOf,
+    home: conferences.east.champion || { seed: null, label: 'East Champion', club: null },
+    away: conferences.west.champion || { seed: null, label: 'West Champion', club: null },
+  }, games, findClub);
+
+  return {
+    format,
+    conferences,
+    finals,
+    champion: finals.winner_club_id ? toWinnerSlot(finals) : null,
+  };
+}
+
+module.exports = {
+  buildPlayoffBracket,
+  getBracketOrder,
+  normalizePlayoffFormat,
+};
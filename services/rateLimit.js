@@ -0,0 +1,97 @@
+// Counters live in memory, so they reset on restart and are per process.
+// Entries are dropped once their window has passed.
+
+const PRUNE_THRESHOLD = 10_000;
+
+function toRetryAfter(until, now) {
+  return Math.max(1, Math.ceil((until - now) / 1000));
+}
+
+function pruneExpired(entries, now, expiresAt) {
+  if (entries.size < PRUNE_THRESHOLD) return;
+  for (const [key, entry] of entries) {
+    if (expiresAt(entry) <= now) entries.delete(key);
+  }
+}
+
+// Fixed-window request counter. `hit` returns `retryAfter` in seconds once a
+// key has used up its `limit` for the window; a limit of 0 turns it off.
+function createRateLimiter({ limit, windowMs, now = Date.now }) {
+  const windows = new Map();
+
+  return {
+    limit,
+    windowMs,
+    hit(key) {
+      if (!limit) return { limited: false, remaining: Infinity };
+
+      const time = now();
+      pruneExpired(windows, time, entry => entry.resetAt);
+      let entry = windows.get(key);
+      if (!entry || entry.resetAt <= time) {
+        entry = { count: 0, resetAt: time + windowMs };
+        windows.set(key, entry);
+      }
+
+      entry.count += 1;
+      if (entry.count > limit) return { limited: true, retryAfter: toRetryAfter(entry.resetAt, time) };
+      return { limited: false, remaining: limit - entry.count };
+    },
+    clear() {
+      windows.clear();
+    },
+  };
+}
+
+// Tracks failed logins per key. After `maxAttempts` failures within
+// `windowMs` the key is locked for `lockoutMs`. A success clears the key.
+function createLockout({ maxAttempts, windowMs, lockoutMs = windowMs, now = Date.now }) {
+  const failures = new Map();
+
+  return {
+    maxAttempts,
+    // Seconds until every given key is unlocked, or 0 when none is locked.
+    check(...keys) {
+      if (!maxAttempts) return 0;
+      const time = now();
+      const lockedUntil = Math.max(0, ...keys.map(key => failures.get(key)?.lockedUntil || 0));
+      return lockedUntil > time ? toRetryAfter(lockedUntil, time) : 0;
+    },
+    // Records a failure against each key and returns the lockout in seconds
+    // if this failure triggered one.
+    fail(...keys) {
+      if (!maxAttempts) return 0;
+      const time = now();
+      pruneExpired(failures, time, entry => Math.max(entry.lockedUntil, entry.startedAt + windowMs));
+
+      let retryAfter = 0;
+      for (const key of keys) {
+        let entry = failures.get(key);
+        if (!entry || (entry.startedAt + windowMs <= time && entry.lockedUntil <= time)) {
+          entry = { count: 0, startedAt: time, lockedUntil: 0 };
+          failures.set(key, entry);
+        }
+
+        entry.count += 1;
+        if (entry.count >= maxAttempts) {
+          entry.lockedUntil = time + lockoutMs;
+          entry.count = 0;
+          entry.startedAt = entry.lockedUntil;
+          retryAfter = Math.max(retryAfter, toRetryAfter(entry.lockedUntil, time));
+        }
+      }
+      return retryAfter;
+    },
+    succeed(...keys) {
+      keys.forEach(key => failures.delete(key));
+    },
+    clear() {
+      failures.clear();
+    },
+  };
+}
+
+module.exports = {
+  createLockout,
+  createRateLimiter,
+};
@@ -0,0 +1,186 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function normalizeStartDate(startDate) {
+  const value = String(startDate || '').trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    throw new Error('startDate must be a YYYY-MM-DD date');
+  }
+
+  const date = new Date(`${value}T00:00:00.000Z`);
+  if (Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) {
+    throw new Error('startDate must be a YYYY-MM-DD date');
+  }
+  return date;
+}
+
+function normalizeBestOf(bestOf = 3) {
+  const number = Number(bestOf ?? 3);
+  if (!Number.isInteger(number) || number < 1 || number % 2 === 0) {
+    throw new Error('bestOf must be a positive odd number of games');
+  }
+  return number;
+}
+
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Circle method: the first slot stays fixed and the rest rotate each round.
+// Odd-sized conferences get a bye slot so every club sits out once.
+function buildRoundRobinRounds(clubIds) {
+  const slots = clubIds.length % 2 ? [...clubIds, null] : [...clubIds];
+  const rounds = [];
+
+  for (let round = 0; round < slots.length - 1; round++) {
+    const pairs = [];
+    for (let index = 0; index < slots.length / 2; index++) {
+      const first = slots[index];
+      const second = slots[slots.length - 1 - index];
+      if (!first || !second) continue;
+      pairs.push(round % 2 === 0 ? [first, second] : [second, first]);
+    }
+    rounds.push(pairs);
+    slots.splice(1, 0, slots.pop());
+  }
+
+  return rounds;
+}
+
+function buildDoubleRoundRobinRounds(clubIds) {
+  const firstLeg = buildRoundRobinRounds(clubIds);
+  const secondLeg = firstLeg.map(pairs => pairs.map(([home, away]) => [away, home]));
+  return [...firstLeg, ...secondLeg];
+}
+
+// Builds a double round-robin of best-of series per conference. Each round is
+// one week; the week's series are spread over consecutive days from the
+// start date, alternating conferences.
+function generateRoundRobinSchedule(clubs, options = {}) {
+  const startDate = normalizeStartDate(options.startDate);
+  const bestOf = normalizeBestOf(options.bestOf);
+  const conferences = [...new Set(clubs.map(club => club.conference))];
+  const roundsByConference = new Map(conferences.map(conference => [
+    conference,
+    buildDoubleRoundRobinRounds(clubs.filter(club => club.conference === conference).map(club => club.id)),
+  ]));
+  const weekCount = Math.max(0, ...[...roundsByConference.values()].map(rounds => rounds.length));
+  const schedule = [];
+
+  for (let week = 1; week <= weekCount; week++) {
+    const weekPairs = [];
+    const queues = conferences.map(conference => (roundsByConference.get(conference)[week - 1] || [])
+      .map(([home, away]) => ({ conference, home, away })));
+
+    while (queues.some(queue => queue.length)) {
+      for (const queue of queues) {
+        if (queue.length) weekPairs.push(queue.shift());
+      }
+    }
+
+    weekPairs.forEach((pair, index) => {
+      const scheduledDate = new Date(startDate.getTime() + ((week - 1) * 7 + (index % 7)) * DAY_MS);
+      schedule.push({
+        series_number: schedule.length + 1,
+        week,
+        conference: pair.conference,
+        home_club_id: pair.home,
+        away_club_id: pair.away,
+        best_of: bestOf,
+        scheduled_date: formatDate(scheduledDate),
+      });
+    });
+  }
+
+  return schedule;
+}
+
+// Derives the running score of a series from its approved games. `findClub`
+// maps an EA club name onto a registered club so games count for the right
+// side regardless of which club synced them.
+function summarizeSeries(series, games = [], findClub = () => null) {
+  const bestOf = Number(series.best_of) || 3;
+  const winsNeeded = Math.floor(bestOf / 2) + 1;
+  const summary = {
+    status: 'scheduled',
+    home_wins: 0,
+    away_wins: 0,
+    draws: 0,
+    home_goals: 0,
+    away_goals: 0,
+    games_played: 0,
+    winner_club_id: null,
+    games: [],
+  };
+
+  for (const game of games) {
+    const homeClub = findClub(game.club_name);
+    const awayClub = findClub(game.opponent_name);
+    const clubScore = Number(game.club_score);
+    const opponentScore = Number(game.opponent_score);
+    if (!homeClub || !awayClub) continue;
+    if (!Number.isFinite(clubScore) || !Number.isFinite(opponentScore)) continue;
+
+    // 1 when the game's home side won, -1 when it lost. A forfeit is lost by
+    // the side that forfeited whatever the score.
+    let gameHomeOutcome = Math.sign(clubScore - opponentScore);
+    if (game.forfeit === 'home') gameHomeOutcome = -1;
+    if (game.forfeit === 'away') gameHomeOutcome = 1;
+
+    let seriesHomeGoals;
+    let seriesAwayGoals;
+    let seriesHomeOutcome;
+    if (homeClub.id === series.home_club_id && awayClub.id === series.away_club_id) {
+      seriesHomeGoals = clubScore;
+      seriesAwayGoals = opponentScore;
+      seriesHomeOutcome = gameHomeOutcome;
+    } else if (homeClub.id === series.away_club_id && awayClub.id === series.home_club_id) {
+      seriesHomeGoals = opponentScore;
+      seriesAwayGoals = clubScore;
+      seriesHomeOutcome = -gameHomeOutcome;
+    } else {
+      continue;
+    }
+
+    // Games after the series was decided do not count towards it.
+    if (summary.home_wins >= winsNeeded || summary.away_wins >= winsNeeded || summary.games_played >= bestOf) continue;
+
+    summary.games_played += 1;
+    summary.home_goals += seriesHomeGoals;
+    summary.away_goals += seriesAwayGoals;
+    let gameWinner = null;
+    if (seriesHomeOutcome > 0) {
+      summary.home_wins += 1;
+      gameWinner = series.home_club_id;
+    } else if (seriesHomeOutcome < 0) {
+      summary.away_wins += 1;
+      gameWinner = series.away_club_id;
+    } else {
+      summary.draws += 1;
+    }
+
+    summary.games.push({
+      game: summary.games_played,
+      match_id: game.match_id,
+      match_date: game.match_date,
+      home_goals: seriesHomeGoals,
+      away_goals: seriesAwayGoals,
+      winner_club_id: gameWinner,
+    });
+  }
+
+  if (summary.home_wins >= winsNeeded) summary.winner_club_id = series.home_club_id;
+  else if (summary.away_wins >= winsNeeded) summary.winner_club_id = series.away_club_id;
+
+  if (summary.winner_club_id || summary.games_played >= bestOf) summary.status = 'complete';
+  else if (summary.games_played > 0) summary.status = 'in_progress';
+
+  return summary;
+}
+
+module.exports = {
+  buildRoundRobinRounds,
+  generateRoundRobinSchedule,
+  normalizeBestOf,
+  normalizeStartDate,
+  summarizeSeries,
+};
@@ -0,0 +1,129 @@
+const DEFAULT_TIEBREAKERS = [
+  'head_to_head_points',
+  'head_to_head_gd',
+  'goal_difference',
+  'goals_for',
+  'away_goals',
+  'wins',
+  'fewest_red_cards',
+];
+
+// Each rule scores a row within the group of clubs still tied; higher ranks
+// first. Head-to-head rules only count games between clubs in that group.
+const TIEBREAKER_RULES = {
+  head_to_head_points: { label: 'Head-to-head points', value: (row, group) => group.headToHead(row.id).pts },
+  head_to_head_gd: { label: 'Head-to-head goal difference', value: (row, group) => group.headToHead(row.id).gd },
+  goal_difference: { label: 'Goal difference', value: row => row.gd },
+  goals_for: { label: 'Goals scored', value: row => row.gf },
+  away_goals: { label: 'Away goals', value: (row, group) => group.stats(row.id).awayGoals },
+  wins: { label: 'Wins', value: row => row.w },
+  fewest_red_cards: { label: 'Fewest red cards', value: (row, group) => -group.stats(row.id).redCards },
+};
+
+const TIEBREAKER_LABELS = {
+  points: 'Points',
+  ...Object.fromEntries(Object.entries(TIEBREAKER_RULES).map(([key, rule]) => [key, rule.label])),
+  name: 'Club name',
+};
+
+function normalizeTiebreakers(value = DEFAULT_TIEBREAKERS) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  const rules = list.map(item => String(item || '').trim().toLowerCase()).filter(Boolean);
+  if (!rules.length) return [...DEFAULT_TIEBREAKERS];
+
+  for (const rule of rules) {
+    if (!TIEBREAKER_RULES[rule]) throw new Error(`unknown tiebreaker ${rule}`);
+  }
+  return [...new Set(rules)];
+}
+
+function getPoints(result) {
+  return result === 'W' ? 3 : result === 'D' ? 1 : 0;
+}
+
+function buildClubStats(results) {
+  const stats = new Map();
+  const get = clubId => {
+    if (!stats.has(clubId)) stats.set(clubId, { awayGoals: 0, redCards: 0 });
+    return stats.get(clubId);
+  };
+
+  for (const result of results) {
+    get(result.awayClubId).awayGoals += result.awayGoals;
+    get(result.homeClubId).redCards += result.homeRedCards || 0;
+    get(result.awayClubId).redCards += result.awayRedCards || 0;
+  }
+
+  return clubId => get(clubId);
+}
+
+function createGroupContext(group, results, stats) {
+  const clubIds = new Set(group.map(row => row.id));
+  let headToHead = null;
+
+  return {
+    stats,
+    headToHead(clubId) {
+      if (!headToHead) {
+        headToHead = new Map([...clubIds].map(id => [id, { pts: 0, gd: 0 }]));
+        for (const result of results) {
+          if (!clubIds.has(result.homeClubId) || !clubIds.has(result.awayClubId)) continue;
+          const home = headToHead.get(result.homeClubId);
+          const away = headToHead.get(result.awayClubId);
+          home.pts += getPoints(result.homeResult);
+          away.pts += getPoints(result.homeResult === 'W' ? 'L' : result.homeResult === 'L' ? 'W' : 'D');
+          home.gd += result.homeGoals - result.awayGoals;
+          away.gd += result.awayGoals - result.homeGoals;
+        }
+      }
+      return headToHead.get(clubId);
+    },
+  };
+}
+
+// Splits a tied group by the first rule, then breaks any remaining ties with
+// the rest. The last row of each split-off bucket records the rule that put it
+// ahead of the row below.
+function rankGroup(group, rules, results, stats) {
+  if (group.length < 2) return group;
+
+  if (!rules.length) {
+    const ranked = [...group].sort((a, b) => a.team.localeCompare(b.team));
+    ranked.slice(0, -1).forEach(row => { row.tiebreaker = 'name'; });
+    return ranked;
+  }
+
+  const [rule, ...rest] = rules;
+  const context = createGroupContext(group, results, stats);
+  const valueOf = rule === 'points' ? row => row.pts : row => TIEBREAKER_RULES[rule].value(row, context);
+  const buckets = new Map();
+  for (const row of group) {
+    const value = valueOf(row);
+    if (!buckets.has(value)) buckets.set(value, []);
+    buckets.get(value).push(row);
+  }
+
+  return [...buckets.entries()]
+    .sort(([a], [b]) => b - a)
+    .flatMap(([, bucket], index, sorted) => {
+      const ranked = rankGroup(bucket, rest, results, stats);
+      if (index < sorted.length - 1) ranked[ranked.length - 1].tiebreaker = rule;
+      return ranked;
+    });
+}
+
+// Orders standing rows by points and then the configured tiebreakers, falling
+// back to club name. `results` are the counted results behind the rows.
+function rankStandingRows(rows, results = [], tiebreakers = DEFAULT_TIEBREAKERS) {
+  const rules = ['points', ...normalizeTiebreakers(tiebreakers)];
+  const group = rows.map(row => ({ ...row, tiebreaker: null }));
+  return rankGroup(group, rules, results, buildClubStats(results))
+    .map((row, index) => ({ ...row, seed: index + 1 }));
+}
+
+module.exports = {
+  DEFAULT_TIEBREAKERS,
+  TIEBREAKER_LABELS,
+  normalizeTiebreakers,
+  rankStandingRows,
+};
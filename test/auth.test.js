@@ -0,0 +1,30 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const auth = require('../services/auth');
+
+test('hashPassword salts each hash and verifyPassword checks it', async () => {
+  const first = await auth.hashPassword('correct horse battery');
+  const second = await auth.hashPassword('correct horse battery');
+
+  assert.match(first, /^scrypt\$/);
+  assert.notEqual(first, second);
+  assert.equal(await auth.verifyPassword('correct horse battery', first), true);
+  assert.equal(await auth.verifyPassword('wrong horse battery', first), false);
+  assert.equal(await auth.verifyPassword('anything', 'plain-text'), false);
+});
+
+test('safeEqual compares secrets of any length', () => {
+  assert.equal(auth.safeEqual('secret', 'secret'), true);
+  assert.equal(auth.safeEqual('secret', 'secret-but-longer'), false);
+  assert.equal(auth.safeEqual(undefined, 'secret'), false);
+});
+
+test('hasRole lets league officers do everything and other roles only their own', () => {
+  assert.equal(auth.hasRole({ role: 'league_officer' }, 'stats_editor'), true);
+  assert.equal(auth.hasRole({ role: 'stats_editor' }, 'stats_editor'), true);
+  assert.equal(auth.hasRole({ role: 'stats_editor' }, 'league_officer'), false);
+  assert.equal(auth.hasRole({ role: 'club_captain' }, ['league_officer', 'club_captain']), true);
+  assert.equal(auth.hasRole(null, 'club_captain'), false);
+  assert.throws(() => auth.normalizeRole('owner'), /role must be one of league_officer, stats_editor, club_captain/);
+});
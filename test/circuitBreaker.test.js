@@ -0,0 +1,72 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createCircuitBreaker } = require('../services/circuitBreaker');
+
+function clock(start = 1_000_000) {
+  let time = start;
+  return { now: () => time, advance: ms => { time += ms; } };
+}
+
+const fail = status => async () => {
+  const error = new Error(`HTTP ${status}`);
+  error.status = status;
+  throw error;
+};
+
+test('createCircuitBreaker opens after repeated failures and fails fast while open', async () => {
+  const time = clock();
+  const breaker = createCircuitBreaker({ name: 'EA API', failureThreshold: 2, resetTimeoutMs: 30_000, now: time.now });
+  let calls = 0;
+  const failing = async () => {
+    calls += 1;
+    throw new Error('socket hang up');
+  };
+
+  await assert.rejects(breaker.run(failing), /socket hang up/);
+  assert.equal(breaker.getStatus().state, 'closed');
+  await assert.rejects(breaker.run(failing), /socket hang up/);
+  assert.equal(breaker.getStatus().state, 'open');
+
+  time.advance(10_000);
+  await assert.rejects(breaker.run(failing), error => error.code === 'CIRCUIT_OPEN' && error.retryAfterMs === 20_000);
+  assert.equal(calls, 2);
+  assert.equal(breaker.getStatus().lastError, 'socket hang up');
+});
+
+test('createCircuitBreaker lets one half-open probe through and closes on success', async () => {
+  const time = clock();
+  const breaker = createCircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 30_000, now: time.now });
+  await assert.rejects(breaker.run(fail(503)));
+
+  time.advance(30_000);
+  assert.equal(breaker.getStatus().state, 'half_open');
+  let releaseProbe;
+  const probe = breaker.run(() => new Promise(resolve => { releaseProbe = resolve; }));
+  await assert.rejects(breaker.run(async () => 'second'), error => error.code === 'CIRCUIT_OPEN');
+  releaseProbe('ok');
+  assert.equal(await probe, 'ok');
+
+  const status = breaker.getStatus();
+  assert.equal(status.state, 'closed');
+  assert.equal(status.consecutiveFailures, 0);
+  assert.equal(status.lastSuccessAt, new Date(time.now()).toISOString());
+});
+
+test('createCircuitBreaker reopens when the probe fails and ignores errors that are not failures', async () => {
+  const time = clock();
+  const breaker = createCircuitBreaker({
+    failureThreshold: 1,
+    resetTimeoutMs: 30_000,
+    isFailure: error => error.status >= 500,
+    now: time.now,
+  });
+
+  await assert.rejects(breaker.run(fail(404)));
+  assert.equal(breaker.getStatus().state, 'closed');
+
+  await assert.rejects(breaker.run(fail(500)));
+  time.advance(30_000);
+  await assert.rejects(breaker.run(fail(502)), /HTTP 502/);
+  assert.equal(breaker.getStatus().state, 'open');
+});
@@ -137,3 +137,172 @@ test('league club aliases include only registered UPCL teams for player stat fil
   assert.equal(normalizedAliases.includes(normalizeLeagueClubName('Da Bears FC')), false);
   assert.equal(normalizedAliases.includes(normalizeLeagueClubName('Dont Mata FC')), false);
 });
+
+test('normalizeClubInput keeps the club name as an alias and merges updates with the stored club', () => {
+  const { normalizeClubInput } = require('../db');
+  const existing = normalizeClubInput({ name: 'FC Wisconsin', conference: 'west', eaClubId: '654142', aliases: ['FC Wisconson'] });
+
+  assert.equal(existing.id, '654142');
+  assert.deepEqual(existing.aliases, ['FC Wisconsin', 'FC Wisconson']);
+
+  const updated = normalizeClubInput({ conference: 'east' }, existing);
+  assert.equal(updated.name, 'FC Wisconsin');
+  assert.equal(updated.conference, 'east');
+  assert.deepEqual(updated.aliases, ['FC Wisconsin', 'FC Wisconson']);
+
+  assert.throws(() => normalizeClubInput({ name: 'Nowhere FC', conference: 'north', eaClubId: '1' }), /conference/);
+  assert.throws(() => normalizeClubInput({ name: 'Nowhere FC', conference: 'east', eaClubId: 'abc' }), /eaClubId/);
+});
+
+test('normalizeSeasonId treats current as the default season and rejects other labels', () => {
+  const { normalizeSeasonId } = require('../db');
+
+  assert.equal(normalizeSeasonId(undefined), null);
+  assert.equal(normalizeSeasonId('current'), null);
+  assert.equal(normalizeSeasonId('3'), 3);
+  assert.throws(() => normalizeSeasonId('last-year'), /season must be/);
+});
+
+test('normalizeNewsInput validates posts, graphics and publish times', () => {
+  const { normalizeNewsInput } = require('../db');
+
+  const post = normalizeNewsInput({
+    category: ' League Office ',
+    headline: 'Trade window opens',
+    publishAt: '2026-11-01T18:00:00.000Z',
+    graphic: { type: 'standingsMovement', rows: [{ rank: 1, team: 'Bota FC' }] },
+  });
+  assert.equal(post.category, 'League Office');
+  assert.equal(post.publishAt.toISOString(), '2026-11-01T18:00:00.000Z');
+  assert.equal(post.pinned, false);
+  assert.equal(post.published, true);
+
+  const edited = normalizeNewsInput({ pinned: true }, { category: 'Tables', headline: 'Old', body: 'Text', publish_at: post.publishAt });
+  assert.deepEqual([edited.headline, edited.body, edited.pinned], ['Old', 'Text', true]);
+  assert.equal(edited.publishAt, post.publishAt);
+
+  assert.throws(() => normalizeNewsInput({ category: 'Tables' }), /headline is required/);
+  assert.throws(() => normalizeNewsInput({ category: 'Tables', headline: 'x', graphic: { type: 'pieChart' } }), /graphic type/);
+  assert.throws(() => normalizeNewsInput({ category: 'Tables', headline: 'x', publishAt: 'soon' }), /publishAt must be a valid date/);
+  assert.throws(() => normalizeNewsInput({ category: 'Tables', headline: 'x', pinned: 'yes' }), /pinned must be true or false/);
+});
+
+test('normalizeManualMatchInput resolves clubs and builds EA-shaped player stats', () => {
+  const { normalizeManualMatchInput, normalizePlayerMatchStats } = require('../db');
+
+  const match = normalizeManualMatchInput({
+    homeClub: 'Bota',
+    awayClub: '6297844',
+    homeScore: 2,
+    awayScore: '1',
+    matchday: 3,
+    players: [{ side: 'home', name: 'Bota Nine', goals: 2, redCards: 1 }],
+  });
+  assert.match(match.match_id, /^manual-/);
+  assert.deepEqual([match.club_name, match.opponent_name, match.result], ['Bota FC', 'Inferign United', 'W']);
+  assert.equal(match.competition, 'league');
+  assert.equal(match.forfeit, null);
+
+  const [stat] = normalizePlayerMatchStats(match);
+  assert.deepEqual([stat.ea_player_id, stat.club_id, stat.club_name, stat.goals], ['manual-bota-nine', '57985', 'Bota FC', 2]);
+  assert.equal(stat.raw_json.redcards, 1);
+
+  const forfeit = normalizeManualMatchInput({ homeClub: 'Bota FC', awayClub: 'Egoistas', forfeit: 'away' });
+  assert.deepEqual([forfeit.club_score, forfeit.opponent_score, forfeit.result, forfeit.forfeit], [0, 0, 'W', 'away']);
+
+  assert.throws(() => normalizeManualMatchInput({ homeClub: 'Bota FC', awayClub: 'Nobody FC' }), /awayClub Nobody FC is not a league club/);
+  assert.throws(() => normalizeManualMatchInput({ homeClub: 'Bota FC', awayClub: 'Egoistas' }), /homeScore and awayScore are required/);
+  assert.throws(() => normalizeManualMatchInput({ homeClub: 'Bota FC', awayClub: 'Egoistas', forfeit: 'both' }), /forfeit must be home or away/);
+  assert.throws(() => normalizeManualMatchInput({
+    homeClub: 'Bota FC', awayClub: 'Egoistas', homeScore: 1, awayScore: 0, players: [{ side: 'neutral', name: 'X' }],
+  }), /players\[0\]\.side/);
+});
+
+test('normalizeMatchCorrection validates score, orientation and player stat overrides', () => {
+  const { normalizeMatchCorrection } = require('../db');
+
+  const correction = normalizeMatchCorrection({
+    swapSides: true,
+    clubScore: '2',
+    players: [{ eaPlayerId: 9, goals: 1, manOfTheMatch: false }],
+  });
+  assert.equal(correction.swapSides, true);
+  assert.equal(correction.clubScore, 2);
+  assert.equal(correction.opponentScore, null);
+  assert.deepEqual(correction.players, [{ eaPlayerId: '9', stats: { goals: 1, man_of_the_match: false } }]);
+
+  assert.throws(() => normalizeMatchCorrection({}), /correction must change/);
+  assert.throws(() => normalizeMatchCorrection({ opponentScore: -1 }), /opponentScore must be a non-negative integer/);
+  assert.throws(() => normalizeMatchCorrection({ players: [{ goals: 1 }] }), /players\[0\]\.eaPlayerId is required/);
+  assert.throws(() => normalizeMatchCorrection({ players: [{ eaPlayerId: '9' }] }), /players\[0\] has no stat corrections/);
+
+  const partial = normalizeMatchCorrection({ players: [{ eaPlayerId: '9', goals: null, assists: 2, manOfTheMatch: null }] });
+  assert.deepEqual(partial.players, [{ eaPlayerId: '9', stats: { assists: 2 } }]);
+  assert.throws(() => normalizeMatchCorrection({ players: [{ eaPlayerId: '9', goals: null }] }), /has no stat corrections/);
+  assert.throws(() => normalizeMatchCorrection({ swapSides: 'yes' }), /^Error: swapSides must be true or false$/);
+});
+
+test('normalizeAdminAccountInput validates usernames, passwords and captain clubs', () => {
+  const { normalizeAdminAccountInput } = require('../db');
+
+  const account = normalizeAdminAccountInput({ username: ' Ref.Officer ', password: 'long-enough-pass', role: 'league_officer', clubId: '57985' });
+  assert.deepEqual(account, {
+    username: 'ref.officer',
+    password: 'long-enough-pass',
+    role: 'league_officer',
+    clubId: null,
+    active: true,
+  });
+
+  const edited = normalizeAdminAccountInput({ active: false }, { username: 'captain', role: 'club_captain', club_id: '57985', active: true });
+  assert.deepEqual([edited.password, edited.clubId, edited.active], [null, '57985', false]);
+
+  assert.throws(() => normalizeAdminAccountInput({ username: 'x', password: 'long-enough-pass', role: 'stats_editor' }), /username must be/);
+  assert.throws(() => normalizeAdminAccountInput({ username: 'editor', role: 'stats_editor' }), /password is required/);
+  assert.throws(() => normalizeAdminAccountInput({ username: 'editor', password: 'short', role: 'stats_editor' }), /at least 10 characters/);
+  assert.throws(() => normalizeAdminAccountInput({ username: 'captain', password: 'long-enough-pass', role: 'club_captain' }), /clubId is required/);
+});
+
+test('normalizeMemberSnapshot keeps tracked member stats and rounds rates to hundredths', () => {
+  const { normalizeMemberSnapshot } = require('../db');
+  const snapshot = normalizeMemberSnapshot({
+    name: ' Striker ',
+    eaPlayerId: 1004100200301,
+    gamesPlayed: 14,
+    goals: 11,
+    assists: '2',
+    proOverall: 87,
+    ratingAve: 7.456,
+    winRate: 64.28571,
+    manOfTheMatch: 3,
+  });
+
+  assert.equal(snapshot.player_name, 'Striker');
+  assert.equal(snapshot.ea_player_id, '1004100200301');
+  assert.equal(snapshot.assists, 2);
+  assert.equal(snapshot.rating_ave, 7.46);
+  assert.equal(snapshot.win_rate, 64.29);
+  assert.equal(normalizeMemberSnapshot({ name: 'Sub' }).ea_player_id, null);
+  assert.throws(() => normalizeMemberSnapshot({ goals: 1 }), /member name is required/);
+});
+
+test('normalizePlayerMergeInput and normalizePlayerSplitInput validate identity changes', () => {
+  const { normalizePlayerMergeInput, normalizePlayerSplitInput } = require('../db');
+
+  assert.deepEqual(normalizePlayerMergeInput({ targetId: '4', sourceIds: [7, '7', 9], displayName: ' Bota Nine ' }), {
+    targetId: 4,
+    sourceIds: [7, 9],
+    displayName: 'Bota Nine',
+  });
+  assert.equal(normalizePlayerMergeInput({ targetId: 4, sourceIds: [7] }).displayName, undefined);
+  assert.throws(() => normalizePlayerMergeInput({ targetId: 4, sourceIds: [] }), /sourceIds must list/);
+  assert.throws(() => normalizePlayerMergeInput({ targetId: 4, sourceIds: [4] }), /must not include targetId/);
+  assert.throws(() => normalizePlayerMergeInput({ targetId: 'abc', sourceIds: [1] }), /targetId must be a positive integer/);
+
+  assert.deepEqual(normalizePlayerSplitInput({ eaPlayerIds: ['1004', 1004, 'manual-bota-nine'] }), {
+    eaPlayerIds: ['1004', 'manual-bota-nine'],
+    displayName: undefined,
+  });
+  assert.throws(() => normalizePlayerSplitInput({ eaPlayerIds: [' '] }), /must not be empty/);
+  assert.throws(() => normalizePlayerSplitInput({}), /eaPlayerIds must list/);
+});
@@ -1,7 +1,21 @@
-const { test } = require('node:test');
+const { test, mock } = require('node:test');
 const assert = require('node:assert/strict');
 
-const { normalizeClubId, normalizeMembersStats, readMatchesPayload, readMembersPayload } = require('../services/eaApi');
+const db = require('../db');
+const {
+  getCacheStats,
+  getUpstreamStatus,
+  loadClubMatches,
+  loadMembersStats,
+  normalizeClubId,
+  normalizeClubInfo,
+  normalizeClubOverallStats,
+  normalizeMatchTypes,
+  normalizeMembersStats,
+  readMatchesPayload,
+  readMembersPayload,
+  resetCircuit,
+} = require('../services/eaApi');
 
 test('normalizeClubId accepts numeric club ids', () => {
   assert.equal(normalizeClubId('57985'), '57985');
@@ -12,6 +26,12 @@ test('normalizeClubId rejects non-numeric club ids', () => {
   assert.throws(() => normalizeClubId('bota'), /numeric/);
 });
 
+test('normalizeMatchTypes reads comma lists case-insensitively and defaults to friendlies', () => {
+  assert.deepEqual(normalizeMatchTypes('leaguematch, friendlyMatch,leagueMatch'), ['leagueMatch', 'friendlyMatch']);
+  assert.deepEqual(normalizeMatchTypes(''), ['friendlyMatch']);
+  assert.throws(() => normalizeMatchTypes('cupMatch'), /unknown match type cupMatch/);
+});
+
 test('readMatchesPayload accepts EA array, keyed, and matches payloads', () => {
   const match = { matchId: '1' };
   assert.deepEqual(readMatchesPayload([match], '57985'), [match]);
@@ -67,3 +87,145 @@ test('normalizeMembersStats converts EA member values to API-friendly numbers',
   assert.equal(normalized.members[0].proOverall, 91);
   assert.deepEqual(normalized.positionCount, { ST: 1 });
 });
+
+test('normalizeClubInfo reads the crest and kit from EA club info', () => {
+  const info = normalizeClubInfo({
+    1171188: {
+      name: 'True Egoistas',
+      clubId: 1171188,
+      regionId: 4344147,
+      customKit: {
+        stadName: 'Ego Arena',
+        kitId: '3758096384',
+        customKitId: '7001',
+        crestAssetId: '99160041',
+        crestColor: '16777215',
+        kitColor1: '0',
+        kitColor2: '16711680',
+        kitAColor1: 'ffffff',
+      },
+    },
+  }, '1171188');
+
+  assert.equal(info.name, 'True Egoistas');
+  assert.equal(info.stadium, 'Ego Arena');
+  assert.deepEqual(info.crest, { assetId: '99160041', color: '#ffffff' });
+  assert.equal(info.kit.customKitId, '7001');
+  assert.deepEqual(info.kit.home, ['#000000', '#ff0000']);
+  assert.deepEqual(info.kit.away, ['#ffffff']);
+  assert.equal(normalizeClubInfo({}, '1171188'), null);
+});
+
+test('normalizeClubOverallStats builds the EA record and division', () => {
+  const stats = normalizeClubOverallStats([{
+    clubId: '1171188',
+    gamesPlayed: '20',
+    wins: '12',
+    losses: '5',
+    ties: '3',
+    goals: '41',
+    goalsAgainst: '22',
+    bestDivision: '1',
+    currentDivision: '2',
+    skillRating: '1650',
+    wstreak: '4',
+  }], '1171188');
+
+  assert.equal(stats.record, '12-5-3');
+  assert.equal(stats.winRate, 60);
+  assert.deepEqual(stats.division, { current: 2, best: 1 });
+  assert.equal(stats.skillRating, 1650);
+  assert.equal(stats.winStreak, 4);
+  assert.equal(normalizeClubOverallStats([{ clubId: '1' }, { clubId: '2' }], '3'), null);
+});
+
+function stubEaResponse(response) {
+  return mock.method(global, 'fetch', async () => response);
+}
+
+test('loadClubMatches caches EA responses in memory and in Postgres', async () => {
+  const saved = [];
+  const readStub = mock.method(db, 'getEaCacheEntry', async () => null);
+  const saveStub = mock.method(db, 'saveEaCacheEntry', async (key, payload) => saved.push({ key, payload }));
+  const fetchStub = stubEaResponse({ ok: true, json: async () => [{ matchId: 'fresh-game' }] });
+  const before = getCacheStats();
+
+  try {
+    const first = await loadClubMatches('7001', 'leagueMatch');
+    const second = await loadClubMatches('7001', 'leagueMatch');
+    assert.deepEqual(first, { matches: [{ matchId: 'fresh-game' }], stale: false, ageSeconds: 0 });
+    assert.deepEqual(second.matches, first.matches);
+    assert.equal(fetchStub.mock.callCount(), 1);
+    assert.equal(readStub.mock.callCount(), 1);
+    assert.deepEqual(saved, [{ key: 'leagueMatch:7001', payload: [{ matchId: 'fresh-game' }] }]);
+
+    const after = getCacheStats();
+    assert.equal(after.misses - before.misses, 1);
+    assert.equal(after.hits - before.hits, 1);
+  } finally {
+    [readStub, saveStub, fetchStub].forEach(stub => stub.mock.restore());
+  }
+});
+
+test('cached EA payloads are served as stale when EA fails, unless stale data is refused', async () => {
+  const twoHoursAgo = new Date(Date.now() - 2 * 60 * 60_000);
+  const readStub = mock.method(db, 'getEaCacheEntry', async () => ({
+    payload: { members: [{ name: 'Cached Captain' }], positionCount: {} },
+    fetched_at: twoHoursAgo.toISOString(),
+  }));
+  const saveStub = mock.method(db, 'saveEaCacheEntry', async () => {});
+  const fetchStub = stubEaResponse({ ok: false, status: 404 });
+  const before = getCacheStats();
+
+  try {
+    const result = await loadMembersStats('7002');
+    assert.equal(result.stale, true);
+    assert.equal(result.members[0].name, 'Cached Captain');
+    assert.ok(Math.abs(result.ageSeconds - 7200) <= 5);
+    assert.equal(getCacheStats().staleFallbacks - before.staleFallbacks, 1);
+
+    await assert.rejects(loadMembersStats('7002', { allowStale: false }), /HTTP 404/);
+    assert.equal(saveStub.mock.callCount(), 0);
+  } finally {
+    [readStub, saveStub, fetchStub].forEach(stub => stub.mock.restore());
+  }
+});
+
+test('the EA cache keeps working without Postgres', async () => {
+  const readStub = mock.method(db, 'getEaCacheEntry', async () => {
+    throw new Error('DATABASE_URL environment variable is required for Postgres access');
+  });
+  const saveStub = mock.method(db, 'saveEaCacheEntry', async () => {
+    throw new Error('DATABASE_URL environment variable is required for Postgres access');
+  });
+  const fetchStub = stubEaResponse({ ok: true, json: async () => ({ 7003: [{ matchId: 'live-game' }] }) });
+
+  try {
+    const result = await loadClubMatches('7003');
+    assert.deepEqual(result.matches, [{ matchId: 'live-game' }]);
+    assert.equal(result.stale, false);
+  } finally {
+    [readStub, saveStub, fetchStub].forEach(stub => stub.mock.restore());
+  }
+});
+
+test('EA requests fail fast once repeated network errors open the circuit', async () => {
+  const readStub = mock.method(db, 'getEaCacheEntry', async () => null);
+  const fetchStub = mock.method(global, 'fetch', async () => {
+    throw new TypeError('fetch failed');
+  });
+
+  try {
+    for (let clubId = 7101; clubId <= 7105; clubId += 1) {
+      await assert.rejects(loadClubMatches(String(clubId)), /fetch failed/);
+    }
+    assert.equal(getUpstreamStatus().state, 'open');
+
+    await assert.rejects(loadClubMatches('7106'), /EA API circuit is open/);
+    assert.equal(fetchStub.mock.callCount(), 5);
+  } finally {
+    readStub.mock.restore();
+    fetchStub.mock.restore();
+    resetCircuit();
+  }
+});
@@ -0,0 +1,83 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+const { normalizeMembersStats, readMatchesPayload } = require('../services/eaApi');
+const { createEaStubServer, getFixturePath } = require('../scripts/eaStub');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'data', 'ea-fixtures');
+
+async function listen(server) {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+async function close(server) {
+  await new Promise(resolve => server.close(resolve));
+}
+
+test('getFixturePath maps EA requests to fixture files and rejects anything else', () => {
+  assert.equal(
+    getFixturePath('/fixtures', '/api/fc/clubs/matches?matchType=leagueMatch&platform=common-gen5&clubIds=57985').file,
+    path.join('/fixtures', 'clubs-matches', 'leagueMatch', '57985.json')
+  );
+  assert.equal(
+    getFixturePath('/fixtures', '/members/stats?platform=common-gen5&clubId=57985').file,
+    path.join('/fixtures', 'members-stats', '57985.json')
+  );
+  assert.equal(getFixturePath('/fixtures', '/clubs/search?clubName=Bota'), null);
+  assert.equal(getFixturePath('/fixtures', '/members/stats?clubId=../../etc/passwd'), null);
+  assert.equal(getFixturePath('/fixtures', '/clubs/matches?matchType=friendlyMatch'), null);
+});
+
+test('the stub serves the bundled fixtures in the shape eaApi reads', async () => {
+  const server = createEaStubServer({ fixturesDir: FIXTURES_DIR, log: () => {} });
+  const baseUrl = await listen(server);
+  try {
+    const response = await fetch(`${baseUrl}/clubs/matches?matchType=friendlyMatch&platform=common-gen5&clubIds=57985`);
+    assert.equal(response.status, 200);
+    const matches = readMatchesPayload(await response.json(), '57985');
+    assert.ok(matches.length > 0);
+    assert.ok(matches.every(match => match.matchId && match.clubs['57985'] && match.players['57985']));
+
+    const members = await fetch(`${baseUrl}/members/stats?platform=common-gen5&clubId=57985`);
+    assert.equal(members.status, 200);
+    assert.ok(normalizeMembersStats(await members.json()).members.length > 0);
+
+    assert.equal((await fetch(`${baseUrl}/members/stats?clubId=1`)).status, 404);
+    assert.equal((await fetch(`${baseUrl}/clubs/search?clubName=Bota`)).status, 404);
+  } finally {
+    await close(server);
+  }
+});
+
+test('record mode saves upstream responses and falls back to them when upstream fails', async () => {
+  const upstreamDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ea-upstream-'));
+  const recordDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ea-record-'));
+  const payload = { members: [{ name: 'Recorded' }], positionCount: {} };
+  await fs.mkdir(path.join(upstreamDir, 'members-stats'));
+  await fs.writeFile(path.join(upstreamDir, 'members-stats', '42.json'), JSON.stringify(payload));
+
+  const upstream = createEaStubServer({ fixturesDir: upstreamDir, log: () => {} });
+  const upstreamUrl = await listen(upstream);
+  const recorder = createEaStubServer({ fixturesDir: recordDir, record: true, upstreamUrl, log: () => {} });
+  const baseUrl = await listen(recorder);
+  try {
+    const response = await fetch(`${baseUrl}/members/stats?platform=common-gen5&clubId=42`);
+    assert.deepEqual(await response.json(), payload);
+    const saved = JSON.parse(await fs.readFile(path.join(recordDir, 'members-stats', '42.json'), 'utf8'));
+    assert.deepEqual(saved, payload);
+
+    await close(upstream);
+    const replayed = await fetch(`${baseUrl}/members/stats?platform=common-gen5&clubId=42`);
+    assert.equal(replayed.status, 200);
+    assert.deepEqual(await replayed.json(), payload);
+  } finally {
+    if (upstream.listening) await close(upstream);
+    await close(recorder);
+    await fs.rm(upstreamDir, { recursive: true, force: true });
+    await fs.rm(recordDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,85 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  buildClinchStories,
+  buildGoalMilestoneStories,
+  buildHatTrickStories,
+  buildLeaderChangeStories,
+  buildResultStory,
+  findClinchedClubs,
+} = require('../services/news');
+
+const MATCH = {
+  match_id: 'match-1',
+  season_id: 2,
+  matchday: 4,
+  competition: 'league',
+  club_name: 'Bota',
+  opponent_name: 'Inferign Utd',
+  club_score: 1,
+  opponent_score: 3,
+};
+
+test('buildResultStory names the winner first using canonical club names', () => {
+  const clubs = { Bota: 'Bota FC', 'Inferign Utd': 'Inferign United' };
+  const [story] = buildResultStory(MATCH, { findClub: name => ({ name: clubs[name] }) });
+
+  assert.equal(story.category, 'Results');
+  assert.equal(story.headline, 'Matchday 4: Inferign United beat Bota FC 3-1');
+  assert.equal(story.dedupeKey, 'result:match-1');
+});
+
+test('buildHatTrickStories and buildGoalMilestoneStories pick out standout scorers', () => {
+  const playerStats = [
+    { ea_player_id: '11', player_name: 'Striker', club_name: 'Inferign United', goals: 3 },
+    { ea_player_id: '12', player_name: 'Winger', club_name: 'Bota FC', goals: 1 },
+  ];
+  // The identity was renamed, so its season name no longer matches the match row.
+  const seasonTotals = [
+    { player_id: 4, player_name: 'Striker Prime', ea_player_ids: ['7', '11'], goals: 11 },
+    { player_id: 5, player_name: 'Winger', ea_player_ids: ['12'], goals: 9 },
+  ];
+
+  assert.deepEqual(buildHatTrickStories(MATCH, playerStats).map(story => story.headline), [
+    'Striker scores a hat-trick for Inferign United',
+  ]);
+  const milestones = buildGoalMilestoneStories(MATCH, playerStats, seasonTotals);
+  assert.deepEqual(milestones.map(story => story.headline), ['Striker reaches 10 league goals this season']);
+  assert.equal(milestones[0].dedupeKey, 'goal-milestone:2:11:10');
+});
+
+test('buildLeaderChangeStories reports a new conference leader with a movement graphic', () => {
+  const previous = { east: [{ id: 'a', team: 'Alpha FC', seed: 1 }, { id: 'b', team: 'Bravo FC', seed: 2 }], west: [] };
+  const standings = {
+    east: [
+      { id: 'b', team: 'Bravo FC', seed: 1, pl: 2, pts: 6, gd: 3, form: ['W', 'W'] },
+      { id: 'a', team: 'Alpha FC', seed: 2, pl: 2, pts: 3, gd: 0, form: ['L', 'W'] },
+    ],
+    west: [],
+  };
+
+  const [story] = buildLeaderChangeStories(standings, previous, { seasonId: 2, matchId: 'match-1', cutoff: 3 });
+  assert.equal(story.headline, 'Bravo FC take over top spot in the Eastern Conference from Alpha FC');
+  assert.deepEqual(story.graphic.rows.map(row => [row.team, row.rank, row.previousRank, row.gd]), [
+    ['Bravo FC', 1, 2, '+3'],
+    ['Alpha FC', 2, 1, '0'],
+  ]);
+  assert.deepEqual(buildLeaderChangeStories(standings, standings, { seasonId: 2, matchId: 'match-2' }), []);
+});
+
+test('findClinchedClubs only counts clubs that rivals can no longer catch', () => {
+  const rows = [
+    { id: 'a', team: 'Alpha FC', pts: 12 },
+    { id: 'b', team: 'Bravo FC', pts: 9 },
+    { id: 'c', team: 'Charlie FC', pts: 3 },
+    { id: 'd', team: 'Delta FC', pts: 0 },
+  ];
+  const remaining = new Map([['a', 1], ['b', 1], ['c', 1], ['d', 2]]);
+
+  assert.deepEqual(findClinchedClubs(rows, remaining, 2).map(row => row.id), ['a', 'b']);
+  assert.deepEqual(findClinchedClubs(rows, remaining, 4), []);
+
+  const stories = buildClinchStories({ east: rows, west: [] }, remaining, { seasonId: 2, cutoff: 2 });
+  assert.deepEqual(stories.map(story => story.dedupeKey), ['clinch:2:a', 'clinch:2:b']);
+});
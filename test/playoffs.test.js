@@ -0,0 +1,84 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildPlayoffBracket, getBracketOrder, normalizePlayoffFormat } = require('../services/playoffs');
+
+const STANDINGS = {
+  east: [
+    { seed: 1, id: 'a', team: 'Alpha FC' },
+    { seed: 2, id: 'b', team: 'Bravo FC' },
+    { seed: 3, id: 'c', team: 'Charlie FC' },
+  ],
+  west: [
+    { seed: 1, id: 'x', team: 'Xray FC' },
+    { seed: 2, id: 'y', team: 'Yankee FC' },
+    { seed: 3, id: 'z', team: 'Zulu FC' },
+  ],
+};
+
+const CLUBS = [...STANDINGS.east, ...STANDINGS.west].map(row => ({ id: row.id, name: row.team }));
+
+function findClub(name) {
+  return CLUBS.find(club => club.name === name) || null;
+}
+
+function game(clubName, opponentName, clubScore, opponentScore, day) {
+  return {
+    club_name: clubName,
+    opponent_name: opponentName,
+    club_score: clubScore,
+    opponent_score: opponentScore,
+    match_date: `2026-05-0${day}T20:00:00.000Z`,
+  };
+}
+
+test('normalizePlayoffFormat requires a power-of-two bracket', () => {
+  assert.deepEqual(normalizePlayoffFormat(), { cutoff: 3, byes: 1, bestOf: 3, finalsBestOf: 3 });
+  assert.deepEqual(normalizePlayoffFormat({ cutoff: '4', byes: '0', bestOf: '5' }), { cutoff: 4, byes: 0, bestOf: 5, finalsBestOf: 5 });
+  assert.deepEqual(
+    normalizePlayoffFormat({ cutoff: '', byes: ' ', bestOf: '', finalsBestOf: '' }),
+    { cutoff: 3, byes: 1, bestOf: 3, finalsBestOf: 3 },
+  );
+  assert.throws(() => normalizePlayoffFormat({ cutoff: 3, byes: 0 }), /power of two/);
+  assert.throws(() => normalizePlayoffFormat({ cutoff: 2, byes: 6 }), /cannot exceed/);
+  assert.throws(() => normalizePlayoffFormat({ bestOf: 4 }), /bestOf/);
+  assert.deepEqual(getBracketOrder(8), [1, 8, 4, 5, 2, 7, 3, 6]);
+});
+
+test('buildPlayoffBracket seeds the play-in and gives byes to the top seeds', () => {
+  const bracket = buildPlayoffBracket(STANDINGS, { findClub });
+
+  assert.equal(bracket.conferences.east.playIn.length, 1);
+  assert.equal(bracket.conferences.east.playIn[0].home.club.name, 'Bravo FC');
+  assert.equal(bracket.conferences.east.playIn[0].away.club.name, 'Charlie FC');
+  assert.equal(bracket.conferences.east.final.home.club.name, 'Alpha FC');
+  assert.equal(bracket.conferences.east.final.away.club, null);
+  assert.equal(bracket.conferences.east.final.status, 'pending');
+  assert.equal(bracket.finals.home.label, 'East Champion');
+  assert.equal(bracket.champion, null);
+});
+
+test('buildPlayoffBracket advances series winners through to a champion', () => {
+  const games = [
+    game('Charlie FC', 'Bravo FC', 2, 0, 1),
+    game('Bravo FC', 'Charlie FC', 1, 1, 2),
+    game('Bravo FC', 'Charlie FC', 0, 1, 3),
+    game('Alpha FC', 'Charlie FC', 3, 0, 4),
+    game('Charlie FC', 'Alpha FC', 0, 2, 5),
+    game('Yankee FC', 'Zulu FC', 1, 0, 1),
+    game('Yankee FC', 'Zulu FC', 1, 0, 2),
+    game('Xray FC', 'Yankee FC', 0, 1, 3),
+    game('Xray FC', 'Yankee FC', 0, 1, 4),
+    game('Alpha FC', 'Yankee FC', 2, 1, 6),
+  ];
+  const bracket = buildPlayoffBracket(STANDINGS, { findClub, games, format: { finalsBestOf: 1 } });
+
+  assert.equal(bracket.conferences.east.playIn[0].winner_club_id, 'c');
+  assert.equal(bracket.conferences.east.playIn[0].draws, 0);
+  assert.equal(bracket.conferences.east.final.away.seed, 3);
+  assert.equal(bracket.conferences.east.champion.club.id, 'a');
+  assert.equal(bracket.conferences.west.champion.club.id, 'y');
+  assert.equal(bracket.finals.best_of, 1);
+  assert.equal(bracket.finals.status, 'complete');
+  assert.equal(bracket.champion.club.name, 'Alpha FC');
+});
@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createLockout, createRateLimiter } = require('../services/rateLimit');
+
+function clock(start = 0) {
+  let time = start;
+  return { now: () => time, advance: ms => { time += ms; } };
+}
+
+test('createRateLimiter allows `limit` hits per window and reports the wait after that', () => {
+  const time = clock();
+  const limiter = createRateLimiter({ limit: 2, windowMs: 60_000, now: time.now });
+
+  assert.deepEqual(limiter.hit('a'), { limited: false, remaining: 1 });
+  assert.deepEqual(limiter.hit('a'), { limited: false, remaining: 0 });
+  time.advance(15_500);
+  assert.deepEqual(limiter.hit('a'), { limited: true, retryAfter: 45 });
+  assert.equal(limiter.hit('b').limited, false);
+
+  time.advance(44_500);
+  assert.equal(limiter.hit('a').limited, false);
+  assert.equal(createRateLimiter({ limit: 0, windowMs: 1000 }).hit('a').limited, false);
+});
+
+test('createLockout locks every failing key and a success clears its count', () => {
+  const time = clock();
+  const lockout = createLockout({ maxAttempts: 3, windowMs: 60_000, lockoutMs: 300_000, now: time.now });
+
+  assert.equal(lockout.fail('ip:1', 'credential:admin'), 0);
+  assert.equal(lockout.fail('ip:1', 'credential:admin'), 0);
+  lockout.succeed('credential:admin');
+  assert.equal(lockout.fail('ip:1', 'credential:admin'), 300);
+
+  assert.equal(lockout.check('ip:1'), 300);
+  assert.equal(lockout.check('ip:2', 'credential:admin'), 0);
+  time.advance(120_000);
+  assert.equal(lockout.check('ip:2', 'ip:1'), 180);
+  time.advance(180_000);
+  assert.equal(lockout.check('ip:1'), 0);
+});
+
+test('createLockout forgets failures once the window has passed', () => {
+  const time = clock();
+  const lockout = createLockout({ maxAttempts: 2, windowMs: 60_000, now: time.now });
+
+  lockout.fail('ip:1');
+  time.advance(60_000);
+  assert.equal(lockout.fail('ip:1'), 0);
+  assert.equal(lockout.fail('ip:1'), 60);
+});
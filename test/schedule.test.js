@@ -0,0 +1,84 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildRoundRobinRounds, generateRoundRobinSchedule, summarizeSeries } = require('../services/schedule');
+
+const CLUBS = [
+  { id: 'a', name: 'Alpha FC', conference: 'east' },
+  { id: 'b', name: 'Bravo FC', conference: 'east' },
+  { id: 'c', name: 'Charlie FC', conference: 'east' },
+  { id: 'x', name: 'Xray FC', conference: 'west' },
+  { id: 'y', name: 'Yankee FC', conference: 'west' },
+  { id: 'z', name: 'Zulu FC', conference: 'west' },
+];
+
+function pairKey(series) {
+  return `${series.home_club_id}-${series.away_club_id}`;
+}
+
+test('buildRoundRobinRounds pairs every club once and gives odd conferences a bye', () => {
+  const rounds = buildRoundRobinRounds(['a', 'b', 'c']);
+  const pairs = rounds.flat().map(pair => [...pair].sort().join('-')).sort();
+
+  assert.equal(rounds.length, 3);
+  assert.ok(rounds.every(round => round.length === 1));
+  assert.deepEqual(pairs, ['a-b', 'a-c', 'b-c']);
+});
+
+test('generateRoundRobinSchedule builds a double round-robin of series per conference', () => {
+  const schedule = generateRoundRobinSchedule(CLUBS, { startDate: '2026-03-04' });
+
+  assert.equal(schedule.length, 12);
+  assert.deepEqual([...new Set(schedule.map(series => series.week))], [1, 2, 3, 4, 5, 6]);
+  assert.ok(schedule.every(series => series.best_of === 3));
+  assert.ok(schedule.every(series => CLUBS.find(club => club.id === series.home_club_id).conference === series.conference));
+
+  const east = schedule.filter(series => series.conference === 'east').map(pairKey).sort();
+  assert.deepEqual(east, ['a-b', 'a-c', 'b-a', 'b-c', 'c-a', 'c-b']);
+
+  assert.equal(schedule[0].scheduled_date, '2026-03-04');
+  assert.equal(schedule[1].scheduled_date, '2026-03-05');
+  assert.equal(schedule[2].scheduled_date, '2026-03-11');
+  assert.deepEqual(schedule.map(series => series.series_number), schedule.map((_, index) => index + 1));
+});
+
+test('generateRoundRobinSchedule validates the start date and series length', () => {
+  assert.throws(() => generateRoundRobinSchedule(CLUBS, { startDate: '03/04/2026' }), /startDate/);
+  assert.throws(() => generateRoundRobinSchedule(CLUBS, { startDate: '2026-02-30' }), /startDate/);
+  assert.throws(() => generateRoundRobinSchedule(CLUBS, { startDate: '2026-03-04', bestOf: 2 }), /bestOf/);
+});
+
+test('summarizeSeries orients games to the series home club and finishes at two wins', () => {
+  const findClub = name => CLUBS.find(club => club.name === name) || null;
+  const series = { home_club_id: 'a', away_club_id: 'b', best_of: 3 };
+
+  assert.equal(summarizeSeries(series, [], findClub).status, 'scheduled');
+
+  const inProgress = summarizeSeries(series, [
+    { club_name: 'Bravo FC', opponent_name: 'Alpha FC', club_score: 0, opponent_score: 2 },
+  ], findClub);
+  assert.equal(inProgress.status, 'in_progress');
+  assert.equal(inProgress.home_wins, 1);
+
+  const complete = summarizeSeries(series, [
+    { club_name: 'Bravo FC', opponent_name: 'Alpha FC', club_score: 0, opponent_score: 2 },
+    { club_name: 'Alpha FC', opponent_name: 'Bravo FC', club_score: 1, opponent_score: 3 },
+    { club_name: 'Bravo FC', opponent_name: 'Alpha FC', club_score: 2, opponent_score: 1 },
+  ], findClub);
+  assert.equal(complete.status, 'complete');
+  assert.equal(complete.home_wins, 1);
+  assert.equal(complete.away_wins, 2);
+  assert.equal(complete.winner_club_id, 'b');
+});
+
+test('summarizeSeries gives a forfeited game to the side that showed up', () => {
+  const findClub = name => CLUBS.find(club => club.name === name) || null;
+  const series = { home_club_id: 'a', away_club_id: 'b', best_of: 3 };
+
+  const summary = summarizeSeries(series, [
+    { match_id: '1', club_name: 'Bravo FC', opponent_name: 'Alpha FC', club_score: 0, opponent_score: 0, forfeit: 'away' },
+  ], findClub);
+  assert.equal(summary.draws, 0);
+  assert.equal(summary.away_wins, 1);
+  assert.equal(summary.games[0].winner_club_id, 'b');
+});
@@ -1,8 +1,11 @@
 const { test, mock } = require('node:test');
 const assert = require('node:assert/strict');
+const { spawnSync } = require('node:child_process');
+const path = require('node:path');
 
 const ADMIN_PASSWORD = 'test-admin-password';
 process.env.ADMIN_PASSWORD = ADMIN_PASSWORD;
+process.env.ADMIN_PASSWORD_HEADER = 'on';
 
 const eaApi = require('../services/eaApi');
 const app = require('../server');
@@ -11,6 +14,25 @@ function adminHeaders(extraHeaders = {}) {
   return { ...extraHeaders, 'x-admin-password': ADMIN_PASSWORD };
 }
 
+// Loads server.js in a child process with extra environment variables.
+function loadServerWith(env) {
+  return spawnSync(process.execPath, ['-e', "require('./server')"], {
+    cwd: path.join(__dirname, '..'),
+    env: { ...process.env, ...env },
+    encoding: 'utf8',
+    timeout: 30_000,
+  });
+}
+
+// Stubs EA match lists in the shape the cache layer returns them.
+function stubClubMatches(fetchMatches) {
+  return mock.method(eaApi, 'loadClubMatches', async (...args) => ({
+    matches: await fetchMatches(...args),
+    stale: false,
+    ageSeconds: 0,
+  }));
+}
+
 async function withServer(fn) {
   const server = app.listen(0);
   try {
@@ -79,7 +101,7 @@ test('normalizes supplied Club Alucin DNF match using club score instead of play
 });
 
 test('GET /api/matches returns friendly matches for Bota FC', async () => {
-  const fetchStub = mock.method(eaApi, 'fetchFriendlyMatches', async clubId => {
+  const fetchStub = stubClubMatches(async clubId => {
     assert.equal(clubId, '57985');
     return [
       {
@@ -120,7 +142,7 @@ test('POST /api/sync-matches stores recent matches for all league clubs', async
   const db = require('../db');
   const fetchedClubIds = [];
   const insertedMatches = [];
-  const fetchStub = mock.method(eaApi, 'fetchFriendlyMatches', async clubId => {
+  const fetchStub = stubClubMatches(async clubId => {
     fetchedClubIds.push(clubId);
     return [
       {
@@ -146,14 +168,20 @@ test('POST /api/sync-matches stores recent matches for all league clubs', async
     });
     const body = await response.json();
     assert.equal(response.status, 200);
-    assert.deepEqual(body, { totalFetched: 6, inserted: 3, skipped: 3 });
+    assert.equal(body.status, 'succeeded');
+    assert.deepEqual(
+      { totalFetched: body.totalFetched, inserted: body.inserted, skipped: body.skipped, failed: body.failed },
+      { totalFetched: 6, inserted: 3, skipped: 3, failed: 0 }
+    );
+    assert.deepEqual(body.clubs.map(club => [club.clubId, club.status, club.fetched]),
+      app.LEAGUE_CLUBS.map(club => [club.id, 'succeeded', 1]));
   });
 
-  assert.deepEqual(fetchedClubIds, app.LEAGUE_CLUBS.map(club => club.id));
+  assert.deepEqual([...fetchedClubIds].sort(), app.LEAGUE_CLUBS.map(club => club.id).sort());
   assert.equal(ensureStub.mock.callCount(), 1);
   assert.equal(insertStub.mock.callCount(), 6);
-  assert.equal(insertedMatches[0].club.name, 'Bota FC');
-  assert.equal(insertedMatches[0].match.id, 'match-57985');
+  const botaInsert = insertedMatches.find(item => item.club.name === 'Bota FC');
+  assert.equal(botaInsert.match.id, 'match-57985');
 
   fetchStub.mock.restore();
   ensureStub.mock.restore();
@@ -269,18 +297,103 @@ test('GET /api/news returns public news without admin password', async () => {
   });
 });
 
+test('GET /api/news pages stored stories newest first', async () => {
+  const db = require('../db');
+  const newsStub = mock.method(db, 'getNews', async options => {
+    assert.deepEqual(options, { page: '2', pageSize: '1' });
+    return { items: [{ id: 4, category: 'Results', headline: 'Bota FC beat Versus One 2-0' }], page: 2, pageSize: 1, total: 3 };
+  });
+
+  await withServer(async port => {
+    const response = await fetch(`http://localhost:${port}/api/news?page=2&pageSize=1`);
+    const body = await response.json();
+    assert.equal(response.status, 200);
+    assert.equal(body.news[0].headline, 'Bota FC beat Versus One 2-0');
+    assert.equal(body.total, 3);
+    assert.equal(body.hasMore, true);
+  });
+
+  newsStub.mock.restore();
+});
+
+test('GET /api/news rejects an invalid page', async () => {
+  await withServer(async port => {
+    const response = await fetch(`http://localhost:${port}/api/news?page=0`);
+    const body = await response.json();
+    assert.equal(response.status, 400);
+    assert.match(body.details, /page must be a positive integer/);
+  });
+});
+
+test('GET /api/admin/news lists every post including scheduled and unpublished ones', async () => {
+  const db = require('../db');
+  const newsStub = mock.method(db, 'getNews', async options => {
+    assert.equal(options.includeUnpublished, true);
+    return { items: [{ id: 9, headline: 'Coming soon', status: 'scheduled' }], page: 1, pageSize: 10, total: 1 };
+  });
+
+  await withServer(async port => {
+    const unauthorized = await fetch(`http://localhost:${port}/api/admin/news`);
+    assert.equal(unauthorized.status, 401);
+
+    const response = await fetch(`http://localhost:${port}/api/admin/news`, { headers: adminHeaders() });
+    const body = await response.json();
+    assert.equal(response.status, 200);
+    assert.equal(body.news[0].status, 'scheduled');
+  });
+
+  assert.equal(newsStub.mock.callCount(), 1);
+  newsStub.mock.restore();
+});
+
+test('POST /api/admin/news validates posts and updates existing ones', async () => {
+  const db = require('../db');
+  const updateStub = mock.method(db, 'updateNewsPost', async (newsId, input) => (
+    newsId === '4' ? { id: 4, headline: 'Edited', pinned: input.pinned, status: 'published' } : null
+  ));
+
+  await withServer(async port => {
+    const invalid = await fetch(`http://localhost:${port}/api/admin/news`, {
+      method: 'POST',
+      headers: adminHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify({ category: 'League Office' }),
+    });
+    assert.equal(invalid.status, 400);
+    assert.match((await invalid.json()).details, /headline is required/);
+
+    const pinned = await fetch(`http://localhost:${port}/api/admin/news/4`, {
+      method: 'POST',
+      headers: adminHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify({ pinned: true }),
+    });
+    assert.equal(pinned.status, 200);
+    assert.equal((await pinned.json()).post.pinned, true);
+
+    const missing = await fetch(`http://localhost:${port}/api/admin/news/99`, {
+      method: 'POST',
+      headers: adminHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify({ published: false }),
+    });
+    assert.equal(missing.status, 404);
+  });
+
+  updateStub.mock.restore();
+});
+
 test('GET /api/db-matches returns saved Postgres matches', async () => {
   const db = require('../db');
   const getStub = mock.method(db, 'getSavedMatches', async () => [
     { match_id: 'newer', match_date: '2026-01-02T00:00:00.000Z' },
     { match_id: 'older', match_date: '2026-01-01T00:00:00.000Z' },
+    { match_id: '716874327810264', match_date: '2025-12-31T00:00:00.000Z' },
   ]);
 
   await withServer(async port => {
     const response = await fetch(`http://localhost:${port}/api/db-matches`);
     const body = await response.json();
     assert.equal(response.status, 200);
-    assert.deepEqual(body.matches.map(match => match.match_id), ['newer', 'older']);
+    assert.deepEqual(body.matches.map(match => match.match_id), ['newer', 'older', '716874327810264']);
+    assert.deepEqual(body.matches.map(match => match.manual), [true, true, false]);
   });
 
   assert.equal(getStub.mock.callCount(), 1);
@@ -420,10 +533,140 @@ test('calculateStandings canonicalizes team aliases before counting league match
   assert.equal(bota.pl, 0);
 });
 
+test('calculateStandings reads clubs and aliases from the supplied club registry', () => {
+  const clubs = [
+    ...app.LEAGUE_CLUBS,
+    { id: '777', name: 'Seventh FC', conference: 'east', eaClubId: '777', aliases: ['Seventh FC', 'Seventh'] },
+  ];
+  const standings = app.calculateStandings([
+    {
+      id: 1,
+      club_name: 'Seventh',
+      opponent_name: 'Bota FC',
+      club_score: 1,
+      opponent_score: 0,
+      match_date: '2026-01-01T00:00:00.000Z',
+      status: 'approved',
+      competition: 'league',
+    },
+  ], { clubs });
+
+  assert.equal(standings.east.length, 4);
+  assert.equal(standings.east[0].team, 'Seventh FC');
+  assert.equal(standings.east[0].pts, 3);
+  assert.equal(app.findLeagueClub(null, 'seventh', clubs).id, '777');
+  assert.equal(app.findLeagueClub('777', null), null);
+});
+
+test('calculateStandings applies configured tiebreakers using red cards from match data', () => {
+  const match = (clubName, opponentName, clubScore, opponentScore, players = {}) => ({
+    club_name: clubName,
+    opponent_name: opponentName,
+    club_score: clubScore,
+    opponent_score: opponentScore,
+    match_date: '2026-01-01T00:00:00.000Z',
+    status: 'approved',
+    competition: 'league',
+    raw_json: { players },
+  });
+  const matches = [
+    match('Bota FC', 'True Egoistas', 1, 0, { 57985: { 1: { redcards: '1' } } }),
+    match('Inferign United', 'True Egoistas', 1, 0),
+  ];
+
+  const standings = app.calculateStandings(matches, { tiebreakers: ['fewest_red_cards'] });
+  assert.deepEqual(standings.east.map(row => row.team), ['Inferign United', 'Bota FC', 'True Egoistas']);
+  assert.equal(standings.east[0].tiebreaker, 'fewest_red_cards');
+  assert.equal(standings.east[1].tiebreaker, 'points');
+  assert.equal(standings.east[2].tiebreaker, null);
+});
+
+test('GET /api/clubs returns the club registry from Postgres', async () => {
+  const db = require('../db');
+  const getStub = mock.method(db, 'getLeagueClubs', async () => app.LEAGUE_CLUBS);
+
+  await withServer(async port => {
+    const response = await fetch(`http://localhost:${port}/api/clubs`);
+    const body = await response.json();
+    assert.equal(response.status, 200);
+    assert.deepEqual(body.clubs.map(club => club.name), app.LEAGUE_CLUBS.map(club => club.name));
+    assert.equal(body.clubs.find(club => club.name === 'FC Wisconsin').aliases.includes('FC Wisconson'), true);
+  });
+
+  assert.equal(getStub.mock.callCount(), 1);
+  getStub.mock.restore();
+});
+
+test('POST /api/admin/clubs validates and creates a league club', async () => {
+  const db = require('../db');
+  const createStub = mock.method(db, 'createClub', async input => {
+    const club = db.normalizeClubInput(input);
+    return { ...club };
+  });
+  const getStub = mock.method(db, 'getLeagueClubs', async () => app.LEAGUE_CLUBS);
+
+  await withServer(async port => {
+    const created = await fetch(`http://localhost:${port}/api/admin/clubs`, {
+      method: 'POST',
+      headers: adminHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify({ name: 'Seventh FC', conference: 'West', eaClubId: '777', aliases: ['Seventh'] }),
+    });
+    const createdBody = await created.json();
+    assert.equal(created.status, 201);
+    assert.equal(createdBody.club.id, '777');
+    assert.equal(createdBody.club.conference, 'west');
+    assert.deepEqual(createdBody.club.aliases, ['Seventh FC', 'Seventh']);
+
+    const invalid = await fetch(`http://localhost:${port}/api/admin/clubs`, {
+      method: 'POST',
+      headers: adminHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify({ name: 'Nowhere FC', conference: 'north', eaClubId: '888' }),
+    });
+    assert.equal(invalid.status, 400);
+  });
+
+  assert.equal(createStub.mock.callCount(), 2);
+  createStub.mock.restore();
+  getStub.mock.restore();
+});
+
+test('PATCH /api/admin/clubs/:clubId updates a club and DELETE only deactivates it', async () => {
+  const db = require('../db');
+  const updateStub = mock.method(db, 'updateClub', async (clubId, input) => {
+    if (input.eaClubId === '1171188') {
+      throw Object.assign(new Error('duplicate key value violates unique constraint "clubs_ea_club_id_key"'), { code: '23505' });
+    }
+    return { id: clubId, name: input.name, active: true };
+  });
+  const deactivateStub = mock.method(db, 'deactivateClub', async clubId => ({ id: clubId, active: false }));
+  const getStub = mock.method(db, 'getLeagueClubs', async () => app.LEAGUE_CLUBS);
+
+  try {
+    await withServer(async port => {
+      const send = (method, body) => fetch(`http://localhost:${port}/api/admin/clubs/57985`, {
+        method,
+        headers: adminHeaders({ 'Content-Type': 'application/json' }),
+        body: body && JSON.stringify(body),
+      });
+
+      const updated = await send('PATCH', { name: 'Bota FC II' });
+      assert.equal(updated.status, 200);
+      assert.equal((await updated.json()).club.name, 'Bota FC II');
+      assert.equal((await send('PATCH', { eaClubId: '1171188' })).status, 409);
+
+      const deactivated = await send('DELETE');
+      assert.equal(deactivated.status, 200);
+      assert.equal((await deactivated.json()).club.active, false);
+    });
+  } finally {
+    [updateStub, deactivateStub, getStub].forEach(stub => stub.mock.restore());
+  }
+  assert.deepEqual(deactivateStub.mock.calls.map(call => call.arguments[0]), ['57985']);
+});
 
 test('GET /api/teams/:clubId/members returns normalized live roster data for a UPCL club', async () => {
   const db = require('../db');
-  const membersStub = mock.method(eaApi, 'fetchMembersStats', async clubId => {
+  const membersStub = mock.method(eaApi, 'loadMembersStats', async clubId => {
     assert.equal(clubId, '1171188');
     return {
       members: [{ name: 'Captain', gamesPlayed: 10, goals: 6, assists: 4, favoritePosition: 'CAM', proOverall: 90, proOverallStr: '90' }],
@@ -461,7 +704,7 @@ test('GET /api/teams/:clubId/members returns normalized live roster data for a U
 });
 
 test('GET /api/teams/:clubId/members rejects clubs outside UPCL', async () => {
-  const membersStub = mock.method(eaApi, 'fetchMembersStats', async () => {
+  const membersStub = mock.method(eaApi, 'loadMembersStats', async () => {
     throw new Error('should not fetch non-UPCL clubs');
   });
 
@@ -476,6 +719,352 @@ test('GET /api/teams/:clubId/members rejects clubs outside UPCL', async () => {
   membersStub.mock.restore();
 });
 
+test('GET /api/teams/:clubId combines EA club data with the league table and top scorers', async () => {
+  const db = require('../db');
+  const infoStub = mock.method(eaApi, 'loadClubInfo', async clubId => {
+    assert.equal(clubId, '1171188');
+    return {
+      info: {
+        clubId: '1171188',
+        name: 'True Egoistas',
+        stadium: 'Ego Arena',
+        crest: { assetId: '99160041', color: '#ffffff' },
+        kit: { kitId: '1', home: ['#000000'], away: [], third: [] },
+      },
+      stale: false,
+      ageSeconds: 4,
+    };
+  });
+  const overallStub = mock.method(eaApi, 'loadClubOverallStats', async () => ({
+    stats: { record: '40-10-5', wins: 40, losses: 10, ties: 5, division: { current: 2, best: 1 } },
+    stale: true,
+    ageSeconds: 90,
+  }));
+  const matchesStub = mock.method(db, 'getApprovedLeagueMatches', async () => [
+    {
+      source_club_id: '1171188',
+      club_name: 'True Egoistas',
+      opponent_name: 'Bota FC',
+      club_score: 3,
+      opponent_score: 2,
+      match_date: '2026-01-01T00:00:00.000Z',
+      status: 'approved',
+      competition: 'league',
+    },
+  ]);
+  const playersStub = mock.method(db, 'getPlayerStats', async () => [
+    {
+      player_name: 'Striker',
+      club_name: 'Bota FC',
+      goals: 9,
+      assists: 1,
+      matches_played: 4,
+      clubs: [
+        { club_id: '1171188', club_name: 'True Egoistas', goals: 2, assists: 0, matches_played: 1 },
+        { club_id: '57985', club_name: 'Bota FC', goals: 7, assists: 1, matches_played: 3 },
+      ],
+    },
+    { player_name: 'Captain', club_name: 'True Egoistas', goals: 3, assists: 2, matches_played: 1 },
+    { player_name: 'Keeper', club_name: 'True Egoistas', goals: 0, assists: 0, matches_played: 1 },
+  ]);
+
+  try {
+    app.rateLimits.eaRoutes.clear();
+    await withServer(async port => {
+      const response = await fetch(`http://localhost:${port}/api/teams/1171188`);
+      const body = await response.json();
+      assert.equal(response.status, 200);
+      assert.equal(body.team.name, 'True Egoistas');
+      assert.equal(body.team.record, '1-0-0');
+      assert.equal(body.team.crest.assetId, '99160041');
+      assert.equal(body.team.crest.url, '/assets/logos/league-crest.png');
+      assert.equal(body.team.stadium, 'Ego Arena');
+      assert.deepEqual(body.team.kit.home, ['#000000']);
+      assert.equal(body.standing.rank, 1);
+      assert.equal(body.standing.points, 3);
+      assert.deepEqual(body.form, ['W']);
+      assert.equal(body.eaRecord.record, '40-10-5');
+      assert.deepEqual(body.division, { current: 2, best: 1 });
+      assert.deepEqual(body.topScorers, [
+        { name: 'Captain', goals: 3, assists: 2, matchesPlayed: 1 },
+        { name: 'Striker', goals: 2, assists: 0, matchesPlayed: 1 },
+      ]);
+      assert.deepEqual(body.unavailable, []);
+      assert.equal(body.stale, true);
+      assert.equal(body.ageSeconds, 90);
+
+      overallStub.mock.mockImplementation(async () => {
+        throw new Error('EA API returned HTTP 503');
+      });
+      const degraded = await fetch(`http://localhost:${port}/api/teams/1171188`);
+      const degradedBody = await degraded.json();
+      assert.equal(degraded.status, 200);
+      assert.equal(degradedBody.eaRecord, null);
+      assert.equal(degradedBody.team.record, '1-0-0');
+      assert.deepEqual(degradedBody.unavailable, [{ source: 'ea-overall-stats', error: 'EA API returned HTTP 503' }]);
+
+      assert.equal((await fetch(`http://localhost:${port}/api/teams/999999`)).status, 404);
+    });
+  } finally {
+    app.rateLimits.eaRoutes.clear();
+    infoStub.mock.restore();
+    overallStub.mock.restore();
+    matchesStub.mock.restore();
+    playersStub.mock.restore();
+  }
+});
+
+test('POST /api/admin/member-snapshots records each club roster with resolved EA player ids', async () => {
+  const db = require('../db');
+  const recorded = [];
+  const membersStub = mock.method(eaApi, 'loadMembersStats', async (clubId, options) => {
+    assert.deepEqual(options, { allowStale: false });
+    if (clubId === '129307') throw new Error('EA API returned HTTP 503');
+    return { members: [{ id: 'Captain-0', name: 'Captain', proOverall: 88, ratingAve: 7.9 }], positionCount: {} };
+  });
+  const idsStub = mock.method(db, 'getEaPlayerIds', async (eaClubId, names) => {
+    assert.deepEqual(names, ['Captain']);
+    return { captain: `${eaClubId}01` };
+  });
+  const recordStub = mock.method(db, 'recordMemberStatSnapshots', async snapshot => {
+    recorded.push(snapshot);
+    return { recorded: 1, unchanged: 0 };
+  });
+
+  try {
+    app.rateLimits.sync.clear();
+    await withServer(async port => {
+      const response = await fetch(`http://localhost:${port}/api/admin/member-snapshots`, {
+        method: 'POST',
+        headers: adminHeaders(),
+      });
+      const body = await response.json();
+      assert.equal(response.status, 200);
+      assert.equal(body.status, 'partial');
+      assert.equal(body.clubs.find(club => club.clubId === '129307').error, 'EA API returned HTTP 503');
+      assert.equal(body.clubs.filter(club => club.status === 'succeeded').length, app.LEAGUE_CLUBS.length - 1);
+    });
+
+    const bota = recorded.find(snapshot => snapshot.clubId === '57985');
+    assert.equal(bota.members[0].eaPlayerId, '5798501');
+    assert.equal(bota.members[0].proOverall, 88);
+  } finally {
+    app.rateLimits.sync.clear();
+    membersStub.mock.restore();
+    idsStub.mock.restore();
+    recordStub.mock.restore();
+  }
+});
+
+test('GET /api/players/:eaPlayerId/progression returns the snapshot series oldest first', async () => {
+  const db = require('../db');
+  const progressionStub = mock.method(db, 'getMemberStatProgression', async (eaPlayerId, options) => {
+    assert.equal(eaPlayerId, '1004100200301');
+    assert.deepEqual(options, { seasonId: undefined });
+    return [
+      { club_id: '57985', player_name: 'Striker', captured_at: '2026-09-01T00:00:00.000Z', games_played: 10, goals: 6, assists: 1, pro_overall: 84, rating_ave: '7.10', win_rate: '60.00', man_of_the_match: 1 },
+      { club_id: '57985', player_name: 'Striker', captured_at: '2026-09-08T00:00:00.000Z', games_played: 14, goals: 11, assists: 2, pro_overall: 87, rating_ave: '7.45', win_rate: '64.30', man_of_the_match: 3 },
+    ];
+  });
+
+  try {
+    await withServer(async port => {
+      const response = await fetch(`http://localhost:${port}/api/players/1004100200301/progression`);
+      const body = await response.json();
+      assert.equal(response.status, 200);
+      assert.equal(body.playerName, 'Striker');
+      assert.deepEqual(body.points.map(point => [point.proOverall, point.ratingAve]), [[84, 7.1], [87, 7.45]]);
+      assert.deepEqual(body.change, { proOverall: 3, ratingAve: 0.35, goals: 5, gamesPlayed: 4 });
+
+      const invalid = await fetch(`http://localhost:${port}/api/players/not-a-player/progression`);
+      assert.equal(invalid.status, 400);
+    });
+  } finally {
+    progressionStub.mock.restore();
+  }
+  assert.equal(progressionStub.mock.callCount(), 1);
+});
+
+test('GET /api/players/:playerId builds a profile from the match log', async () => {
+  const db = require('../db');
+  const game = (matchId, overrides) => ({
+    match_id: matchId,
+    ea_player_id: '1004',
+    player_name: 'BotaNine',
+    club_id: '57985',
+    club_name: 'Bota FC',
+    goals: 0,
+    assists: 0,
+    passes_attempted: 10,
+    passes_made: 8,
+    tackles_attempted: 4,
+    tackles_made: 2,
+    man_of_the_match: false,
+    rating: '7.00',
+    position: 'forward',
+    home_club_name: 'Bota FC',
+    away_club_name: 'True Egoistas',
+    home_score: 2,
+    away_score: 1,
+    competition: 'league',
+    matchday: 1,
+    season_id: 3,
+    forfeit: null,
+    played_at: '2026-03-01T20:00:00.000Z',
+    ...overrides,
+  });
+  const identityStub = mock.method(db, 'getPlayerIdentity', async id => (id === '4' ? {
+    id: 4,
+    player_name: 'BotaNine',
+    accounts: [{ ea_player_id: '1004', player_name: 'BotaNine', club_id: '57985', club_name: 'Bota FC', position: 'forward', avatar_url: null, active: true }],
+    aliases: [
+      { alias: 'BotaNine', first_seen_at: '2026-03-03T20:00:00.000Z', last_seen_at: '2026-03-03T20:00:00.000Z' },
+      { alias: 'OldNine', first_seen_at: '2026-03-01T20:00:00.000Z', last_seen_at: '2026-03-02T20:00:00.000Z' },
+    ],
+    stints: [{ club_id: '57985', club_name: 'Bota FC', started_at: '2026-03-01T20:00:00.000Z', ended_at: '2026-03-03T20:00:00.000Z', matches: 3 }],
+  } : null));
+  const logStub = mock.method(db, 'getPlayerMatchLog', async () => [
+    // Corrected with swapSides: the match's own club is now the away side.
+    game('4', {
+      home_club_name: 'True Egoistas',
+      away_club_name: 'Bota FC',
+      home_score: 1,
+      away_score: 2,
+      rating: '6.50',
+      played_at: '2026-03-04T20:00:00.000Z',
+    }),
+    game('3', { club_id: null, goals: 1, assists: 1, rating: '8.20', played_at: '2026-03-03T20:00:00.000Z' }),
+    game('2', {
+      home_club_name: 'Rivals FC',
+      away_club_name: 'Bota FC',
+      home_score: 3,
+      away_score: 0,
+      competition: 'friendly',
+      matchday: null,
+      rating: null,
+      played_at: '2026-03-02T20:00:00.000Z',
+    }),
+    game('1', { goals: 2, man_of_the_match: true, rating: '9.00' }),
+  ]);
+
+  try {
+    await withServer(async port => {
+      const response = await fetch(`http://localhost:${port}/api/players/4`);
+      const body = await response.json();
+
+      assert.equal(response.status, 200);
+      assert.equal(body.player.name, 'BotaNine');
+      assert.deepEqual(body.player.club, { id: '57985', name: 'Bota FC' });
+      assert.equal(body.player.position, 'forward');
+      assert.deepEqual(body.player.aliases.map(alias => alias.alias), ['BotaNine', 'OldNine']);
+
+      const swapped = body.matches.find(match => match.matchId === '4');
+      assert.deepEqual(
+        [swapped.venue, swapped.opponent, swapped.score, swapped.result],
+        ['away', 'True Egoistas', { for: 2, against: 1 }, 'W'],
+      );
+      assert.equal(body.matches.find(match => match.matchId === '3').venue, 'home');
+
+      assert.deepEqual(body.matches.find(match => match.matchId === '2'), {
+        matchId: '2',
+        playedAt: '2026-03-02T20:00:00.000Z',
+        seasonId: 3,
+        competition: 'friendly',
+        matchday: null,
+        club: { id: '57985', name: 'Bota FC' },
+        opponent: 'Rivals FC',
+        venue: 'away',
+        score: { for: 0, against: 3 },
+        result: 'L',
+        forfeit: false,
+        playerName: 'BotaNine',
+        position: 'forward',
+        goals: 0,
+        assists: 0,
+        passesAttempted: 10,
+        passesMade: 8,
+        tacklesAttempted: 4,
+        tacklesMade: 2,
+        manOfTheMatch: false,
+        rating: null,
+      });
+
+      assert.equal(body.totals.matchesPlayed, 4);
+      assert.deepEqual([body.totals.wins, body.totals.draws, body.totals.losses], [3, 0, 1]);
+      assert.deepEqual(body.totals.perGame, { goals: 0.75, assists: 0.25, passesMade: 8, tacklesMade: 2 });
+      assert.equal(body.totals.passAccuracy, 80);
+      assert.equal(body.totals.tackleSuccess, 50);
+      assert.equal(body.totals.averageRating, 7.9);
+
+      assert.equal(body.splits.home.matchesPlayed, 2);
+      assert.equal(body.splits.home.goals, 3);
+      assert.equal(body.splits.away.matchesPlayed, 2);
+      assert.deepEqual([body.splits.away.wins, body.splits.away.losses], [1, 1]);
+      assert.equal(body.splits.away.averageRating, 6.5);
+
+      assert.deepEqual(body.bestPerformances.map(item => item.matchId), ['1', '3', '4']);
+
+      assert.equal((await fetch(`http://localhost:${port}/api/players/99`)).status, 404);
+      assert.equal((await fetch(`http://localhost:${port}/api/players/abc`)).status, 400);
+    });
+  } finally {
+    identityStub.mock.restore();
+    logStub.mock.restore();
+  }
+  assert.equal(logStub.mock.calls[0].arguments[1].seasonId, undefined);
+});
+
+test('admin player merge and split routes return the updated identities', async () => {
+  const db = require('../db');
+  const identity = id => ({ id, player_name: `Player ${id}`, accounts: [], aliases: [], stints: [] });
+  const mergeStub = mock.method(db, 'mergePlayerIdentities', async input => {
+    assert.deepEqual(input, { targetId: 4, sourceIds: [9], displayName: 'Bota Nine' });
+    return identity(4);
+  });
+  const splitStub = mock.method(db, 'splitPlayerIdentity', async (playerId, input) => {
+    assert.equal(playerId, '4');
+    assert.deepEqual(input, { eaPlayerIds: ['1004'] });
+    return { source: identity(4), split: identity(12) };
+  });
+
+  try {
+    await withServer(async port => {
+      const merged = await fetch(`http://localhost:${port}/api/admin/players/merge`, {
+        method: 'POST',
+        headers: adminHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ targetId: 4, sourceIds: [9], displayName: 'Bota Nine' }),
+      });
+      assert.equal(merged.status, 200);
+      assert.equal((await merged.json()).player.id, 4);
+
+      const split = await fetch(`http://localhost:${port}/api/admin/players/4/split`, {
+        method: 'POST',
+        headers: adminHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ eaPlayerIds: ['1004'] }),
+      });
+      const splitBody = await split.json();
+      assert.equal(split.status, 200);
+      assert.deepEqual([splitBody.player.id, splitBody.split.id], [4, 12]);
+
+      mergeStub.mock.restore();
+      const invalid = await fetch(`http://localhost:${port}/api/admin/players/merge`, {
+        method: 'POST',
+        headers: adminHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ targetId: 4, sourceIds: [4] }),
+      });
+      assert.equal(invalid.status, 400);
+      assert.match((await invalid.json()).details, /must not include targetId/);
+
+      const anonymous = await fetch(`http://localhost:${port}/api/admin/players/4/split`, { method: 'POST' });
+      assert.equal(anonymous.status, 401);
+    });
+  } finally {
+    mergeStub.mock.restore();
+    splitStub.mock.restore();
+  }
+  assert.equal(splitStub.mock.callCount(), 1);
+});
+
 test('GET /api/standings returns calculated standings from saved Postgres matches', async () => {
   const db = require('../db');
   const getStub = mock.method(db, 'getApprovedLeagueMatches', async () => [
@@ -507,102 +1096,1155 @@ test('GET /api/standings returns calculated standings from saved Postgres matche
   getStub.mock.restore();
 });
 
-test('GET /api/pending-matches returns synced matches awaiting approval', async () => {
+test('GET /api/standings reports rank movement since the previous standings snapshot', async () => {
   const db = require('../db');
-  const getStub = mock.method(db, 'getPendingMatches', async () => [
-    { match_id: 'pending-1', status: 'pending', competition: 'friendly' },
-  ]);
+  const matches = [
+    { club_name: 'Bota FC', opponent_name: 'Inferign United', club_score: 2, opponent_score: 1, status: 'approved', competition: 'league' },
+  ];
+  const matchesStub = mock.method(db, 'getApprovedLeagueMatches', async () => matches);
+  const snapshotsStub = mock.method(db, 'getStandingsSnapshots', async options => {
+    assert.deepEqual(options, { seasonId: undefined, perMatchday: false });
+    return [
+      { id: 1, standings: { east: [{ id: '6297844', seed: 1 }, { id: '57985', seed: 2 }, { id: '1171188', seed: 3 }], west: [] } },
+      { id: 2, standings: app.calculateStandings(matches) },
+    ];
+  });
 
   await withServer(async port => {
-    const response = await fetch(`http://localhost:${port}/api/pending-matches`, { headers: adminHeaders() });
+    const response = await fetch(`http://localhost:${port}/api/standings`);
     const body = await response.json();
     assert.equal(response.status, 200);
-    assert.deepEqual(body.matches.map(match => match.match_id), ['pending-1']);
+    assert.deepEqual(body.east.map(row => [row.team, row.previousRank, row.rankDelta]), [
+      ['Bota FC', 2, 1],
+      ['True Egoistas', 3, 1],
+      ['Inferign United', 1, -2],
+    ]);
+    assert.equal(body.west[0].previousRank, null);
   });
 
-  assert.equal(getStub.mock.callCount(), 1);
-  getStub.mock.restore();
+  matchesStub.mock.restore();
+  snapshotsStub.mock.restore();
 });
 
-test('POST /api/matches/:matchId/approve approves a league match with optional matchday', async () => {
+test('GET /api/standings/history returns the recorded snapshots for a season', async () => {
   const db = require('../db');
-  const approveStub = mock.method(db, 'approveMatch', async (matchId, options) => {
-    assert.equal(matchId, 'match-123');
-    assert.deepEqual(options, { competition: 'league', matchday: 2, notes: undefined });
-    return { match_id: matchId, status: 'approved', competition: 'league', matchday: 2 };
+  const seasonStub = mock.method(db, 'getSeason', async () => ({ id: 3, name: 'Season 3', status: 'active' }));
+  const snapshotsStub = mock.method(db, 'getStandingsSnapshots', async options => {
+    assert.deepEqual(options, { seasonId: 3, perMatchday: false });
+    return [{ id: 7, season_id: 3, match_id: 'match-1', matchday: 1, standings: { east: [], west: [] } }];
   });
 
   await withServer(async port => {
-    const response = await fetch(`http://localhost:${port}/api/matches/match-123/approve`, {
-      method: 'POST',
-      headers: adminHeaders({ 'Content-Type': 'application/json' }),
-      body: JSON.stringify({ competition: 'league', matchday: 2 }),
-    });
+    const response = await fetch(`http://localhost:${port}/api/standings/history?season=3`);
     const body = await response.json();
     assert.equal(response.status, 200);
-    assert.equal(body.match.status, 'approved');
-    assert.equal(body.match.competition, 'league');
+    assert.equal(body.mode, 'approval');
+    assert.equal(body.snapshots[0].match_id, 'match-1');
+    assert.equal(body.season.name, 'Season 3');
   });
 
-  assert.equal(approveStub.mock.callCount(), 1);
-  approveStub.mock.restore();
+  seasonStub.mock.restore();
+  snapshotsStub.mock.restore();
 });
 
-test('POST /api/matches/:matchId/friendly marks a match as friendly', async () => {
+test('GET /api/standings?season= serves the frozen table for a closed season', async () => {
   const db = require('../db');
-  const approveStub = mock.method(db, 'approveMatch', async (matchId, options) => {
-    assert.equal(matchId, 'match-789');
-    assert.deepEqual(options, { competition: 'friendly', matchday: undefined, notes: undefined });
-    return { match_id: matchId, status: 'approved', competition: 'friendly' };
+  const finalStandings = { east: [{ seed: 1, team: 'Bota FC', pts: 12 }], west: [{ seed: 1, team: 'Versus One', pts: 9 }] };
+  const seasonStub = mock.method(db, 'getSeason', async seasonId => {
+    assert.equal(seasonId, '1');
+    return { id: 1, name: 'Season 1', status: 'closed', final_standings: finalStandings, final_player_stats: [] };
+  });
+  const matchesStub = mock.method(db, 'getApprovedLeagueMatches', async () => {
+    throw new Error('closed seasons should not be recalculated');
   });
 
   await withServer(async port => {
-    const response = await fetch(`http://localhost:${port}/api/matches/match-789/friendly`, {
-      method: 'POST',
-      headers: adminHeaders({ 'Content-Type': 'application/json' }),
-      body: JSON.stringify({}),
-    });
+    const response = await fetch(`http://localhost:${port}/api/standings?season=1`);
     const body = await response.json();
     assert.equal(response.status, 200);
-    assert.equal(body.match.status, 'approved');
-    assert.equal(body.match.competition, 'friendly');
+    assert.deepEqual(body.east, [{ ...finalStandings.east[0], previousRank: null, rankDelta: null }]);
+    assert.equal(body.season.name, 'Season 1');
+    assert.equal(body.season.status, 'closed');
   });
 
-  assert.equal(approveStub.mock.callCount(), 1);
-  approveStub.mock.restore();
+  assert.equal(matchesStub.mock.callCount(), 0);
+  seasonStub.mock.restore();
+  matchesStub.mock.restore();
 });
 
-test('POST /api/matches/:matchId/reject marks a match rejected', async () => {
+test('GET /api/playoffs seeds the bracket from standings and advances playoff winners', async () => {
   const db = require('../db');
-  const rejectStub = mock.method(db, 'rejectMatch', async matchId => {
-    assert.equal(matchId, 'match-456');
-    return { match_id: matchId, status: 'rejected', competition: 'friendly' };
+  const leagueStub = mock.method(db, 'getApprovedLeagueMatches', async () => [
+    { club_name: 'Bota FC', opponent_name: 'True Egoistas', club_score: 2, opponent_score: 0, status: 'approved', competition: 'league' },
+    { club_name: 'Inferign United', opponent_name: 'True Egoistas', club_score: 1, opponent_score: 0, status: 'approved', competition: 'league' },
+  ]);
+  const playoffStub = mock.method(db, 'getApprovedPlayoffMatches', async () => [
+    { club_name: 'True Egoistas', opponent_name: 'Inferign Utd', club_score: 0, opponent_score: 1, match_date: '2026-05-01T20:00:00.000Z' },
+    { club_name: 'Inferign United', opponent_name: 'True Egoistas', club_score: 2, opponent_score: 1, match_date: '2026-05-02T20:00:00.000Z' },
+  ]);
+
+  await withServer(async port => {
+    const response = await fetch(`http://localhost:${port}/api/playoffs`);
+    const body = await response.json();
+    assert.equal(response.status, 200);
+    assert.deepEqual(body.format, { cutoff: 3, byes: 1, bestOf: 3, finalsBestOf: 3 });
+    assert.equal(body.conferences.east.playIn[0].home.club.name, 'Inferign United');
+    assert.equal(body.conferences.east.playIn[0].status, 'complete');
+    assert.equal(body.conferences.east.final.home.club.name, 'Bota FC');
+    assert.equal(body.conferences.east.final.away.club.name, 'Inferign United');
+    assert.equal(body.finals.status, 'pending');
   });
 
+  leagueStub.mock.restore();
+  playoffStub.mock.restore();
+});
+
+test('GET /api/player-stats rejects an invalid season parameter', async () => {
   await withServer(async port => {
-    const response = await fetch(`http://localhost:${port}/api/matches/match-456/reject`, {
+    const response = await fetch(`http://localhost:${port}/api/player-stats?season=last-year`);
+    const body = await response.json();
+    assert.equal(response.status, 400);
+    assert.deepEqual(body.players, []);
+  });
+});
+
+test('POST /api/admin/seasons/:seasonId/close freezes the final table and leaders', async () => {
+  const db = require('../db');
+  const seasonStub = mock.method(db, 'getSeason', async () => ({ id: 2, name: 'Season 2', status: 'active' }));
+  const matchesStub = mock.method(db, 'getApprovedLeagueMatches', async options => {
+    assert.deepEqual(options, { seasonId: 2 });
+    return [{
+      club_name: 'Versus One',
+      opponent_name: 'FC Sutton St',
+      club_score: 2,
+      opponent_score: 1,
+      status: 'approved',
+      competition: 'league',
+    }];
+  });
+  const playersStub = mock.method(db, 'getPlayerStats', async options => {
+    assert.deepEqual(options, { seasonId: 2 });
+    return [{ player_name: 'Striker One', goals: 2 }];
+  });
+  const closeStub = mock.method(db, 'closeSeason', async (seasonId, archive) => ({
+    id: seasonId,
+    name: 'Season 2',
+    status: 'closed',
+    final_standings: archive.standings,
+    final_player_stats: archive.playerStats,
+  }));
+
+  await withServer(async port => {
+    const response = await fetch(`http://localhost:${port}/api/admin/seasons/2/close`, {
       method: 'POST',
       headers: adminHeaders(),
     });
     const body = await response.json();
     assert.equal(response.status, 200);
-    assert.equal(body.match.status, 'rejected');
+    assert.equal(body.season.status, 'closed');
+    assert.equal(body.standings.west[0].team, 'Versus One');
+    assert.equal(body.standings.west[0].pts, 3);
+    assert.deepEqual(body.players, [{ player_name: 'Striker One', goals: 2 }]);
   });
 
-  assert.equal(rejectStub.mock.callCount(), 1);
-  rejectStub.mock.restore();
+  assert.equal(closeStub.mock.callCount(), 1);
+  seasonStub.mock.restore();
+  matchesStub.mock.restore();
+  playersStub.mock.restore();
+  closeStub.mock.restore();
 });
 
-test('GET /api/player-stats returns approved league player stat totals', async () => {
+test('GET /api/schedule returns filtered series with status derived from approved games', async () => {
   const db = require('../db');
-  const getStub = mock.method(db, 'getPlayerStats', async () => [
-    {
-      player_name: 'Striker One',
-      club_name: 'Bota FC',
-      matches_played: 2,
-      goals: 4,
-      assists: 1,
-      passes_attempted: 20,
+  const seriesStub = mock.method(db, 'getSeries', async options => {
+    assert.deepEqual(options, { seasonId: undefined, week: '1', conference: 'east' });
+    return [
+      { id: 1, series_number: 1, week: 1, conference: 'east', home_club_id: '57985', away_club_id: '6297844', best_of: 3, scheduled_date: '2026-03-04' },
+      { id: 2, series_number: 3, week: 1, conference: 'east', home_club_id: '1171188', away_club_id: '57985', best_of: 3, scheduled_date: '2026-03-06' },
+    ];
+  });
+  const gamesStub = mock.method(db, 'getSeriesGames', async options => {
+    assert.deepEqual(options, { seriesIds: [1, 2] });
+    return [
+      { series_id: '1', club_name: 'Inferign Utd', opponent_name: 'Bota FC', club_score: 1, opponent_score: 2 },
+      { series_id: '1', club_name: 'Bota FC', opponent_name: 'Inferign United', club_score: 3, opponent_score: 0 },
+    ];
+  });
+
+  await withServer(async port => {
+    const response = await fetch(`http://localhost:${port}/api/schedule?week=1&conference=east`);
+    const body = await response.json();
+    assert.equal(response.status, 200);
+    assert.equal(body.series.length, 2);
+    assert.equal(body.series[0].home.name, 'Bota FC');
+    assert.equal(body.series[0].status, 'complete');
+    assert.equal(body.series[0].home_wins, 2);
+    assert.equal(body.series[0].winner.name, 'Bota FC');
+    assert.equal(body.series[1].status, 'scheduled');
+  });
+
+  seriesStub.mock.restore();
+  gamesStub.mock.restore();
+});
+
+test('GET /api/schedule rejects an unknown conference filter', async () => {
+  await withServer(async port => {
+    const response = await fetch(`http://localhost:${port}/api/schedule?conference=north`);
+    const body = await response.json();
+    assert.equal(response.status, 400);
+    assert.deepEqual(body.series, []);
+  });
+});
+
+test('POST /api/matches/:matchId/approve links league games to the next open series', async () => {
+  const db = require('../db');
+  const approveStub = mock.method(db, 'approveMatch', async matchId => ({
+    match_id: matchId,
+    status: 'approved',
+    competition: 'league',
+    season_id: 1,
+    series_id: null,
+    club_name: 'Versus One',
+    opponent_name: 'FC Wisconson',
+  }));
+  const seriesStub = mock.method(db, 'getSeries', async options => {
+    assert.deepEqual(options, { seasonId: 1, clubIds: ['4671025', '654142'] });
+    return [
+      { id: 4, week: 1, home_club_id: '4671025', away_club_id: '654142', best_of: 3 },
+      { id: 9, week: 4, home_club_id: '654142', away_club_id: '4671025', best_of: 3 },
+    ];
+  });
+  const gamesStub = mock.method(db, 'getSeriesGames', async () => [
+    { series_id: '4', club_name: 'Versus One', opponent_name: 'FC Wisconsin', club_score: 2, opponent_score: 0 },
+    { series_id: '4', club_name: 'Versus One', opponent_name: 'FC Wisconsin', club_score: 1, opponent_score: 0 },
+  ]);
+  const assignStub = mock.method(db, 'assignMatchSeries', async (matchId, seriesId) => ({
+    match_id: matchId,
+    status: 'approved',
+    competition: 'league',
+    series_id: String(seriesId),
+  }));
+
+  await withServer(async port => {
+    const response = await fetch(`http://localhost:${port}/api/matches/match-555/approve`, {
+      method: 'POST',
+      headers: adminHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify({ competition: 'league' }),
+    });
+    const body = await response.json();
+    assert.equal(response.status, 200);
+    assert.equal(body.match.series_id, '9');
+  });
+
+  assert.equal(assignStub.mock.callCount(), 1);
+  approveStub.mock.restore();
+  seriesStub.mock.restore();
+  gamesStub.mock.restore();
+  assignStub.mock.restore();
+});
+
+test('POST /api/matches/:matchId/approve rejects a series between other clubs', async () => {
+  const db = require('../db');
+  const matchStub = mock.method(db, 'getMatch', async matchId => ({
+    match_id: matchId,
+    status: 'pending',
+    club_name: 'Versus One',
+    opponent_name: 'FC Wisconsin',
+  }));
+  const seriesStub = mock.method(db, 'getSeriesById', async () => (
+    { id: 2, home_club_id: '1171188', away_club_id: '57985', best_of: 3 }
+  ));
+  const approveStub = mock.method(db, 'approveMatch', async () => {
+    throw new Error('approveMatch should not be called');
+  });
+
+  await withServer(async port => {
+    const response = await fetch(`http://localhost:${port}/api/matches/match-556/approve`, {
+      method: 'POST',
+      headers: adminHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify({ competition: 'league', seriesId: 2 }),
+    });
+    const body = await response.json();
+    assert.equal(response.status, 400);
+    assert.match(body.details, /series is not between/);
+  });
+
+  assert.equal(approveStub.mock.callCount(), 0);
+  matchStub.mock.restore();
+  seriesStub.mock.restore();
+  approveStub.mock.restore();
+});
+
+test('POST /api/matches/:matchId/approve returns 404 for a missing series and 400 for an invalid id', async () => {
+  const db = require('../db');
+  const matchStub = mock.method(db, 'getMatch', async matchId => ({
+    match_id: matchId,
+    status: 'pending',
+    club_name: 'Versus One',
+    opponent_name: 'FC Wisconsin',
+  }));
+  const seriesStub = mock.method(db, 'getSeriesById', async seriesId => {
+    db.normalizeSeriesId(seriesId);
+    return null;
+  });
+  const approveStub = mock.method(db, 'approveMatch', async () => {
+    throw new Error('approveMatch should not be called');
+  });
+
+  try {
+    await withServer(async port => {
+      const approve = seriesId => fetch(`http://localhost:${port}/api/matches/match-556/approve`, {
+        method: 'POST',
+        headers: adminHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ competition: 'league', seriesId }),
+      });
+
+      const missing = await approve(99);
+      assert.equal(missing.status, 404);
+      assert.match((await missing.json()).details, /series 99 not found/);
+      assert.equal((await approve('abc')).status, 400);
+    });
+  } finally {
+    matchStub.mock.restore();
+    seriesStub.mock.restore();
+    approveStub.mock.restore();
+  }
+  assert.equal(approveStub.mock.callCount(), 0);
+});
+
+test('GET /api/series/:seriesId returns games and the running series score', async () => {
+  const db = require('../db');
+  const seriesStub = mock.method(db, 'getSeriesById', async seriesId => (
+    seriesId === 4 ? { id: 4, week: 1, home_club_id: '4671025', away_club_id: '654142', best_of: 3 } : null
+  ));
+  const gamesStub = mock.method(db, 'getSeriesGames', async options => {
+    assert.deepEqual(options, { seriesIds: [4] });
+    return [
+      { series_id: '4', match_id: 'g1', club_name: 'FC Wisconsin', opponent_name: 'Versus One', club_score: 2, opponent_score: 1 },
+      { series_id: '4', match_id: 'g2', club_name: 'Versus One', opponent_name: 'FC Wisconsin', club_score: 2, opponent_score: 2 },
+    ];
+  });
+
+  await withServer(async port => {
+    const response = await fetch(`http://localhost:${port}/api/series/4`);
+    const body = await response.json();
+    assert.equal(response.status, 200);
+    assert.equal(body.series.status, 'in_progress');
+    assert.equal(body.series.away_wins, 1);
+    assert.equal(body.series.draws, 1);
+    assert.equal(body.series.home_goals, 3);
+    assert.equal(body.series.away_goals, 4);
+    assert.deepEqual(body.series.games.map(game => game.winner_club_id), ['654142', null]);
+
+    const missing = await fetch(`http://localhost:${port}/api/series/99`);
+    assert.equal(missing.status, 404);
+    const invalid = await fetch(`http://localhost:${port}/api/series/abc`);
+    assert.equal(invalid.status, 400);
+
+    seriesStub.mock.mockImplementation(async () => {
+      throw new Error('relation "series" does not exist');
+    });
+    assert.equal((await fetch(`http://localhost:${port}/api/series/4`)).status, 500);
+  });
+
+  seriesStub.mock.restore();
+  gamesStub.mock.restore();
+});
+
+test('calculateStandings awards points per completed series in series mode', () => {
+  const game = (seriesId, clubName, opponentName, clubScore, opponentScore, day) => ({
+    series_id: seriesId,
+    club_name: clubName,
+    opponent_name: opponentName,
+    club_score: clubScore,
+    opponent_score: opponentScore,
+    match_date: `2026-03-0${day}T20:00:00.000Z`,
+    status: 'approved',
+    competition: 'league',
+  });
+  const matches = [
+    game('1', 'Bota FC', 'Inferign United', 2, 0, 1),
+    game('1', 'Inferign United', 'Bota FC', 1, 0, 2),
+    game('1', 'Bota FC', 'Inferign United', 3, 1, 3),
+    game('2', 'True Egoistas', 'Bota FC', 1, 0, 4),
+  ];
+  const series = [
+    { id: 1, home_club_id: '57985', away_club_id: '6297844', best_of: 3 },
+    { id: 2, home_club_id: '1171188', away_club_id: '57985', best_of: 3 },
+  ];
+
+  const standings = app.calculateStandings(matches, { pointsMode: 'series', series });
+  const bota = standings.east.find(row => row.team === 'Bota FC');
+  const inferign = standings.east.find(row => row.team === 'Inferign United');
+  const egoistas = standings.east.find(row => row.team === 'True Egoistas');
+
+  assert.deepEqual([bota.pl, bota.w, bota.pts, bota.gf, bota.ga], [1, 1, 3, 5, 2]);
+  assert.deepEqual([inferign.pl, inferign.l, inferign.pts], [1, 1, 0]);
+  assert.equal(egoistas.pl, 0);
+  assert.deepEqual(bota.form, ['W']);
+
+  const perGame = app.calculateStandings(matches, { pointsMode: 'game' });
+  assert.equal(perGame.east.find(row => row.team === 'Bota FC').pl, 4);
+});
+
+test('POST /api/matches/:matchId/approve records a standings snapshot and publishes news for league games', async () => {
+  const db = require('../db');
+  const approvedMatch = {
+    match_id: 'match-557',
+    status: 'approved',
+    competition: 'league',
+    matchday: 2,
+    season_id: 4,
+    series_id: null,
+    club_name: 'Bota FC',
+    opponent_name: 'True Egoistas',
+    club_score: 1,
+    opponent_score: 0,
+  };
+  const approveStub = mock.method(db, 'approveMatch', async () => approvedMatch);
+  const seriesStub = mock.method(db, 'getSeries', async () => []);
+  const matchesStub = mock.method(db, 'getApprovedLeagueMatches', async options => {
+    assert.deepEqual(options, { seasonId: 4 });
+    return [approvedMatch];
+  });
+  const snapshotsStub = mock.method(db, 'getStandingsSnapshots', async () => []);
+  const snapshotStub = mock.method(db, 'recordStandingsSnapshot', async snapshot => ({ id: 1, ...snapshot }));
+  const playerStatsStub = mock.method(db, 'getMatchPlayerStats', async () => [
+    { ea_player_id: '9', player_name: 'Bota Nine', club_name: 'Bota FC', goals: 3 },
+  ]);
+  const seasonTotalsStub = mock.method(db, 'getPlayerStats', async () => [{ player_name: 'Bota Nine', goals: 3 }]);
+  const newsStub = mock.method(db, 'createNewsItems', async items => items);
+
+  await withServer(async port => {
+    const response = await fetch(`http://localhost:${port}/api/matches/match-557/approve`, {
+      method: 'POST',
+      headers: adminHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify({ competition: 'league', matchday: 2 }),
+    });
+    assert.equal(response.status, 200);
+  });
+
+  assert.equal(snapshotStub.mock.callCount(), 1);
+  const snapshot = snapshotStub.mock.calls[0].arguments[0];
+  assert.equal(snapshot.seasonId, 4);
+  assert.equal(snapshot.matchId, 'match-557');
+  assert.equal(snapshot.matchday, 2);
+  assert.equal(snapshot.perMatchday, false);
+  assert.equal(snapshot.standings.east[0].team, 'Bota FC');
+  assert.deepEqual(newsStub.mock.calls[0].arguments[0].map(item => item.dedupeKey), [
+    'result:match-557',
+    'hat-trick:match-557:9',
+  ]);
+  playerStatsStub.mock.restore();
+  seasonTotalsStub.mock.restore();
+  newsStub.mock.restore();
+  approveStub.mock.restore();
+  seriesStub.mock.restore();
+  matchesStub.mock.restore();
+  snapshotsStub.mock.restore();
+  snapshotStub.mock.restore();
+});
+
+test('POST /api/admin/matches records a manual forfeit and counts it as a walkover', async () => {
+  const db = require('../db');
+  let created;
+  const createStub = mock.method(db, 'createManualMatch', async match => {
+    created = { ...match, status: 'approved', season_id: 4, series_id: null };
+    return created;
+  });
+  const seriesStub = mock.method(db, 'getSeries', async () => []);
+  const matchesStub = mock.method(db, 'getApprovedLeagueMatches', async () => [created]);
+  const snapshotsStub = mock.method(db, 'getStandingsSnapshots', async () => []);
+  const snapshotStub = mock.method(db, 'recordStandingsSnapshot', async snapshot => snapshot);
+  const playerStatsStub = mock.method(db, 'getMatchPlayerStats', async () => []);
+  const seasonTotalsStub = mock.method(db, 'getPlayerStats', async () => []);
+  const newsStub = mock.method(db, 'createNewsItems', async items => items);
+
+  try {
+    await withServer(async port => {
+      const response = await fetch(`http://localhost:${port}/api/admin/matches`, {
+        method: 'POST',
+        headers: adminHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ homeClub: 'Bota FC', awayClub: 'True Egoistas', forfeit: 'home', matchday: 5 }),
+      });
+      const body = await response.json();
+      assert.equal(response.status, 201);
+      assert.equal(body.match.manual, true);
+      assert.equal(body.match.forfeit, 'home');
+      assert.match(body.match.match_id, /^manual-/);
+
+      const invalid = await fetch(`http://localhost:${port}/api/admin/matches`, {
+        method: 'POST',
+        headers: adminHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ homeClub: 'Bota FC', awayClub: 'Bota' }),
+      });
+      assert.equal(invalid.status, 400);
+    });
+
+    assert.equal(createStub.mock.callCount(), 1);
+    const { standings } = snapshotStub.mock.calls[0].arguments[0];
+    const egoistas = standings.east.find(row => row.team === 'True Egoistas');
+    assert.deepEqual([egoistas.w, egoistas.gf, egoistas.ga, egoistas.pts], [1, 3, 0, 3]);
+    assert.equal(
+      newsStub.mock.calls[0].arguments[0][0].headline,
+      'Matchday 5: True Egoistas awarded the win over Bota FC by forfeit'
+    );
+  } finally {
+    [createStub, seriesStub, matchesStub, snapshotsStub, snapshotStub, playerStatsStub, seasonTotalsStub, newsStub]
+      .forEach(stub => stub.mock.restore());
+  }
+});
+
+test('calculateStandings can count forfeits with the recorded score', () => {
+  const forfeit = {
+    match_id: 'manual-1',
+    club_name: 'Bota FC',
+    opponent_name: 'Inferign United',
+    club_score: 1,
+    opponent_score: 0,
+    forfeit: 'away',
+    status: 'approved',
+    competition: 'league',
+  };
+
+  const walkover = app.calculateStandings([forfeit]).east.find(row => row.team === 'Bota FC');
+  assert.deepEqual([walkover.gf, walkover.pts], [3, 3]);
+  const recorded = app.calculateStandings([forfeit], { forfeitScore: 'recorded' }).east.find(row => row.team === 'Bota FC');
+  assert.deepEqual([recorded.gf, recorded.pts], [1, 3]);
+  assert.throws(() => app.calculateStandings([forfeit], { forfeitScore: '0-0' }), /FORFEIT_SCORE must be a winning score/);
+});
+
+test('calculateStandings gives a forfeit recorded as 0-0 to the side that showed up', () => {
+  const forfeit = {
+    match_id: 'manual-2',
+    club_name: 'Bota FC',
+    opponent_name: 'Inferign United',
+    club_score: 0,
+    opponent_score: 0,
+    forfeit: 'home',
+    status: 'approved',
+    competition: 'league',
+  };
+
+  const standings = app.calculateStandings([forfeit], { forfeitScore: 'recorded' }).east;
+  const bota = standings.find(row => row.team === 'Bota FC');
+  const inferign = standings.find(row => row.team === 'Inferign United');
+  assert.deepEqual([bota.l, bota.d, bota.pts], [1, 0, 0]);
+  assert.deepEqual([inferign.w, inferign.d, inferign.gf, inferign.pts], [1, 0, 0, 3]);
+});
+
+test('PATCH /api/admin/matches/:matchId corrects a match and /revert restores the EA values', async () => {
+  const db = require('../db');
+  const correctStub = mock.method(db, 'correctMatch', async (matchId, input) => {
+    if (matchId === 'missing') return null;
+    assert.deepEqual(input, { clubScore: 3, opponentScore: 1 });
+    return {
+      match: { match_id: matchId, club_score: 3, opponent_score: 1, original_json: { club_score: 2, opponent_score: 1 } },
+      players: [],
+    };
+  });
+  const revertStub = mock.method(db, 'revertMatchCorrection', async matchId => ({
+    match: { match_id: matchId, club_score: 2, opponent_score: 1, original_json: null },
+    players: [],
+  }));
+
+  try {
+    await withServer(async port => {
+      const send = (method, url, body) => fetch(`http://localhost:${port}${url}`, {
+        method,
+        headers: adminHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify(body),
+      });
+
+      const corrected = await send('PATCH', '/api/admin/matches/match-123', { clubScore: 3, opponentScore: 1 });
+      const correctedBody = await corrected.json();
+      assert.equal(corrected.status, 200);
+      assert.equal(correctedBody.match.club_score, 3);
+      assert.equal(correctedBody.match.original_json.club_score, 2);
+
+      const missing = await send('PATCH', '/api/admin/matches/missing', { clubScore: 3, opponentScore: 1 });
+      assert.equal(missing.status, 404);
+
+      const reverted = await send('POST', '/api/admin/matches/match-123/revert', {});
+      const revertedBody = await reverted.json();
+      assert.equal(reverted.status, 200);
+      assert.equal(revertedBody.match.club_score, 2);
+    });
+  } finally {
+    correctStub.mock.restore();
+    revertStub.mock.restore();
+  }
+
+  await withServer(async port => {
+    const response = await fetch(`http://localhost:${port}/api/admin/matches/match-123`, {
+      method: 'PATCH',
+      headers: adminHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify({ clubScore: 'two' }),
+    });
+    assert.equal(response.status, 400);
+  });
+});
+
+test('correcting an approved league game re-records the standings and rewrites its result story', async () => {
+  const db = require('../db');
+  const corrected = {
+    match_id: 'match-558',
+    status: 'approved',
+    competition: 'league',
+    matchday: 3,
+    season_id: 4,
+    series_id: '9',
+    club_name: 'True Egoistas',
+    opponent_name: 'Bota FC',
+    club_score: 0,
+    opponent_score: 2,
+  };
+  const correctStub = mock.method(db, 'correctMatch', async () => ({ match: corrected, players: [] }));
+  const matchesStub = mock.method(db, 'getApprovedLeagueMatches', async () => [corrected]);
+  const snapshotsStub = mock.method(db, 'getStandingsSnapshots', async () => []);
+  const snapshotStub = mock.method(db, 'recordStandingsSnapshot', async snapshot => snapshot);
+  const newsStub = mock.method(db, 'updateGeneratedNewsItems', async items => items);
+
+  try {
+    await withServer(async port => {
+      const response = await fetch(`http://localhost:${port}/api/admin/matches/match-558`, {
+        method: 'PATCH',
+        headers: adminHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ swapSides: true }),
+      });
+      assert.equal(response.status, 200);
+      assert.equal((await response.json()).match.series_id, '9');
+    });
+
+    const snapshot = snapshotStub.mock.calls[0].arguments[0];
+    assert.deepEqual([snapshot.seasonId, snapshot.matchId, snapshot.matchday], [4, 'match-558', 3]);
+    assert.equal(snapshot.standings.east[0].team, 'Bota FC');
+    assert.deepEqual(newsStub.mock.calls[0].arguments[0].map(item => [item.dedupeKey, item.headline]), [
+      ['result:match-558', 'Matchday 3: Bota FC beat True Egoistas 2-0'],
+    ]);
+  } finally {
+    [correctStub, matchesStub, snapshotsStub, snapshotStub, newsStub].forEach(stub => stub.mock.restore());
+  }
+});
+
+test('admin writes are recorded in the audit log with before and after state', async () => {
+  const db = require('../db');
+  const before = { match_id: 'match-456', status: 'pending', competition: 'friendly' };
+  const getStub = mock.method(db, 'getMatch', async () => before);
+  const rejectStub = mock.method(db, 'rejectMatch', async matchId => ({ ...before, match_id: matchId, status: 'rejected' }));
+  const auditStub = mock.method(db, 'recordAdminAudit', async entry => entry);
+
+  try {
+    await withServer(async port => {
+      const response = await fetch(`http://localhost:${port}/api/matches/match-456/reject`, {
+        method: 'POST',
+        headers: adminHeaders({ 'x-admin-name': 'Commissioner' }),
+      });
+      assert.equal(response.status, 200);
+
+      const failed = await fetch(`http://localhost:${port}/api/admin/seasons/unknown/close`, {
+        method: 'POST',
+        headers: adminHeaders(),
+      });
+      assert.notEqual(failed.status, 200);
+    });
+
+    assert.equal(auditStub.mock.callCount(), 1);
+    assert.deepEqual(auditStub.mock.calls[0].arguments[0], {
+      action: 'match.reject',
+      targetType: 'match',
+      targetId: 'match-456',
+      admin: 'admin',
+      before,
+      after: { match: { ...before, status: 'rejected' } },
+    });
+  } finally {
+    getStub.mock.restore();
+    rejectStub.mock.restore();
+    auditStub.mock.restore();
+  }
+});
+
+test('GET /api/admin/audit filters entries and validates dates', async () => {
+  const db = require('../db');
+  const auditStub = mock.method(db, 'getAdminAudit', async options => {
+    assert.equal(options.targetType, 'match');
+    assert.equal(options.targetId, 'match-456');
+    assert.equal(options.since, '2026-01-01');
+    return { entries: [{ id: 1, action: 'match.reject' }], page: 1, pageSize: 50, total: 1 };
+  });
+
+  try {
+    await withServer(async port => {
+      const response = await fetch(
+        `http://localhost:${port}/api/admin/audit?targetType=match&targetId=match-456&since=2026-01-01`,
+        { headers: adminHeaders() }
+      );
+      const body = await response.json();
+      assert.equal(response.status, 200);
+      assert.deepEqual(body.entries.map(entry => entry.action), ['match.reject']);
+      assert.equal(body.hasMore, false);
+    });
+  } finally {
+    auditStub.mock.restore();
+  }
+
+  await withServer(async port => {
+    const response = await fetch(`http://localhost:${port}/api/admin/audit?since=yesterday`, { headers: adminHeaders() });
+    assert.equal(response.status, 400);
+  });
+});
+
+test('POST /api/admin/login issues a session token that carries the account role', async () => {
+  const db = require('../db');
+  const auth = require('../services/auth');
+  const passwordHash = await auth.hashPassword('stats-editor-pass');
+  const credentialsStub = mock.method(db, 'getAdminAccountCredentials', async username => (username === 'editor'
+    ? { id: 7, username: 'editor', role: 'stats_editor', club_id: null, password_hash: passwordHash }
+    : null));
+  const createSessionStub = mock.method(db, 'createAdminSession', async (accountId, ttl) => {
+    assert.deepEqual([accountId, ttl], [7, 120]);
+    return { token: 'session-token', expiresAt: '2026-10-18T12:00:00.000Z' };
+  });
+  const sessionStub = mock.method(db, 'getAdminSession', async token => (token === 'session-token'
+    ? { id: 7, username: 'editor', role: 'stats_editor', club_id: null, expires_at: '2026-10-18T12:00:00.000Z' }
+    : null));
+  const backfillStub = mock.method(db, 'backfillPlayerStats', async () => ({ matchesChecked: 0 }));
+  const auditStub = mock.method(db, 'recordAdminAudit', async entry => entry);
+
+  try {
+    await withServer(async port => {
+      const login = body => fetch(`http://localhost:${port}/api/admin/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+
+      assert.equal((await login({ username: 'editor', password: 'wrong-password' })).status, 401);
+      assert.equal((await login({ username: 'nobody', password: 'stats-editor-pass' })).status, 401);
+
+      const response = await login({ username: 'editor', password: 'stats-editor-pass' });
+      const body = await response.json();
+      assert.equal(response.status, 200);
+      assert.equal(body.token, 'session-token');
+      assert.deepEqual(body.account, { id: 7, username: 'editor', role: 'stats_editor', clubId: null });
+
+      const headers = { Authorization: 'Bearer session-token' };
+      const backfill = await fetch(`http://localhost:${port}/api/admin/backfill-player-stats`, { method: 'POST', headers });
+      assert.equal(backfill.status, 200);
+
+      const reset = await fetch(`http://localhost:${port}/api/admin/reset-approved-matches`, { method: 'POST', headers });
+      assert.equal(reset.status, 403);
+
+      const expired = await fetch(`http://localhost:${port}/api/admin/me`, { headers: { Authorization: 'Bearer old-token' } });
+      assert.equal(expired.status, 401);
+    });
+
+    assert.equal(auditStub.mock.calls[0].arguments[0].admin, 'editor');
+  } finally {
+    [credentialsStub, createSessionStub, sessionStub, backfillStub, auditStub].forEach(stub => stub.mock.restore());
+  }
+});
+
+test('GET /api/pending-matches only shows a club captain their own club\'s games', async () => {
+  const db = require('../db');
+  const sessionStub = mock.method(db, 'getAdminSession', async () => ({ id: 3, username: 'bota-captain', role: 'club_captain', club_id: '57985' }));
+  const pendingStub = mock.method(db, 'getPendingMatches', async () => [
+    { match_id: 'bota-game', club_name: 'Bota', opponent_name: 'True Egoistas' },
+    { match_id: 'other-game', club_name: 'Inferign Utd', opponent_name: 'True Egoistas' },
+  ]);
+
+  try {
+    await withServer(async port => {
+      const response = await fetch(`http://localhost:${port}/api/pending-matches`, { headers: { Authorization: 'Bearer captain-token' } });
+      const body = await response.json();
+      assert.equal(response.status, 200);
+      assert.deepEqual(body.matches.map(match => match.match_id), ['bota-game']);
+    });
+  } finally {
+    sessionStub.mock.restore();
+    pendingStub.mock.restore();
+  }
+});
+
+const CAPTAIN_SESSIONS = {
+  'bota-token': { id: 3, username: 'bota-captain', role: 'club_captain', club_id: '57985' },
+  'egoistas-token': { id: 4, username: 'egoistas-captain', role: 'club_captain', club_id: '1171188' },
+};
+
+function captainHeaders(token) {
+  return { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' };
+}
+
+test('club captains claim a pending match and the opposing captain confirms it into the table', async () => {
+  const db = require('../db');
+  const pending = { match_id: 'match-900', status: 'pending', club_name: 'Bota FC', opponent_name: 'True Egoistas' };
+  let claim = null;
+  const sessionStub = mock.method(db, 'getAdminSession', async token => CAPTAIN_SESSIONS[token] || null);
+  const matchStub = mock.method(db, 'getMatch', async matchId => (matchId === 'match-900'
+    ? pending
+    : { ...pending, match_id: matchId, club_name: 'Inferign United' }));
+  const createStub = mock.method(db, 'createMatchClaim', async input => {
+    claim = {
+      match_id: input.matchId,
+      claiming_club_id: input.claimingClubId,
+      opposing_club_id: input.opposingClubId,
+      series_id: null,
+      matchday: input.matchday,
+      status: 'claimed',
+      claimed_by: input.claimedBy,
+    };
+    return claim;
+  });
+  const getClaimStub = mock.method(db, 'getMatchClaim', async () => claim);
+  const confirmStub = mock.method(db, 'confirmMatchClaim', async (matchId, answer) => {
+    assert.deepEqual(answer, { status: 'confirmed', respondedBy: 'egoistas-captain', comment: 'Agreed' });
+    return {
+      claim: { ...claim, status: 'confirmed' },
+      match: { ...pending, status: 'approved', competition: 'league', matchday: claim.matchday },
+    };
+  });
+  const seriesStub = mock.method(db, 'getSeries', async () => []);
+  const playerStatsStub = mock.method(db, 'getMatchPlayerStats', async () => []);
+  const newsStub = mock.method(db, 'createNewsItems', async items => items);
+  const auditStub = mock.method(db, 'recordAdminAudit', async entry => entry);
+
+  try {
+    await withServer(async port => {
+      const post = (path, token, body = {}) => fetch(`http://localhost:${port}${path}`, {
+        method: 'POST',
+        headers: captainHeaders(token),
+        body: JSON.stringify(body),
+      });
+
+      const otherClubs = await post('/api/matches/match-901/claim', 'bota-token', { matchday: 4 });
+      assert.equal(otherClubs.status, 403);
+
+      const claimed = await post('/api/matches/match-900/claim', 'bota-token', { matchday: 4 });
+      assert.equal(claimed.status, 201);
+      assert.equal(claim.opposing_club_id, '1171188');
+      assert.equal(claim.claimed_by, 'bota-captain');
+
+      assert.equal((await post('/api/matches/match-900/confirm', 'bota-token')).status, 403);
+
+      const confirmed = await post('/api/matches/match-900/confirm', 'egoistas-token', { comment: 'Agreed' });
+      const body = await confirmed.json();
+      assert.equal(confirmed.status, 200);
+      assert.equal(body.claim.status, 'confirmed');
+      assert.equal(body.match.status, 'approved');
+    });
+
+    assert.equal(confirmStub.mock.callCount(), 1);
+    assert.deepEqual(auditStub.mock.calls.map(call => [call.arguments[0].action, call.arguments[0].admin]), [
+      ['claim.create', 'bota-captain'],
+      ['claim.confirm', 'egoistas-captain'],
+    ]);
+  } finally {
+    [sessionStub, matchStub, createStub, getClaimStub, confirmStub, seriesStub, playerStatsStub, newsStub, auditStub]
+      .forEach(stub => stub.mock.restore());
+  }
+});
+
+test('disputed claims need a comment and are settled by a league officer', async () => {
+  const db = require('../db');
+  const claim = {
+    match_id: 'match-902',
+    claiming_club_id: '57985',
+    opposing_club_id: '1171188',
+    series_id: null,
+    matchday: 2,
+    status: 'claimed',
+  };
+  const sessionStub = mock.method(db, 'getAdminSession', async token => CAPTAIN_SESSIONS[token] || null);
+  const getClaimStub = mock.method(db, 'getMatchClaim', async () => claim);
+  const disputesStub = mock.method(db, 'getMatchClaims', async options => {
+    assert.deepEqual(options, { status: 'disputed' });
+    return [{ ...claim, status: 'disputed', response_comment: 'We won on penalties' }];
+  });
+  const matchStub = mock.method(db, 'getMatch', async matchId => ({ match_id: matchId, status: 'pending' }));
+  const resolveStub = mock.method(db, 'resolveDisputedClaim', async (matchId, resolution) => {
+    assert.deepEqual(resolution, { decision: 'reject', resolvedBy: 'admin', notes: 'Replay ordered', matchday: 2 });
+    return { claim: { ...claim, status: 'rejected' }, match: { match_id: matchId, status: 'rejected' } };
+  });
+
+  try {
+    await withServer(async port => {
+      const noComment = await fetch(`http://localhost:${port}/api/matches/match-902/dispute`, {
+        method: 'POST',
+        headers: captainHeaders('egoistas-token'),
+        body: JSON.stringify({}),
+      });
+      assert.equal(noComment.status, 400);
+
+      const disputes = await fetch(`http://localhost:${port}/api/admin/disputes`, { headers: adminHeaders() });
+      const disputesBody = await disputes.json();
+      assert.equal(disputes.status, 200);
+      assert.equal(disputesBody.disputes[0].response_comment, 'We won on penalties');
+
+      claim.status = 'disputed';
+      const resolved = await fetch(`http://localhost:${port}/api/admin/disputes/match-902/resolve`, {
+        method: 'POST',
+        headers: adminHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ decision: 'reject', notes: 'Replay ordered' }),
+      });
+      const resolvedBody = await resolved.json();
+      assert.equal(resolved.status, 200);
+      assert.equal(resolvedBody.claim.status, 'rejected');
+      assert.equal(resolvedBody.match.status, 'rejected');
+
+      const captainResolve = await fetch(`http://localhost:${port}/api/admin/disputes/match-902/resolve`, {
+        method: 'POST',
+        headers: captainHeaders('bota-token'),
+        body: JSON.stringify({ decision: 'approve' }),
+      });
+      assert.equal(captainResolve.status, 403);
+    });
+  } finally {
+    [sessionStub, getClaimStub, disputesStub, matchStub, resolveStub].forEach(stub => stub.mock.restore());
+  }
+});
+
+test('claims cannot decide a match an officer already approved or rejected', async () => {
+  const db = require('../db');
+  const match = { match_id: 'match-903', status: 'pending', club_name: 'Bota FC', opponent_name: 'True Egoistas' };
+  const claim = { match_id: 'match-903', claiming_club_id: '57985', opposing_club_id: '1171188', status: 'claimed' };
+  const sessionStub = mock.method(db, 'getAdminSession', async token => CAPTAIN_SESSIONS[token] || null);
+  const matchStub = mock.method(db, 'getMatch', async () => match);
+  const getClaimStub = mock.method(db, 'getMatchClaim', async () => claim);
+  const rejectStub = mock.method(db, 'rejectMatch', async matchId => {
+    match.status = 'rejected';
+    return { ...match, match_id: matchId };
+  });
+  const closeStub = mock.method(db, 'closeMatchClaims', async (matchId, closing) => {
+    claim.status = closing.status;
+    return [{ ...claim, resolved_by: closing.resolvedBy }];
+  });
+  const confirmStub = mock.method(db, 'confirmMatchClaim', async () => assert.fail('a decided match must not be answered'));
+  const resolveStub = mock.method(db, 'resolveDisputedClaim', async () => assert.fail('a decided match must not be approved again'));
+
+  try {
+    await withServer(async port => {
+      const rejected = await fetch(`http://localhost:${port}/api/matches/match-903/reject`, {
+        method: 'POST',
+        headers: adminHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ notes: 'Not a league game' }),
+      });
+      assert.equal(rejected.status, 200);
+      assert.deepEqual(closeStub.mock.calls[0].arguments, [
+        'match-903',
+        { status: 'rejected', resolvedBy: 'admin', notes: 'Not a league game' },
+      ]);
+
+      claim.status = 'claimed';
+      const confirmed = await fetch(`http://localhost:${port}/api/matches/match-903/confirm`, {
+        method: 'POST',
+        headers: captainHeaders('egoistas-token'),
+        body: JSON.stringify({}),
+      });
+      assert.equal(confirmed.status, 409);
+      assert.match((await confirmed.json()).details, /match is already rejected/);
+
+      claim.status = 'disputed';
+      const resolved = await fetch(`http://localhost:${port}/api/admin/disputes/match-903/resolve`, {
+        method: 'POST',
+        headers: adminHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ decision: 'approve' }),
+      });
+      assert.equal(resolved.status, 409);
+    });
+  } finally {
+    [sessionStub, matchStub, getClaimStub, rejectStub, closeStub, confirmStub, resolveStub].forEach(stub => stub.mock.restore());
+  }
+});
+
+test('a claim confirmation that cannot approve its match is refused as a whole', async () => {
+  const db = require('../db');
+  const match = { match_id: 'match-904', status: 'pending', club_name: 'Bota FC', opponent_name: 'True Egoistas' };
+  const claim = { match_id: 'match-904', claiming_club_id: '57985', opposing_club_id: '1171188', status: 'claimed' };
+  const sessionStub = mock.method(db, 'getAdminSession', async token => CAPTAIN_SESSIONS[token] || null);
+  const matchStub = mock.method(db, 'getMatch', async () => match);
+  const getClaimStub = mock.method(db, 'getMatchClaim', async () => claim);
+  const confirmStub = mock.method(db, 'confirmMatchClaim', async () => {
+    throw new Error('no active season to record the match in; start a season first');
+  });
+  const snapshotStub = mock.method(db, 'recordStandingsSnapshot', async () => assert.fail('nothing was approved'));
+
+  try {
+    await withServer(async port => {
+      const confirmed = await fetch(`http://localhost:${port}/api/matches/match-904/confirm`, {
+        method: 'POST',
+        headers: captainHeaders('egoistas-token'),
+        body: JSON.stringify({}),
+      });
+      assert.equal(confirmed.status, 409);
+      assert.match((await confirmed.json()).details, /no active season/);
+    });
+  } finally {
+    [sessionStub, matchStub, getClaimStub, confirmStub, snapshotStub].forEach(stub => stub.mock.restore());
+  }
+});
+
+test('confirming a claim checks its series again before approving', async () => {
+  const db = require('../db');
+  const match = { match_id: 'match-905', status: 'pending', club_name: 'Bota FC', opponent_name: 'True Egoistas' };
+  const claim = {
+    match_id: 'match-905',
+    claiming_club_id: '57985',
+    opposing_club_id: '1171188',
+    series_id: '7',
+    status: 'claimed',
+  };
+  const sessionStub = mock.method(db, 'getAdminSession', async token => CAPTAIN_SESSIONS[token] || null);
+  const matchStub = mock.method(db, 'getMatch', async () => match);
+  const getClaimStub = mock.method(db, 'getMatchClaim', async () => claim);
+  const seriesStub = mock.method(db, 'getSeriesById', async () => (
+    { id: 7, home_club_id: '57985', away_club_id: '1171188', best_of: 3 }
+  ));
+  // The series was decided after the claim was made.
+  const gamesStub = mock.method(db, 'getSeriesGames', async () => [
+    { series_id: '7', match_id: 'g1', club_name: 'Bota FC', opponent_name: 'True Egoistas', club_score: 2, opponent_score: 0 },
+    { series_id: '7', match_id: 'g2', club_name: 'True Egoistas', opponent_name: 'Bota FC', club_score: 0, opponent_score: 1 },
+  ]);
+  const confirmStub = mock.method(db, 'confirmMatchClaim', async () => assert.fail('the claim must not be confirmed'));
+
+  try {
+    await withServer(async port => {
+      const confirmed = await fetch(`http://localhost:${port}/api/matches/match-905/confirm`, {
+        method: 'POST',
+        headers: captainHeaders('egoistas-token'),
+        body: JSON.stringify({}),
+      });
+      assert.equal(confirmed.status, 400);
+      assert.match((await confirmed.json()).details, /series is already complete/);
+    });
+  } finally {
+    [sessionStub, matchStub, getClaimStub, seriesStub, gamesStub, confirmStub].forEach(stub => stub.mock.restore());
+  }
+});
+
+test('GET /api/pending-matches returns synced matches awaiting approval', async () => {
+  const db = require('../db');
+  const getStub = mock.method(db, 'getPendingMatches', async () => [
+    { match_id: 'pending-1', status: 'pending', competition: 'friendly' },
+  ]);
+
+  await withServer(async port => {
+    const response = await fetch(`http://localhost:${port}/api/pending-matches`, { headers: adminHeaders() });
+    const body = await response.json();
+    assert.equal(response.status, 200);
+    assert.deepEqual(body.matches.map(match => match.match_id), ['pending-1']);
+
+    await fetch(`http://localhost:${port}/api/pending-matches?matchType=leagueMatch`, { headers: adminHeaders() });
+  });
+
+  assert.equal(getStub.mock.callCount(), 2);
+  assert.deepEqual(getStub.mock.calls.map(call => call.arguments[0]), [{ matchType: null }, { matchType: 'leagueMatch' }]);
+  getStub.mock.restore();
+});
+
+test('POST /api/matches/:matchId/approve approves a league match with optional matchday', async () => {
+  const db = require('../db');
+  const approveStub = mock.method(db, 'approveMatch', async (matchId, options) => {
+    assert.equal(matchId, 'match-123');
+    assert.deepEqual(options, { competition: 'league', matchday: 2, notes: undefined });
+    return { match_id: matchId, status: 'approved', competition: 'league', matchday: 2 };
+  });
+
+  await withServer(async port => {
+    const response = await fetch(`http://localhost:${port}/api/matches/match-123/approve`, {
+      method: 'POST',
+      headers: adminHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify({ competition: 'league', matchday: 2 }),
+    });
+    const body = await response.json();
+    assert.equal(response.status, 200);
+    assert.equal(body.match.status, 'approved');
+    assert.equal(body.match.competition, 'league');
+  });
+
+  assert.equal(approveStub.mock.callCount(), 1);
+  approveStub.mock.restore();
+});
+
+test('POST /api/matches/:matchId/approve refuses to approve while no season is active', async () => {
+  const db = require('../db');
+  const getStub = mock.method(db, 'getMatch', async () => null);
+  const approveStub = mock.method(db, 'approveMatch', async () => {
+    throw new Error('no active season to record the match in; start a season first');
+  });
+
+  try {
+    await withServer(async port => {
+      const response = await fetch(`http://localhost:${port}/api/matches/match-123/approve`, {
+        method: 'POST',
+        headers: adminHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ competition: 'league' }),
+      });
+      const body = await response.json();
+      assert.equal(response.status, 409);
+      assert.match(body.details, /no active season/);
+    });
+  } finally {
+    getStub.mock.restore();
+    approveStub.mock.restore();
+  }
+});
+
+test('POST /api/matches/:matchId/friendly marks a match as friendly', async () => {
+  const db = require('../db');
+  const approveStub = mock.method(db, 'approveMatch', async (matchId, options) => {
+    assert.equal(matchId, 'match-789');
+    assert.deepEqual(options, { competition: 'friendly', matchday: undefined, notes: undefined });
+    return { match_id: matchId, status: 'approved', competition: 'friendly' };
+  });
+
+  await withServer(async port => {
+    const response = await fetch(`http://localhost:${port}/api/matches/match-789/friendly`, {
+      method: 'POST',
+      headers: adminHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify({}),
+    });
+    const body = await response.json();
+    assert.equal(response.status, 200);
+    assert.equal(body.match.status, 'approved');
+    assert.equal(body.match.competition, 'friendly');
+  });
+
+  assert.equal(approveStub.mock.callCount(), 1);
+  approveStub.mock.restore();
+});
+
+test('POST /api/matches/:matchId/reject marks a match rejected', async () => {
+  const db = require('../db');
+  const rejectStub = mock.method(db, 'rejectMatch', async matchId => {
+    assert.equal(matchId, 'match-456');
+    return { match_id: matchId, status: 'rejected', competition: 'friendly' };
+  });
+
+  await withServer(async port => {
+    const response = await fetch(`http://localhost:${port}/api/matches/match-456/reject`, {
+      method: 'POST',
+      headers: adminHeaders(),
+    });
+    const body = await response.json();
+    assert.equal(response.status, 200);
+    assert.equal(body.match.status, 'rejected');
+  });
+
+  assert.equal(rejectStub.mock.callCount(), 1);
+  rejectStub.mock.restore();
+});
+
+test('GET /api/player-stats returns approved league player stat totals', async () => {
+  const db = require('../db');
+  const getStub = mock.method(db, 'getPlayerStats', async () => [
+    {
+      player_name: 'Striker One',
+      club_name: 'Bota FC',
+      matches_played: 2,
+      goals: 4,
+      assists: 1,
+      passes_attempted: 20,
       passes_made: 18,
       pass_percentage: 90,
       tackles_attempted: 5,
@@ -625,3 +2267,324 @@ test('GET /api/player-stats returns approved league player stat totals', async (
   assert.equal(getStub.mock.callCount(), 1);
   getStub.mock.restore();
 });
+
+test('repeated failed admin attempts lock out the credential and client with a Retry-After', async () => {
+  const db = require('../db');
+  const credentialsStub = mock.method(db, 'getAdminAccountCredentials', async () => null);
+  app.rateLimits.admin.clear();
+
+  try {
+    await withServer(async port => {
+      const login = password => fetch(`http://localhost:${port}/api/admin/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username: 'Editor', password }),
+      });
+
+      for (let attempt = 1; attempt < 5; attempt += 1) {
+        assert.equal((await login(`guess-${attempt}`)).status, 401);
+      }
+      const locked = await login('guess-5');
+      assert.equal(locked.status, 429);
+      assert.equal(locked.headers.get('retry-after'), '900');
+      assert.equal((await locked.json()).error, 'Too many failed admin attempts');
+
+      const sync = await fetch(`http://localhost:${port}/api/sync-matches`, { method: 'POST', headers: adminHeaders() });
+      assert.equal(sync.status, 429);
+      assert.equal(credentialsStub.mock.callCount(), 5);
+    });
+  } finally {
+    credentialsStub.mock.restore();
+    app.rateLimits.admin.clear();
+  }
+});
+
+test('admin lockouts are keyed per client address, never globally', () => {
+  const fromA = { socket: { remoteAddress: '10.0.0.1' } };
+  const fromB = { socket: { remoteAddress: '10.0.0.2' } };
+
+  assert.deepEqual(app.getAdminAttemptKeys(fromA), ['ip:10.0.0.1']);
+  assert.deepEqual(app.getAdminAttemptKeys(fromA, 'account:editor'), ['ip:10.0.0.1', 'credential:account:editor@10.0.0.1']);
+  const keysA = app.getAdminAttemptKeys(fromA, 'account:editor');
+  assert.ok(app.getAdminAttemptKeys(fromB, 'account:editor').every(key => !keysA.includes(key)));
+});
+
+test('a valid session token does not reset guesses at the admin password header', async () => {
+  const db = require('../db');
+  const sessionStub = mock.method(db, 'getAdminSession', async token => CAPTAIN_SESSIONS[token] || null);
+  app.rateLimits.admin.clear();
+
+  try {
+    await withServer(async port => {
+      const me = headers => fetch(`http://localhost:${port}/api/admin/me`, { headers });
+      const guess = attempt => me({ 'x-admin-password': `guess-${attempt}` });
+
+      for (let attempt = 1; attempt < 5; attempt += 1) {
+        assert.equal((await guess(attempt)).status, 401);
+      }
+      assert.equal((await me(captainHeaders('bota-token'))).status, 200);
+
+      const locked = await guess(5);
+      assert.equal(locked.status, 429);
+      assert.equal((await me(adminHeaders())).status, 429);
+    });
+  } finally {
+    sessionStub.mock.restore();
+    app.rateLimits.admin.clear();
+  }
+});
+
+test('the shared password header is refused unless ADMIN_PASSWORD_HEADER=on', async () => {
+  delete process.env.ADMIN_PASSWORD_HEADER;
+  app.rateLimits.admin.clear();
+  try {
+    await withServer(async port => {
+      const response = await fetch(`http://localhost:${port}/api/admin/me`, { headers: adminHeaders() });
+      assert.equal(response.status, 401);
+    });
+  } finally {
+    process.env.ADMIN_PASSWORD_HEADER = 'on';
+    app.rateLimits.admin.clear();
+  }
+});
+
+test('renaming an admin account to a taken username returns 409', async () => {
+  const db = require('../db');
+  const updateStub = mock.method(db, 'updateAdminAccount', async () => {
+    throw Object.assign(new Error('duplicate key value violates unique constraint "admin_accounts_username_key"'), { code: '23505' });
+  });
+
+  try {
+    await withServer(async port => {
+      const response = await fetch(`http://localhost:${port}/api/admin/accounts/2`, {
+        method: 'POST',
+        headers: adminHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ username: 'admin' }),
+      });
+      assert.equal(response.status, 409);
+    });
+  } finally {
+    updateStub.mock.restore();
+  }
+});
+
+test('public EA routes answer 429 once a client goes over the rate limit', async () => {
+  app.rateLimits.eaRoutes.clear();
+  try {
+    await withServer(async port => {
+      for (let request = 0; request < 30; request += 1) {
+        assert.equal((await fetch(`http://localhost:${port}/api/teams/999999/members`)).status, 404);
+      }
+      const limited = await fetch(`http://localhost:${port}/api/matches`);
+      assert.equal(limited.status, 429);
+      assert.ok(Number(limited.headers.get('retry-after')) > 0);
+    });
+  } finally {
+    app.rateLimits.eaRoutes.clear();
+  }
+});
+
+test('scheduled syncs record each run and skip while another sync is running', async () => {
+  const db = require('../db');
+  const finishedRuns = [];
+  const startStub = mock.method(db, 'startSyncRun', async ({ trigger }) => ({ id: 41, trigger }));
+  const finishStub = mock.method(db, 'finishSyncRun', async (runId, run) => {
+    finishedRuns.push({ runId, ...run });
+    return null;
+  });
+  const ensureStub = mock.method(db, 'ensureMatchesTable', async () => {});
+  const insertStub = mock.method(db, 'insertMatch', async match => match.id.endsWith('-0'));
+  const fetchStub = stubClubMatches(async clubId => {
+    if (clubId === app.LEAGUE_CLUBS[1].eaClubId) throw new Error('EA request timed out');
+    return [{ matchId: `${clubId}-0` }, { matchId: `${clubId}-1` }];
+  });
+
+  try {
+    const [first, second] = await Promise.all([app.runScheduledSync(), app.runScheduledSync()]);
+    assert.equal(second, null);
+    assert.equal(first.status, 'partial');
+    assert.equal(startStub.mock.callCount(), 1);
+
+    const [run] = finishedRuns;
+    const clubCount = app.LEAGUE_CLUBS.length;
+    assert.equal(run.runId, 41);
+    assert.equal(run.status, 'partial');
+    assert.equal(run.error, `1 of ${clubCount} clubs failed`);
+    assert.deepEqual(run.totals, {
+      totalFetched: 2 * (clubCount - 1),
+      inserted: clubCount - 1,
+      skipped: clubCount - 1,
+      failed: 0,
+    });
+    assert.deepEqual(run.clubs.slice(0, 2).map(club => [club.clubId, club.status, club.fetched, club.error]), [
+      [app.LEAGUE_CLUBS[0].id, 'succeeded', 2, null],
+      [app.LEAGUE_CLUBS[1].id, 'failed', 0, 'EA request timed out'],
+    ]);
+  } finally {
+    [startStub, finishStub, ensureStub, insertStub, fetchStub].forEach(stub => stub.mock.restore());
+  }
+});
+
+test('GET /api/admin/sync-runs lists recent runs for league officers', async () => {
+  const db = require('../db');
+  const runsStub = mock.method(db, 'getSyncRuns', async options => {
+    assert.deepEqual(options, { status: 'failed', limit: '5' });
+    return [{ id: 41, trigger: 'scheduled', status: 'failed', error: 'EA request timed out' }];
+  });
+
+  try {
+    await withServer(async port => {
+      const response = await fetch(`http://localhost:${port}/api/admin/sync-runs?status=failed&limit=5`, {
+        headers: adminHeaders(),
+      });
+      const body = await response.json();
+      assert.equal(response.status, 200);
+      assert.deepEqual(body.runs.map(run => run.id), [41]);
+      assert.equal(body.syncing, false);
+    });
+  } finally {
+    runsStub.mock.restore();
+  }
+});
+
+test('POST /api/sync-matches reports a failed match write without stopping the other clubs', async () => {
+  const db = require('../db');
+  const ensureStub = mock.method(db, 'ensureMatchesTable', async () => {});
+  const insertStub = mock.method(db, 'insertMatch', async match => {
+    if (match.id === 'broken-match') throw new Error('deadlock detected');
+    return true;
+  });
+  const fetchStub = stubClubMatches(async clubId => (clubId === app.LEAGUE_CLUBS[0].eaClubId
+    ? [{ matchId: 'broken-match' }, { matchId: 'good-match' }]
+    : []));
+  app.rateLimits.sync.clear();
+
+  try {
+    await withServer(async port => {
+      const response = await fetch(`http://localhost:${port}/api/sync-matches`, { method: 'POST', headers: adminHeaders() });
+      const body = await response.json();
+      assert.equal(response.status, 200);
+      assert.equal(body.status, 'partial');
+      assert.equal(body.inserted, 1);
+      assert.deepEqual(body.clubs[0], {
+        clubId: app.LEAGUE_CLUBS[0].id,
+        name: app.LEAGUE_CLUBS[0].name,
+        status: 'failed',
+        fetched: 2,
+        inserted: 1,
+        skipped: 0,
+        failed: 1,
+        error: 'deadlock detected',
+      });
+      assert.ok(body.clubs.slice(1).every(club => club.status === 'succeeded'));
+    });
+  } finally {
+    [ensureStub, insertStub, fetchStub].forEach(stub => stub.mock.restore());
+    app.rateLimits.sync.clear();
+  }
+});
+
+test('POST /api/sync-matches answers 409 while a sync runs without using up the sync budget', async () => {
+  const db = require('../db');
+  let release;
+  const gate = new Promise(resolve => { release = resolve; });
+  const ensureStub = mock.method(db, 'ensureMatchesTable', async () => {});
+  const fetchStub = stubClubMatches(async () => {
+    await gate;
+    return [];
+  });
+  app.rateLimits.sync.clear();
+
+  try {
+    await withServer(async port => {
+      const sync = () => fetch(`http://localhost:${port}/api/sync-matches`, { method: 'POST', headers: adminHeaders() });
+      const scheduled = app.runScheduledSync();
+
+      for (let attempt = 0; attempt < 3; attempt += 1) {
+        const response = await sync();
+        assert.equal(response.status, 409);
+        assert.equal((await response.json()).error, 'A sync is already running');
+      }
+      release();
+      await scheduled;
+
+      assert.equal((await sync()).status, 200);
+      assert.equal((await sync()).status, 200);
+      assert.equal((await sync()).status, 429);
+    });
+  } finally {
+    [ensureStub, fetchStub].forEach(stub => stub.mock.restore());
+    app.rateLimits.sync.clear();
+  }
+});
+
+test('fetchClubMatchesByType tags each match with its EA type and keeps a game listed twice once', async () => {
+  const fetchStub = stubClubMatches(async (clubId, matchType) => {
+    assert.equal(clubId, '57985');
+    return matchType === 'leagueMatch'
+      ? [{ matchId: 'league-game' }, { matchId: 'shared-game' }]
+      : [{ matchId: 'shared-game' }];
+  });
+
+  try {
+    const { matches } = await app.fetchClubMatchesByType('57985', app.BOTA_FC, ['friendlyMatch', 'leagueMatch']);
+    assert.deepEqual(matches.map(match => [match.id, match.matchType]), [
+      ['shared-game', 'friendlyMatch'],
+      ['league-game', 'leagueMatch'],
+    ]);
+  } finally {
+    fetchStub.mock.restore();
+  }
+
+  app.rateLimits.eaRoutes.clear();
+  await withServer(async port => {
+    const response = await fetch(`http://localhost:${port}/api/matches?matchType=playoffMatch`);
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error, 'match type playoffMatch is not synced');
+  });
+});
+
+test('GET /api/health reports the database, EA upstream state and EA cache counts', async () => {
+  const db = require('../db');
+  const connectionStub = mock.method(db, 'checkConnection', async () => ({ latencyMs: 3 }));
+
+  try {
+    await withServer(async port => {
+      const response = await fetch(`http://localhost:${port}/api/health`);
+      const body = await response.json();
+      assert.equal(response.status, 200);
+      assert.equal(body.ok, true);
+      assert.equal(body.status, 'ok');
+      assert.deepEqual(body.database, { ok: true, latencyMs: 3 });
+      assert.equal(body.ea.state, 'closed');
+      for (const key of ['hits', 'misses', 'staleHits', 'staleFallbacks', 'entries']) {
+        assert.equal(typeof body.eaCache[key], 'number');
+      }
+    });
+  } finally {
+    connectionStub.mock.restore();
+  }
+
+  await withServer(async port => {
+    const response = await fetch(`http://localhost:${port}/api/health`);
+    const body = await response.json();
+    assert.equal(response.status, 503);
+    assert.equal(body.status, 'down');
+    assert.match(body.database.error, /DATABASE_URL/);
+  });
+});
+
+test('an invalid playoff format stops the server from loading', () => {
+  const result = loadServerWith({ PLAYOFF_CUTOFF_RANK: '3', PLAYOFF_BYES: '4' });
+
+  assert.notEqual(result.status, 0);
+  assert.match(result.stderr, /playoff byes cannot exceed the cutoff/);
+  assert.equal(loadServerWith({ PLAYOFF_CUTOFF_RANK: '', PLAYOFF_BYES: ' ' }).status, 0);
+});
+
+test('an unknown standings tiebreaker stops the server from loading', () => {
+  const result = loadServerWith({ STANDINGS_TIEBREAKERS: 'goal_difference,head_to_head_gaols' });
+
+  assert.notEqual(result.status, 0);
+  assert.match(result.stderr, /unknown tiebreaker head_to_head_gaols/);
+});
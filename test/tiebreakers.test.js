@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { normalizeTiebreakers, rankStandingRows } = require('../services/tiebreakers');
+
+function row(id, team, overrides = {}) {
+  return { id, team, pts: 0, w: 0, gd: 0, gf: 0, ...overrides };
+}
+
+function result(homeClubId, awayClubId, homeGoals, awayGoals, extra = {}) {
+  const homeResult = homeGoals > awayGoals ? 'W' : homeGoals < awayGoals ? 'L' : 'D';
+  return { homeClubId, awayClubId, homeGoals, awayGoals, homeResult, ...extra };
+}
+
+test('normalizeTiebreakers accepts comma lists and rejects unknown rules', () => {
+  assert.deepEqual(normalizeTiebreakers('wins, goal_difference,wins'), ['wins', 'goal_difference']);
+  assert.deepEqual(normalizeTiebreakers(''), normalizeTiebreakers());
+  assert.throws(() => normalizeTiebreakers('coin_toss'), /unknown tiebreaker coin_toss/);
+});
+
+test('rankStandingRows puts head-to-head ahead of goal difference and records the deciding rule', () => {
+  const rows = [
+    row('a', 'Alpha FC', { pts: 6, gd: 5 }),
+    row('b', 'Bravo FC', { pts: 6, gd: 1 }),
+    row('c', 'Charlie FC', { pts: 3, gd: -6 }),
+  ];
+  const results = [result('b', 'a', 1, 0), result('a', 'c', 6, 0), result('b', 'c', 0, 1)];
+
+  const ranked = rankStandingRows(rows, results);
+  assert.deepEqual(ranked.map(item => item.id), ['b', 'a', 'c']);
+  assert.deepEqual(ranked.map(item => item.tiebreaker), ['head_to_head_points', 'points', null]);
+  assert.deepEqual(ranked.map(item => item.seed), [1, 2, 3]);
+
+  const byGoalDifference = rankStandingRows(rows, results, ['goal_difference']);
+  assert.deepEqual(byGoalDifference.map(item => item.id), ['a', 'b', 'c']);
+});
+
+test('rankStandingRows falls through to away goals, red cards and finally club name', () => {
+  const rows = [
+    row('a', 'Alpha FC', { pts: 1 }),
+    row('b', 'Bravo FC', { pts: 1 }),
+    row('c', 'Charlie FC', { pts: 1 }),
+    row('d', 'Delta FC', { pts: 1 }),
+    row('e', 'Echo FC', { pts: 1 }),
+  ];
+  const results = [
+    result('a', 'b', 2, 2, { homeRedCards: 1 }),
+    result('c', 'd', 1, 1),
+  ];
+
+  const ranked = rankStandingRows(rows, results, ['away_goals', 'fewest_red_cards']);
+  assert.deepEqual(ranked.map(item => item.id), ['b', 'd', 'c', 'e', 'a']);
+  assert.deepEqual(ranked.map(item => item.tiebreaker), ['away_goals', 'away_goals', 'name', 'fewest_red_cards', null]);
+});
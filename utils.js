@@ -28,4 +28,20 @@ function isManualId(id){
   return !isNumericId(id);
 }
 
-module.exports = { uniqueStrings, hasDuplicates, normalizeId, isNumericId, isManualId };
\ No newline at end of file
+// Maps `items` through async `fn` with at most `limit` calls in flight,
+// keeping the results in input order.
+async function mapWithConcurrency(items, limit, fn){
+  const results = new Array(items.length);
+  let next = 0;
+  async function worker(){
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+  const workerCount = Math.max(1, Math.min(Number(limit) || 1, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+}
+
+module.exports = { uniqueStrings, hasDuplicates, normalizeId, isNumericId, isManualId, mapWithConcurrency };
\ No newline at end of file